@@ -0,0 +1,51 @@
+// Service worker for todo reminders: handles notification clicks and snooze actions
+
+const SNOOZE_PREFIX = 'snooze-';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification, action } = event;
+  const { todoId, url } = notification.data || {};
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (action.startsWith(SNOOZE_PREFIX)) {
+      const minutes = Number(action.slice(SNOOZE_PREFIX.length));
+
+      // Let an open tab record the snooze and re-arm its timer
+      windowClients.forEach(client =>
+        client.postMessage({ type: 'reminder-snooze', todoId, minutes })
+      );
+
+      // Without an open tab, fall back to a triggered notification where supported
+      if (windowClients.length === 0 && 'TimestampTrigger' in self) {
+        await self.registration.showNotification(notification.title, {
+          body: notification.body,
+          tag: notification.tag,
+          data: notification.data,
+          actions: notification.actions,
+          showTrigger: new self.TimestampTrigger(Date.now() + minutes * 60 * 1000),
+        });
+      }
+      return;
+    }
+
+    // Open the todo, reusing an existing tab when there is one
+    const client = windowClients[0];
+    if (client) {
+      await client.focus();
+      await client.navigate(url);
+    } else {
+      await self.clients.openWindow(url);
+    }
+  })());
+});
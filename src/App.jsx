@@ -3,8 +3,17 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import ErrorBoundary from './components/ErrorBoundary';
 import TodoList from './components/TodoList';
+import TodoBoard from './components/TodoBoard';
+import TodoCalendar from './components/TodoCalendar';
+import TodoStats from './components/TodoStats';
 import TodoDetail from './components/TodoDetail';
+import TrashList from './components/TrashList';
+import TagManager from './components/TagManager';
+import UserTodos from './components/UserTodos';
+import ReminderCenter from './components/ReminderCenter';
 import NotFound from './components/NotFound';
+import TodoService from './services/api';
+import SyncService from './services/sync';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -14,13 +23,29 @@ const queryClient = new QueryClient({
       staleTime: 5 * 60 * 1000, // 5 minutes
       cacheTime: 10 * 60 * 1000, // 10 minutes
       refetchOnWindowFocus: false,
+      // TodoService falls back to cached data offline, so always run queries
+      networkMode: 'always',
     },
     mutations: {
       retry: 1,
+      // Offline mutations are queued by TodoService rather than paused here
+      networkMode: 'always',
     },
   },
 });
 
+// Replay the offline outbox when connectivity returns and refresh afterwards
+SyncService.start();
+SyncService.subscribe((status, replayResult) => {
+  if (replayResult?.synced) {
+    queryClient.invalidateQueries({ queryKey: ['todos'] });
+    queryClient.invalidateQueries({ queryKey: ['todo'] });
+  }
+});
+
+// Permanently delete trashed todos past their retention period
+TodoService.purgeExpiredTrash();
+
 /**
  * Main App component that sets up routing and global providers
  * Includes React Query provider, Error Boundary, and React Router
@@ -31,13 +56,37 @@ function App() {
       <QueryClientProvider client={queryClient}>
         <Router>
           <div className="App">
+            {/* Due-date reminders */}
+            <ReminderCenter />
+
             <Routes>
               {/* Home route - Todo List */}
               <Route path="/" element={<TodoList />} />
               
+              {/* List route - one named list's todos */}
+              <Route path="/lists/:listId" element={<TodoList />} />
+
+              {/* Board route - todos as cards in columns */}
+              <Route path="/board" element={<TodoBoard />} />
+
+              {/* Calendar route - todos on their due dates */}
+              <Route path="/calendar" element={<TodoCalendar />} />
+
+              {/* Stats route - productivity dashboard */}
+              <Route path="/stats" element={<TodoStats />} />
+
               {/* Todo Detail route */}
               <Route path="/todo/:id" element={<TodoDetail />} />
               
+              {/* Trash route */}
+              <Route path="/trash" element={<TrashList />} />
+              
+              {/* Tag management route */}
+              <Route path="/tags" element={<TagManager />} />
+
+              {/* User route - one person's todos and stats */}
+              <Route path="/users/:id" element={<UserTodos />} />
+              
               {/* 404 Not Found route */}
               <Route path="*" element={<NotFound />} />
             </Routes>
@@ -0,0 +1,72 @@
+import React from 'react';
+
+// Label at most this many buckets along the axis so the labels don't overlap
+const MAX_AXIS_LABELS = 8;
+
+const formatBucket = (bucket, unit) => {
+  const day = bucket.start.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  return unit === 'week' ? `Week of ${day}` : day;
+};
+
+/**
+ * ActivityChart component - Bar chart of todos created and completed per day or week
+ * Screen readers get the same numbers as a table
+ */
+const ActivityChart = ({ series }) => {
+  const { unit, buckets } = series;
+  const max = Math.max(1, ...buckets.map(bucket => Math.max(bucket.created, bucket.completed)));
+  const labelEvery = Math.ceil(buckets.length / MAX_AXIS_LABELS);
+
+  return (
+    <div>
+      {/* Legend */}
+      <div className="flex items-center gap-4 mb-3 text-xs text-gray-600" aria-hidden="true">
+        <span className="inline-flex items-center"><span className="w-3 h-3 rounded-sm bg-blue-500 mr-1" />Created</span>
+        <span className="inline-flex items-center"><span className="w-3 h-3 rounded-sm bg-green-500 mr-1" />Completed</span>
+        <span className="ml-auto">Highest: {max} per {unit}</span>
+      </div>
+
+      <div className="flex items-end gap-px h-48 border-b border-gray-200" aria-hidden="true">
+        {buckets.map(bucket => (
+          <div
+            key={bucket.key}
+            title={`${formatBucket(bucket, unit)}: ${bucket.created} created, ${bucket.completed} completed`}
+            className="flex-1 min-w-0 h-full flex items-end justify-center gap-px hover:bg-gray-50"
+          >
+            <div className="w-1/2 max-w-3 bg-blue-500 rounded-t-sm" style={{ height: `${(bucket.created / max) * 100}%` }} />
+            <div className="w-1/2 max-w-3 bg-green-500 rounded-t-sm" style={{ height: `${(bucket.completed / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-px mt-1" aria-hidden="true">
+        {buckets.map((bucket, index) => (
+          <div key={bucket.key} className="flex-1 min-w-0 text-[10px] text-gray-500 whitespace-nowrap overflow-visible">
+            {index % labelEvery === 0 ? bucket.start.toLocaleDateString([], { month: 'short', day: 'numeric' }) : ''}
+          </div>
+        ))}
+      </div>
+
+      <table className="sr-only">
+        <caption>Todos created and completed per {unit}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{unit === 'week' ? 'Week' : 'Day'}</th>
+            <th scope="col">Created</th>
+            <th scope="col">Completed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {buckets.map(bucket => (
+            <tr key={bucket.key}>
+              <th scope="row">{formatBucket(bucket, unit)}</th>
+              <td>{bucket.created}</td>
+              <td>{bucket.completed}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ActivityChart;
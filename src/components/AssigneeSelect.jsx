@@ -0,0 +1,28 @@
+import React from 'react';
+import useUsers from '../hooks/useUsers';
+import { findUser } from '../utils/users';
+
+/**
+ * AssigneeSelect component - Dropdown for picking the user a todo is assigned to
+ * Keeps an assignee the backend doesn't list as an option so it isn't lost on save
+ */
+const AssigneeSelect = ({ value, onChange, className = '', ...props }) => {
+  const { data: users = [] } = useUsers();
+  const isUnknown = value != null && !findUser(users, value);
+
+  return (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className={className}
+      {...props}
+    >
+      {isUnknown && <option value={value}>User {value}</option>}
+      {users.map(user => (
+        <option key={user.id} value={user.id}>{user.name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default AssigneeSelect;
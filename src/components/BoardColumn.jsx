@@ -0,0 +1,59 @@
+import React from 'react';
+
+/**
+ * BoardColumn component - One column of the board with its card count and WIP limit
+ * `count` includes cards hidden by filters; the column turns red once it's over the limit
+ */
+const BoardColumn = ({ column, todos, count, limit, onLimitChange, isDropTarget, dropHandlers, renderTodo }) => {
+  const isOverLimit = limit > 0 && count > limit;
+
+  return (
+    <section
+      {...dropHandlers}
+      aria-label={`${column.label} column`}
+      className={`w-80 flex-shrink-0 flex flex-col rounded-2xl border p-3 transition-colors ${
+        isDropTarget
+          ? 'bg-blue-50 border-blue-400 ring-2 ring-blue-400'
+          : isOverLimit
+            ? 'bg-red-50 border-red-300'
+            : 'bg-gray-200/60 border-transparent'
+      }`}
+    >
+      <header className="flex items-center justify-between gap-2 px-1 mb-3">
+        <h2 className="text-sm font-semibold text-gray-800 truncate" title={column.label}>
+          {column.label}
+        </h2>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+              isOverLimit ? 'bg-red-600 text-white' : 'bg-white text-gray-600'
+            }`}
+          >
+            {limit > 0 ? `${count}/${limit}` : count}
+            {isOverLimit && <span className="sr-only"> (over the WIP limit)</span>}
+          </span>
+          <input
+            type="number"
+            min="0"
+            value={limit || ''}
+            onChange={(e) => onLimitChange(Math.max(0, Math.floor(Number(e.target.value))) || 0)}
+            placeholder="WIP"
+            aria-label={`WIP limit for ${column.label}`}
+            title="Work in progress limit (empty for none)"
+            className="w-14 px-2 py-0.5 border rounded-md bg-white text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </header>
+
+      <div className="space-y-3 min-h-24">
+        {todos.length > 0 ? (
+          todos.map(renderTodo)
+        ) : (
+          <p className="px-1 py-6 text-center text-xs text-gray-500">No todos</p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default BoardColumn;
@@ -0,0 +1,49 @@
+import React from 'react';
+
+/**
+ * BreakdownTable component - Todo counts and completion rate per assignee, tag or priority
+ * `rows` come from getBreakdown; the bar shows each row's completion rate
+ */
+const BreakdownTable = ({ rows, groupLabel }) => {
+  if (rows.length === 0) {
+    return <p className="py-6 text-center text-sm text-gray-500">No todos to break down yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+            <th scope="col" className="py-2 pr-4">{groupLabel}</th>
+            <th scope="col" className="py-2 px-2 text-right">Open</th>
+            <th scope="col" className="py-2 px-2 text-right">Done</th>
+            <th scope="col" className="py-2 px-2 text-right">Overdue</th>
+            <th scope="col" className="py-2 px-2 text-right" title="Completed within the date range">In range</th>
+            <th scope="col" className="py-2 pl-4 w-1/3">Completion</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rows.map(row => (
+            <tr key={row.key}>
+              <th scope="row" className="py-2 pr-4 text-left font-medium text-gray-800 truncate max-w-48">{row.label}</th>
+              <td className="py-2 px-2 text-right text-gray-700">{row.open}</td>
+              <td className="py-2 px-2 text-right text-gray-700">{row.completed}</td>
+              <td className={`py-2 px-2 text-right ${row.overdue ? 'text-red-700 font-medium' : 'text-gray-700'}`}>{row.overdue}</td>
+              <td className="py-2 px-2 text-right text-gray-700">{row.completedInRange}</td>
+              <td className="py-2 pl-4">
+                <div className="flex items-center gap-2">
+                  <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden" aria-hidden="true">
+                    <div className="h-full bg-green-500" style={{ width: `${row.rate}%` }} />
+                  </div>
+                  <span className="w-10 text-right text-xs text-gray-600">{row.rate}%</span>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BreakdownTable;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { CheckSquare, Square, Check, Circle, Trash2, UserCheck, Folder, X } from 'lucide-react';
+import useUsers from '../hooks/useUsers';
+import { useLists } from '../hooks/useLists';
+
+/**
+ * BulkActionBar component - Toolbar shown while selecting todos in TodoList
+ * Offers select-all for the current filter and the bulk actions
+ */
+const BulkActionBar = ({
+  selectedCount,
+  matchingCount,
+  onSelectAll,
+  onClearSelection,
+  onMarkComplete,
+  onMarkPending,
+  onDelete,
+  onReassign,
+  onMoveToList,
+  onExit,
+  isBusy,
+}) => {
+  const [assignee, setAssignee] = useState('');
+  const { data: users = [] } = useUsers();
+  const { data: lists = [] } = useLists();
+
+  const allSelected = matchingCount > 0 && selectedCount === matchingCount;
+  const noneSelected = selectedCount === 0;
+
+  const handleReassign = (e) => {
+    const userId = Number(e.target.value);
+    if (userId) {
+      onReassign(userId);
+    }
+    setAssignee('');
+  };
+
+  const handleMoveToList = (e) => {
+    if (e.target.value) {
+      onMoveToList(e.target.value);
+    }
+  };
+
+  const actionClass = 'inline-flex items-center px-3 py-2 text-sm font-medium rounded-lg border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6" role="toolbar" aria-label="Bulk actions">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-3 text-sm text-blue-900">
+          <span className="font-medium">{selectedCount} selected</span>
+          <button
+            onClick={allSelected ? onClearSelection : onSelectAll}
+            className="inline-flex items-center text-blue-700 hover:text-blue-900 underline"
+          >
+            {allSelected ? (
+              <>
+                <Square className="w-4 h-4 mr-1" />
+                Clear selection
+              </>
+            ) : (
+              <>
+                <CheckSquare className="w-4 h-4 mr-1" />
+                Select all {matchingCount} matching
+              </>
+            )}
+          </button>
+        </div>
+        <button
+          onClick={onExit}
+          className="p-1 text-blue-400 hover:text-blue-700 rounded-full transition-colors"
+          aria-label="Exit selection mode"
+          title="Done"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onMarkComplete}
+          disabled={noneSelected || isBusy}
+          className={`${actionClass} border-green-300 text-green-700 bg-white hover:bg-green-50`}
+        >
+          <Check className="w-4 h-4 mr-1" />
+          Mark complete
+        </button>
+        <button
+          onClick={onMarkPending}
+          disabled={noneSelected || isBusy}
+          className={`${actionClass} border-yellow-300 text-yellow-700 bg-white hover:bg-yellow-50`}
+        >
+          <Circle className="w-4 h-4 mr-1" />
+          Mark pending
+        </button>
+        <button
+          onClick={onDelete}
+          disabled={noneSelected || isBusy}
+          className={`${actionClass} border-red-300 text-red-700 bg-white hover:bg-red-50`}
+        >
+          <Trash2 className="w-4 h-4 mr-1" />
+          Delete
+        </button>
+        <label className={`${actionClass} border-gray-300 text-gray-700 bg-white ${noneSelected || isBusy ? 'opacity-50' : ''}`}>
+          <UserCheck className="w-4 h-4 mr-1" />
+          <span className="sr-only">Reassign to user</span>
+          <select
+            value={assignee}
+            onChange={handleReassign}
+            disabled={noneSelected || isBusy}
+            className="bg-transparent focus:outline-none"
+          >
+            <option value="">Reassign to...</option>
+            {users.map(user => (
+              <option key={user.id} value={user.id}>{user.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className={`${actionClass} border-gray-300 text-gray-700 bg-white ${noneSelected || isBusy ? 'opacity-50' : ''}`}>
+          <Folder className="w-4 h-4 mr-1" />
+          <span className="sr-only">Move to list</span>
+          <select
+            value=""
+            onChange={handleMoveToList}
+            disabled={noneSelected || isBusy}
+            className="bg-transparent focus:outline-none"
+          >
+            <option value="">Move to list...</option>
+            {lists.filter(list => !list.archived).map(list => (
+              <option key={list.id} value={list.id}>{list.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Plus } from 'lucide-react';
+import CalendarTodo from './CalendarTodo';
+
+/**
+ * CalendarDay component - One day of the month or week grid with the todos due on it
+ * Accepts dropped todos; clicking an empty part of the day starts a new todo due that day
+ */
+const CalendarDay = ({
+  day,
+  todos,
+  now,
+  isToday,
+  isOutsideMonth = false,
+  maxVisible = Infinity,
+  isDropTarget,
+  dropHandlers,
+  getDragHandlers,
+  onCreate,
+  onShowMore,
+  className = '',
+}) => {
+  const visibleTodos = todos.slice(0, maxVisible);
+  const hiddenCount = todos.length - visibleTodos.length;
+  const label = day.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+
+  // Only clicks on the day itself, not on a todo or button inside it
+  const handleClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onCreate();
+    }
+  };
+
+  return (
+    <div
+      {...dropHandlers}
+      onClick={handleClick}
+      aria-label={`${label}, ${todos.length} todos`}
+      role="group"
+      className={`group relative flex flex-col gap-1 p-2 border-b border-r border-gray-200 cursor-pointer transition-colors ${
+        isDropTarget
+          ? 'bg-blue-100 ring-2 ring-inset ring-blue-400'
+          : isOutsideMonth
+            ? 'bg-gray-50 hover:bg-gray-100'
+            : 'bg-white hover:bg-blue-50/40'
+      } ${className}`}
+    >
+      <div className="flex items-center justify-between pointer-events-none">
+        <span
+          className={`inline-flex items-center justify-center w-7 h-7 rounded-full text-sm ${
+            isToday
+              ? 'bg-blue-600 text-white font-semibold'
+              : isOutsideMonth
+                ? 'text-gray-400'
+                : 'text-gray-700'
+          }`}
+        >
+          {day.getDate()}
+        </span>
+        <button
+          onClick={onCreate}
+          aria-label={`Add a todo due ${label}`}
+          className="pointer-events-auto p-1 text-gray-400 hover:text-blue-600 rounded-full opacity-0 group-hover:opacity-100 focus:opacity-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-opacity"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+
+      {visibleTodos.map(todo => (
+        <CalendarTodo key={todo.id} todo={todo} now={now} dragHandlers={getDragHandlers(todo)} />
+      ))}
+
+      {hiddenCount > 0 && (
+        <button
+          onClick={onShowMore}
+          className="self-start px-2 text-xs font-medium text-blue-600 hover:text-blue-800"
+        >
+          +{hiddenCount} more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarDay;
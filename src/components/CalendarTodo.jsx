@@ -0,0 +1,43 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { AlertCircle } from 'lucide-react';
+import { getDueStatus } from '../utils/dueDates';
+
+/**
+ * CalendarTodo component - A draggable todo on the calendar, linking to its detail page
+ * Overdue todos are marked in red and completed ones struck through
+ */
+const CalendarTodo = ({ todo, now, showTime = true, dragHandlers }) => {
+  const location = useLocation();
+  const isOverdue = getDueStatus(todo, now) === 'overdue';
+  const time = todo.dueDate && new Date(todo.dueDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <Link
+      to={`/todo/${todo.id}`}
+      // Lets the detail page link back to this exact view of the calendar
+      state={{ from: location.pathname + location.search }}
+      draggable
+      {...dragHandlers}
+      title={todo.title}
+      className={`flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium border cursor-grab active:cursor-grabbing transition-colors ${
+        isOverdue
+          ? 'bg-red-50 border-red-200 text-red-800 hover:bg-red-100'
+          : todo.completed
+            ? 'bg-gray-50 border-gray-200 text-gray-400 line-through hover:bg-gray-100'
+            : 'bg-blue-50 border-blue-200 text-blue-900 hover:bg-blue-100'
+      }`}
+    >
+      {isOverdue && (
+        <>
+          <AlertCircle className="w-3 h-3 flex-shrink-0" aria-hidden="true" />
+          <span className="sr-only">Overdue:</span>
+        </>
+      )}
+      {showTime && time && <span className="flex-shrink-0 opacity-70">{time}</span>}
+      <span className="truncate">{todo.title}</span>
+    </Link>
+  );
+};
+
+export default CalendarTodo;
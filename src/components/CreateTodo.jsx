@@ -1,13 +1,25 @@
 import React, { useState } from 'react';
 import { Plus, X } from 'lucide-react';
+import { fromDateTimeInputValue } from '../utils/dueDates';
+import PrioritySelect from './PrioritySelect';
+import AssigneeSelect from './AssigneeSelect';
+import usePreference from '../hooks/usePreference';
+import TagPicker from './TagPicker';
 
 /**
  * CreateTodo component for adding new todos
  * Features a collapsible form with validation
+ * `defaultDueDate` (a datetime-local value) pre-fills the due date, e.g. from the calendar;
+ * `onClose` is called once the form is submitted or cancelled
  */
-const CreateTodo = ({ onCreateTodo, isLoading }) => {
-  const [isFormOpen, setIsFormOpen] = useState(false);
+const CreateTodo = ({ onCreateTodo, isLoading, defaultDueDate = '', isInitiallyOpen = false, onClose }) => {
+  const [isFormOpen, setIsFormOpen] = useState(isInitiallyOpen);
   const [title, setTitle] = useState('');
+  const [dueDate, setDueDate] = useState(defaultDueDate);
+  const [priority, setPriority] = useState('none');
+  const [tags, setTags] = useState([]);
+  // New todos go to whoever was picked last time
+  const [assignee, setAssignee] = usePreference('lastAssignee', 1);
   const [error, setError] = useState('');
 
   /**
@@ -28,11 +40,21 @@ const CreateTodo = ({ onCreateTodo, isLoading }) => {
     }
 
     try {
-      await onCreateTodo({ title: title.trim() });
+      await onCreateTodo({
+        title: title.trim(),
+        dueDate: fromDateTimeInputValue(dueDate),
+        priority: priority === 'none' ? null : priority,
+        tags: tags.length ? tags : null,
+        userId: assignee,
+      });
       // Reset form on success
       setTitle('');
+      setDueDate(defaultDueDate);
+      setPriority('none');
+      setTags([]);
       setError('');
       setIsFormOpen(false);
+      onClose?.();
     } catch (error) {
       console.error('Error creating todo:', error);
       setError('Failed to create todo. Please try again.');
@@ -54,8 +76,12 @@ const CreateTodo = ({ onCreateTodo, isLoading }) => {
    */
   const handleCancel = () => {
     setTitle('');
+    setDueDate(defaultDueDate);
+    setPriority('none');
+    setTags([]);
     setError('');
     setIsFormOpen(false);
+    onClose?.();
   };
 
   /**
@@ -150,6 +176,62 @@ const CreateTodo = ({ onCreateTodo, isLoading }) => {
               </div>
             </div>
 
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {/* Due Date Input */}
+              <div>
+                <label htmlFor="todo-due-date" className="block text-sm font-medium text-gray-700 mb-3">
+                  Due date <span className="text-gray-400 font-normal">(optional)</span>
+                </label>
+                <input
+                  id="todo-due-date"
+                  type="datetime-local"
+                  value={dueDate}
+                  onChange={(e) => setDueDate(e.target.value)}
+                  onKeyDown={handleKeyPress}
+                  disabled={isLoading}
+                  className="w-full px-4 py-3 border-0 rounded-xl bg-gray-50 focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:shadow-lg transition-all duration-200 text-gray-900 text-base"
+                />
+              </div>
+
+              {/* Priority Select */}
+              <div>
+                <label htmlFor="todo-priority" className="block text-sm font-medium text-gray-700 mb-3">
+                  Priority
+                </label>
+                <PrioritySelect
+                  id="todo-priority"
+                  value={priority}
+                  onChange={setPriority}
+                  onKeyDown={handleKeyPress}
+                  disabled={isLoading}
+                  className="w-full px-4 py-3 border-0 rounded-xl bg-gray-50 focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:shadow-lg transition-all duration-200 text-gray-900 text-base"
+                />
+              </div>
+
+              {/* Assignee Select */}
+              <div>
+                <label htmlFor="todo-assignee" className="block text-sm font-medium text-gray-700 mb-3">
+                  Assignee
+                </label>
+                <AssigneeSelect
+                  id="todo-assignee"
+                  value={assignee}
+                  onChange={setAssignee}
+                  onKeyDown={handleKeyPress}
+                  disabled={isLoading}
+                  className="w-full px-4 py-3 border-0 rounded-xl bg-gray-50 focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:shadow-lg transition-all duration-200 text-gray-900 text-base"
+                />
+              </div>
+            </div>
+
+            {/* Tag Picker */}
+            <div>
+              <label htmlFor="todo-tags" className="block text-sm font-medium text-gray-700 mb-3">
+                Tags <span className="text-gray-400 font-normal">(optional)</span>
+              </label>
+              <TagPicker id="todo-tags" tags={tags} onChange={setTags} disabled={isLoading} />
+            </div>
+
             {/* Action Buttons */}
             <div className="flex justify-end space-x-3 pt-4">
               <button
@@ -0,0 +1,57 @@
+import React from 'react';
+import { RANGE_PRESETS, getPresetRange } from '../utils/stats';
+
+/**
+ * DateRangePicker component - Preset ranges and from/to date inputs
+ * `range` and `onChange` use day keys ({ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' })
+ */
+const DateRangePicker = ({ range, onChange }) => {
+  // Keep the range the right way round whichever end is changed
+  const handleDateChange = (field, value) => {
+    if (!value) return;
+    const next = { ...range, [field]: value };
+    onChange(next.from <= next.to ? next : { from: next.to, to: next.from });
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+      <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1" role="group" aria-label="Date range presets">
+        {RANGE_PRESETS.map(preset => {
+          const presetRange = getPresetRange(preset.days);
+          const isActive = presetRange.from === range.from && presetRange.to === range.to;
+          return (
+            <button
+              key={preset.days}
+              onClick={() => onChange(presetRange)}
+              aria-pressed={isActive}
+              className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                isActive ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {preset.label}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="date"
+          value={range.from}
+          onChange={(e) => handleDateChange('from', e.target.value)}
+          aria-label="From"
+          className="px-3 py-1.5 border rounded-lg bg-white shadow-sm text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <span aria-hidden="true">–</span>
+        <input
+          type="date"
+          value={range.to}
+          onChange={(e) => handleDateChange('to', e.target.value)}
+          aria-label="To"
+          className="px-3 py-1.5 border rounded-lg bg-white shadow-sm text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default DateRangePicker;
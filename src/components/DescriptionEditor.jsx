@@ -0,0 +1,168 @@
+import React, { useRef, useState } from 'react';
+import { Bold, Italic, Link2, Code, ListChecks, List, Edit2, Check, X } from 'lucide-react';
+import MarkdownContent from './MarkdownContent';
+
+// Toolbar actions wrap the selection, or insert a line prefix
+const FORMATS = [
+  { label: 'Bold', icon: Bold, before: '**', after: '**', placeholder: 'bold text' },
+  { label: 'Italic', icon: Italic, before: '_', after: '_', placeholder: 'italic text' },
+  { label: 'Link', icon: Link2, before: '[', after: '](https://)', placeholder: 'link text' },
+  { label: 'Code', icon: Code, before: '`', after: '`', placeholder: 'code' },
+  { label: 'Bulleted list', icon: List, linePrefix: '- ' },
+  { label: 'Checklist', icon: ListChecks, linePrefix: '- [ ] ' },
+];
+
+/**
+ * DescriptionEditor component - Markdown description with an editor and live preview
+ * Reports the new description (or null when emptied) through onSave
+ */
+const DescriptionEditor = ({ description, onSave, disabled }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(description || '');
+  const textareaRef = useRef(null);
+
+  const startEditing = () => {
+    setDraft(description || '');
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    const value = draft.trim();
+    if (value !== (description || '')) {
+      onSave(value || null);
+    }
+    setIsEditing(false);
+  };
+
+  const handleCancel = () => {
+    setDraft(description || '');
+    setIsEditing(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      handleSave();
+    } else if (e.key === 'Escape') {
+      handleCancel();
+    }
+  };
+
+  /**
+   * Apply a toolbar format to the current selection and keep the caret in place
+   */
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current;
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    let next;
+    let caretStart;
+    let caretEnd;
+
+    if (format.linePrefix) {
+      const lineStart = draft.lastIndexOf('\n', start - 1) + 1;
+      next = draft.slice(0, lineStart) + format.linePrefix + draft.slice(lineStart);
+      caretStart = start + format.linePrefix.length;
+      caretEnd = end + format.linePrefix.length;
+    } else {
+      const selected = draft.slice(start, end) || format.placeholder;
+      next = draft.slice(0, start) + format.before + selected + format.after + draft.slice(end);
+      caretStart = start + format.before.length;
+      caretEnd = caretStart + selected.length;
+    }
+
+    setDraft(next);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(caretStart, caretEnd);
+    });
+  };
+
+  if (!isEditing) {
+    return (
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-medium text-gray-900">Description</h3>
+          <button
+            onClick={startEditing}
+            disabled={disabled}
+            className="inline-flex items-center px-3 py-1 text-sm font-medium text-amber-700 border border-amber-300 rounded-md hover:bg-amber-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Edit2 className="w-4 h-4 mr-1" />
+            {description ? 'Edit' : 'Add description'}
+          </button>
+        </div>
+        {description ? (
+          <MarkdownContent markdown={description} />
+        ) : (
+          <p className="text-sm text-gray-500">No description yet.</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">Description</h3>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleSave}
+            disabled={disabled}
+            className="inline-flex items-center px-3 py-1 text-sm font-medium text-green-700 border border-green-300 rounded-md hover:bg-green-50 disabled:opacity-50"
+          >
+            <Check className="w-4 h-4 mr-1" />
+            Save
+          </button>
+          <button
+            onClick={handleCancel}
+            className="inline-flex items-center px-3 py-1 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <X className="w-4 h-4 mr-1" />
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      {/* Formatting Toolbar */}
+      <div className="flex flex-wrap gap-1 mb-2" role="toolbar" aria-label="Formatting">
+        {FORMATS.map(format => (
+          <button
+            key={format.label}
+            type="button"
+            onClick={() => applyFormat(format)}
+            className="p-1.5 text-gray-600 rounded hover:bg-gray-100 hover:text-gray-900"
+            title={format.label}
+            aria-label={format.label}
+          >
+            <format.icon className="w-4 h-4" />
+          </button>
+        ))}
+      </div>
+
+      {/* Editor and Live Preview */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <textarea
+          ref={textareaRef}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          autoFocus
+          rows={10}
+          placeholder="Write in Markdown: **bold**, [links](https://example.com), ``` code ```, - [ ] checklists"
+          aria-label="Description (Markdown)"
+          className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+        />
+        <div className="px-3 py-2 border border-dashed border-gray-200 rounded-md overflow-auto" aria-label="Preview">
+          {draft.trim() ? (
+            <MarkdownContent markdown={draft} />
+          ) : (
+            <p className="text-sm text-gray-400">Preview</p>
+          )}
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">Markdown supported. Press Ctrl+Enter to save, Escape to cancel.</p>
+    </div>
+  );
+};
+
+export default DescriptionEditor;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { List, Rows3 } from 'lucide-react';
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+const MODES = [
+  { value: 'paged', label: 'Pages', icon: List },
+  { value: 'continuous', label: 'Continuous', icon: Rows3 },
+];
+
+/**
+ * DisplayModeControl component - Switches TodoList between pages and continuous scrolling
+ * The page size doubles as the batch size loaded at a time in continuous mode
+ */
+const DisplayModeControl = ({ mode, onModeChange, pageSize, onPageSizeChange }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm">
+    <div className="inline-flex rounded-lg border border-gray-200 p-0.5" role="group" aria-label="List display">
+      {MODES.map(option => (
+        <button
+          key={option.value}
+          onClick={() => onModeChange(option.value)}
+          aria-pressed={mode === option.value}
+          className={`inline-flex items-center px-3 py-1 rounded-md font-medium transition-colors ${
+            mode === option.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+          }`}
+        >
+          <option.icon className="w-3 h-3 mr-1" />
+          {option.label}
+        </button>
+      ))}
+    </div>
+    <select
+      value={pageSize}
+      onChange={(e) => onPageSizeChange(Number(e.target.value))}
+      aria-label={mode === 'paged' ? 'Todos per page' : 'Todos loaded at a time'}
+      className="px-2 py-1 border rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500"
+    >
+      {PAGE_SIZES.map(size => (
+        <option key={size} value={size}>
+          {mode === 'paged' ? `${size} per page` : `Load ${size} at a time`}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+export default DisplayModeControl;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+import { getDueStatus, formatDueDate } from '../utils/dueDates';
+
+const STATUS_STYLES = {
+  overdue: 'bg-red-100 text-red-800',
+  today: 'bg-amber-100 text-amber-800',
+  upcoming: 'bg-indigo-100 text-indigo-800',
+};
+
+const STATUS_LABELS = {
+  overdue: 'Overdue',
+  today: 'Due',
+  upcoming: 'Due',
+};
+
+/**
+ * DueBadge component - Shows a todo's due date as an overdue/today/upcoming badge
+ * Renders nothing for undated todos
+ */
+const DueBadge = ({ todo, className = '' }) => {
+  if (!todo.dueDate) {
+    return null;
+  }
+
+  const status = getDueStatus(todo);
+  const style = status ? STATUS_STYLES[status] : 'bg-gray-100 text-gray-600';
+  const label = status ? STATUS_LABELS[status] : 'Was due';
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${style} ${className}`}
+      title={new Date(todo.dueDate).toLocaleString()}
+    >
+      <Clock className="w-3 h-3 mr-1" />
+      {label} {formatDueDate(todo.dueDate)}
+    </span>
+  );
+};
+
+export default DueBadge;
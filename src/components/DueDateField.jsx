@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../utils/dueDates';
+
+/**
+ * DueDateField component - Editable due date with save and clear actions
+ * Reports the new ISO due date (or null when cleared) through onSave
+ */
+const DueDateField = ({ dueDate, onSave, disabled }) => {
+  const [draft, setDraft] = useState(toDateTimeInputValue(dueDate));
+
+  const isDirty = draft !== toDateTimeInputValue(dueDate);
+
+  const handleSave = () => {
+    onSave(fromDateTimeInputValue(draft));
+  };
+
+  const handleClear = () => {
+    setDraft('');
+    onSave(null);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        type="datetime-local"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        disabled={disabled}
+        aria-label="Due date"
+        className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {isDirty && (
+        <button
+          onClick={handleSave}
+          disabled={disabled}
+          className="p-1 text-green-600 hover:bg-green-50 rounded-md border border-green-300"
+          title="Save due date"
+        >
+          <Check className="w-4 h-4" />
+        </button>
+      )}
+      {dueDate && (
+        <button
+          onClick={handleClear}
+          disabled={disabled}
+          className="p-1 text-red-600 hover:bg-red-50 rounded-md border border-red-300"
+          title="Clear due date"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DueDateField;
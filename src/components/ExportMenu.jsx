@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+import { EXPORT_FORMATS, serializeTodos, downloadFile } from '../utils/importExport';
+import useTodos from '../hooks/useTodos';
+
+/**
+ * ExportMenu component - Downloads all todos, or the filtered ones, as a file
+ * Offers JSON (every field), CSV, Markdown checklists and iCalendar for dated todos
+ * Loads the full list when opened; `getFilteredTodos(allTodos)` picks the current view from it
+ */
+const ExportMenu = ({ getFilteredTodos, isFiltered }) => {
+  const [scope, setScope] = useState('all'); // 'all' or 'filtered'
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { data: allTodos = [] } = useTodos({ enabled: isOpen });
+  const filteredTodos = getFilteredTodos(allTodos);
+  const todos = scope === 'filtered' ? filteredTodos : allTodos;
+  const datedCount = todos.filter(todo => todo.dueDate).length;
+
+  const handleExport = (format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    const name = scope === 'filtered' ? 'todos-filtered' : 'todos';
+    downloadFile(`${name}-${date}.${extension}`, serializeTodos(todos, format), mimeType);
+  };
+
+  return (
+    <details className="relative group" onToggle={(e) => setIsOpen(e.currentTarget.open)}>
+      <summary className="list-none inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors cursor-pointer">
+        <Download className="w-3 h-3 mr-1" />
+        Export
+        <ChevronDown className="w-3 h-3 ml-1 group-open:rotate-180 transition-transform" />
+      </summary>
+
+      <div className="absolute z-20 mt-2 left-1/2 -translate-x-1/2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-3 text-left">
+        {/* Scope */}
+        <fieldset className="mb-3">
+          <legend className="text-xs font-medium text-gray-500 mb-1">Todos to export</legend>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === 'all'}
+              onChange={() => setScope('all')}
+              className="mr-2"
+            />
+            All todos ({allTodos.length})
+          </label>
+          <label className={`flex items-center text-sm ${isFiltered ? 'text-gray-700' : 'text-gray-400'}`}>
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === 'filtered'}
+              onChange={() => setScope('filtered')}
+              disabled={!isFiltered}
+              className="mr-2"
+            />
+            Current filter ({filteredTodos.length})
+          </label>
+        </fieldset>
+
+        {/* Formats */}
+        <div className="space-y-1">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label, extension, datedOnly }]) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => handleExport(format)}
+              disabled={(datedOnly ? datedCount : todos.length) === 0}
+              title={datedOnly ? `${datedCount} todos with a due date` : undefined}
+              className="w-full flex items-center justify-between px-2 py-1 rounded text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {label}
+              <span className="text-xs text-gray-400">.{extension}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default ExportMenu;
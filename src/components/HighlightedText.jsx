@@ -0,0 +1,41 @@
+import React from 'react';
+
+/**
+ * HighlightedText component - Renders text with search matches marked
+ * `ranges` are [start, end) character offsets; overlapping ranges are merged
+ */
+const HighlightedText = ({ text, ranges = [] }) => {
+  const merged = [...ranges]
+    .map(([start, end]) => [Math.max(0, start), Math.min(text.length, end)])
+    .filter(([start, end]) => start < end)
+    .sort((a, b) => a[0] - b[0])
+    .reduce((result, range) => {
+      const last = result[result.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        result.push([...range]);
+      }
+      return result;
+    }, []);
+
+  if (merged.length === 0) {
+    return text;
+  }
+
+  const parts = [];
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,260 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Upload, X, AlertCircle, AlertTriangle, CheckCircle, Copy, Loader } from 'lucide-react';
+import { IMPORT_FORMATS, detectFormat, parseImport } from '../utils/importExport';
+import { useImportTodos } from '../hooks/useTodoMutations';
+import useTodos from '../hooks/useTodos';
+import { useLists } from '../hooks/useLists';
+
+/**
+ * ImportDialog component - Imports todos from JSON, CSV, Markdown checklists or iCalendar
+ * Shows a preview with validation problems and duplicates before anything is written
+ * Imported todos keep the list they were exported from if it exists here,
+ * and otherwise go into `listId` when one is given
+ */
+const ImportDialog = ({ listId, onClose }) => {
+  // Every todo, for spotting duplicates; the list itself may only hold one page
+  const { data: existingTodos } = useTodos();
+  const { data: lists } = useLists();
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState('json');
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [result, setResult] = useState(null);
+  const [importError, setImportError] = useState('');
+
+  const importMutation = useImportTodos({ onError: setImportError });
+
+  // Escape closes the dialog
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Parse and validate as the input changes
+  const { rows, parseError } = useMemo(() => {
+    if (!text.trim()) {
+      return { rows: [], parseError: '' };
+    }
+    try {
+      return { rows: parseImport(text, format, existingTodos ?? [], lists ?? []), parseError: '' };
+    } catch (error) {
+      return { rows: [], parseError: error.message };
+    }
+  }, [text, format, existingTodos, lists]);
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const duplicateCount = validRows.filter(row => row.duplicateOf).length;
+  const invalidCount = rows.length - validRows.length;
+  const rowsToImport = validRows.filter(row => includeDuplicates || !row.duplicateOf);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const content = await file.text();
+    setFileName(file.name);
+    setFormat(detectFormat(file.name, content));
+    setText(content);
+    setResult(null);
+  };
+
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    setFileName('');
+    setResult(null);
+  };
+
+  const handleImport = () => {
+    setImportError('');
+    importMutation.mutate(rowsToImport.map(row => (
+      listId && !('listId' in row.todo) ? { ...row.todo, listId } : row.todo
+    )), {
+      onSuccess: setResult,
+    });
+  };
+
+  const statusFor = (row) => {
+    if (row.errors.length > 0) {
+      return { icon: AlertCircle, style: 'text-red-600', label: 'Skipped' };
+    }
+    if (row.duplicateOf) {
+      return { icon: Copy, style: 'text-amber-600', label: includeDuplicates ? 'Duplicate' : 'Duplicate, skipped' };
+    }
+    return { icon: CheckCircle, style: 'text-green-600', label: 'Ready' };
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-title"
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-2xl shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 id="import-title" className="text-xl font-semibold text-gray-900 flex items-center">
+            <Upload className="w-5 h-5 mr-2" />
+            Import todos
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {result ? (
+            /* Import Result */
+            <div role="status">
+              <p className="text-sm text-green-700 flex items-center">
+                <CheckCircle className="w-4 h-4 mr-2" />
+                Imported {result.succeeded.length} {result.succeeded.length === 1 ? 'todo' : 'todos'}.
+              </p>
+              {result.failed.length > 0 && (
+                <div className="mt-3 text-sm text-red-700">
+                  <p className="flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {result.failed.length} couldn't be created:
+                  </p>
+                  <ul className="mt-1 ml-6 list-disc">
+                    {result.failed.map(({ id, message }, index) => (
+                      <li key={index}>"{id}": {message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          ) : (
+            <>
+              {/* Source */}
+              <div className="flex flex-col sm:flex-row gap-3">
+                <label className="flex-1 inline-flex items-center justify-center px-4 py-3 border-2 border-dashed border-blue-200 rounded-xl text-sm text-blue-700 hover:border-blue-400 hover:bg-blue-50/50 cursor-pointer">
+                  <Upload className="w-4 h-4 mr-2" />
+                  {fileName || 'Choose a .json, .csv, .md or .ics file'}
+                  <input
+                    type="file"
+                    accept=".json,.csv,.md,.markdown,.ics,application/json,text/csv,text/markdown,text/calendar"
+                    onChange={handleFile}
+                    className="sr-only"
+                  />
+                </label>
+                <select
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                  aria-label="Import format"
+                  className="sm:w-48 px-3 py-2 border rounded-lg bg-white text-sm focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(IMPORT_FORMATS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <textarea
+                value={text}
+                onChange={handleTextChange}
+                rows={5}
+                placeholder="...or paste JSON, CSV, a Markdown checklist or iCalendar data here"
+                aria-label="Import data"
+                className="w-full px-3 py-2 font-mono text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+
+              {parseError && (
+                <p className="text-sm text-red-600 flex items-center" role="alert">
+                  <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                  {parseError}
+                </p>
+              )}
+
+              {/* Validation Report */}
+              {rows.length > 0 && (
+                <div>
+                  <p className="text-sm text-gray-700 mb-2">
+                    {rows.length} found · {validRows.length - duplicateCount} new · {duplicateCount} duplicates · {invalidCount} with errors
+                  </p>
+                  {duplicateCount > 0 && (
+                    <label className="flex items-center text-sm text-gray-700 mb-2">
+                      <input
+                        type="checkbox"
+                        checked={includeDuplicates}
+                        onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                        className="mr-2"
+                      />
+                      Import duplicates as well
+                    </label>
+                  )}
+                  <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-72 overflow-y-auto">
+                    {rows.map((row, index) => {
+                      const status = statusFor(row);
+                      return (
+                        <li key={index} className="px-3 py-2 text-sm">
+                          <div className="flex items-center justify-between gap-3">
+                            <span className="min-w-0 truncate text-gray-900">
+                              <span className="text-xs text-gray-400 mr-2">{row.source}</span>
+                              {row.todo.title || <em className="text-gray-400">untitled</em>}
+                            </span>
+                            <span className={`flex-shrink-0 inline-flex items-center text-xs font-medium ${status.style}`}>
+                              <status.icon className="w-3 h-3 mr-1" />
+                              {status.label}
+                            </span>
+                          </div>
+                          {row.duplicateOf && (
+                            <p className="mt-1 text-xs text-amber-700">Matches "{row.duplicateOf}"</p>
+                          )}
+                          {row.errors.map(message => (
+                            <p key={message} className="mt-1 text-xs text-red-600">{message}</p>
+                          ))}
+                          {row.warnings.map(message => (
+                            <p key={message} className="mt-1 text-xs text-gray-500 flex items-center">
+                              <AlertTriangle className="w-3 h-3 mr-1 flex-shrink-0" />
+                              {message}
+                            </p>
+                          ))}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+
+              {importError && (
+                <p className="text-sm text-red-600 flex items-center" role="alert">
+                  <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                  {importError}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            {result ? 'Done' : 'Cancel'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={rowsToImport.length === 0 || importMutation.isPending}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              {importMutation.isPending && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+              Import {rowsToImport.length} {rowsToImport.length === 1 ? 'todo' : 'todos'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Pencil, Archive, ArchiveRestore, Trash2 } from 'lucide-react';
+import { useRenameList, useArchiveList, useDeleteList } from '../hooks/useLists';
+
+/**
+ * ListHeader component - A list's name with rename, archive and delete actions
+ * The built-in Inbox only shows its name
+ */
+const ListHeader = ({ list, todoCount, onError }) => {
+  const navigate = useNavigate();
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(list.name);
+
+  const renameMutation = useRenameList({ onError });
+  const archiveMutation = useArchiveList({ onError });
+  const deleteMutation = useDeleteList({ onError });
+  const isBusy = renameMutation.isPending || archiveMutation.isPending || deleteMutation.isPending;
+
+  const startRename = () => {
+    setName(list.name);
+    setIsRenaming(true);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (name.trim() === list.name) {
+      setIsRenaming(false);
+      return;
+    }
+    renameMutation.mutate({ id: list.id, name }, {
+      onSuccess: () => setIsRenaming(false),
+    });
+  };
+
+  const handleDelete = () => {
+    const message = todoCount > 0
+      ? `Delete "${list.name}"? Its ${todoCount} todos will be moved to the trash.`
+      : `Delete "${list.name}"?`;
+    if (window.confirm(message)) {
+      deleteMutation.mutate(list.id, {
+        onSuccess: (result) => {
+          if (result.failed.length === 0) {
+            navigate('/');
+          }
+        },
+      });
+    }
+  };
+
+  const actionClass = 'inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div>
+      {isRenaming ? (
+        <form onSubmit={handleRename} className="flex items-center justify-center gap-2 mb-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsRenaming(false)}
+            aria-label="List name"
+            autoFocus
+            className="px-3 py-1 text-2xl font-bold text-gray-800 border rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || isBusy}
+            className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsRenaming(false)}
+            className="px-3 py-2 text-sm font-medium text-gray-600 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <h1 className="text-3xl font-bold text-gray-800 mb-2">{list.name}</h1>
+      )}
+      <p className="text-gray-600">
+        {list.archived ? 'This list is archived, so its todos are hidden from "All lists".' : `${todoCount} todos`}
+      </p>
+
+      {!list.isBuiltIn && !isRenaming && (
+        <div className="mt-3 flex items-center justify-center gap-2">
+          <button
+            onClick={startRename}
+            disabled={isBusy}
+            className={`${actionClass} text-gray-600 bg-white border-gray-200 hover:bg-gray-50`}
+          >
+            <Pencil className="w-3 h-3 mr-1" />
+            Rename
+          </button>
+          <button
+            onClick={() => archiveMutation.mutate({ id: list.id, archived: !list.archived })}
+            disabled={isBusy}
+            className={`${actionClass} text-gray-600 bg-white border-gray-200 hover:bg-gray-50`}
+          >
+            {list.archived ? <ArchiveRestore className="w-3 h-3 mr-1" /> : <Archive className="w-3 h-3 mr-1" />}
+            {list.archived ? 'Unarchive' : 'Archive'}
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={isBusy}
+            className={`${actionClass} text-red-700 bg-white border-red-200 hover:bg-red-50`}
+          >
+            <Trash2 className="w-3 h-3 mr-1" />
+            Delete list
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ListHeader;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { useLists } from '../hooks/useLists';
+
+/**
+ * ListSelect component - Dropdown for picking the list a todo belongs to
+ * Archived lists are left out unless the todo is already in one
+ */
+const ListSelect = ({ value, onChange, className = '', ...props }) => {
+  const { data: lists = [] } = useLists();
+  const options = lists.filter(list => !list.archived || list.id === value);
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={className}
+      {...props}
+    >
+      {options.map(list => (
+        <option key={list.id} value={list.id}>{list.name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default ListSelect;
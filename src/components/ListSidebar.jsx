@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Layers, Inbox, Folder, FolderPlus, Archive } from 'lucide-react';
+import { useCreateList } from '../hooks/useLists';
+import { INBOX_ID } from '../utils/lists';
+
+/**
+ * ListSidebar component - Navigation between "All lists" and each list, and a form for new lists
+ * While a todo is being dragged, dropping it on a list moves it there
+ */
+const ListSidebar = ({ lists, activeListId, isDragging, onDropTodo }) => {
+  const navigate = useNavigate();
+  const [newName, setNewName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [dropListId, setDropListId] = useState(null);
+
+  const createListMutation = useCreateList({ onError: setError });
+
+  const activeLists = lists.filter(list => !list.archived);
+  const archivedLists = lists.filter(list => list.archived);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    setError('');
+    createListMutation.mutate(newName, {
+      onSuccess: (list) => {
+        setNewName('');
+        setIsCreating(false);
+        navigate(`/lists/${list.id}`);
+      },
+    });
+  };
+
+  const cancelCreate = () => {
+    setNewName('');
+    setError('');
+    setIsCreating(false);
+  };
+
+  const getDropHandlers = (listId) => (isDragging ? {
+    onDragOver: (e) => {
+      e.preventDefault();
+      setDropListId(listId);
+    },
+    onDragLeave: () => setDropListId(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropListId(null);
+      onDropTodo(listId);
+    },
+  } : {});
+
+  const linkClass = (isActive, isDropTarget) => `flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+    isDropTarget
+      ? 'bg-blue-100 text-blue-800 ring-2 ring-blue-400'
+      : isActive
+        ? 'bg-blue-600 text-white'
+        : 'text-gray-700 hover:bg-white'
+  }`;
+
+  const renderListLink = (list) => (
+    <li key={list.id}>
+      <Link
+        to={`/lists/${list.id}`}
+        aria-current={list.id === activeListId ? 'page' : undefined}
+        className={linkClass(list.id === activeListId, list.id === dropListId)}
+        {...getDropHandlers(list.id)}
+      >
+        {list.id === INBOX_ID
+          ? <Inbox className="w-4 h-4 mr-2 flex-shrink-0" />
+          : <Folder className="w-4 h-4 mr-2 flex-shrink-0" />}
+        <span className="truncate">{list.name}</span>
+      </Link>
+    </li>
+  );
+
+  return (
+    <nav aria-label="Lists" className="mb-6 lg:mb-0">
+      <ul className="space-y-1">
+        <li>
+          <Link
+            to="/"
+            aria-current={!activeListId ? 'page' : undefined}
+            className={linkClass(!activeListId, false)}
+          >
+            <Layers className="w-4 h-4 mr-2 flex-shrink-0" />
+            All lists
+          </Link>
+        </li>
+        {activeLists.map(renderListLink)}
+      </ul>
+
+      {isDragging && (
+        <p className="mt-2 px-3 text-xs text-gray-500">Drop a todo on a list to move it there.</p>
+      )}
+
+      {/* New List */}
+      {isCreating ? (
+        <form onSubmit={handleCreate} className="mt-3 px-1">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && cancelCreate()}
+            placeholder="List name"
+            aria-label="New list name"
+            autoFocus
+            className="w-full px-3 py-2 text-sm border rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          {error && <p className="mt-1 text-xs text-red-600" role="alert">{error}</p>}
+          <div className="mt-2 flex gap-2">
+            <button
+              type="submit"
+              disabled={!newName.trim() || createListMutation.isPending}
+              className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Create
+            </button>
+            <button
+              type="button"
+              onClick={cancelCreate}
+              className="px-3 py-1 text-sm font-medium text-gray-600 rounded-lg hover:bg-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setIsCreating(true)}
+          className="mt-3 w-full flex items-center px-3 py-2 rounded-lg text-sm font-medium text-blue-600 hover:bg-white transition-colors"
+        >
+          <FolderPlus className="w-4 h-4 mr-2" />
+          New list
+        </button>
+      )}
+
+      {/* Archived Lists */}
+      {archivedLists.length > 0 && (
+        <details className="mt-4" open={archivedLists.some(list => list.id === activeListId)}>
+          <summary className="flex items-center px-3 py-1 text-xs font-medium text-gray-500 uppercase tracking-wide cursor-pointer">
+            <Archive className="w-3 h-3 mr-1" />
+            Archived ({archivedLists.length})
+          </summary>
+          <ul className="mt-1 space-y-1">
+            {archivedLists.map(renderListLink)}
+          </ul>
+        </details>
+      )}
+    </nav>
+  );
+};
+
+export default ListSidebar;
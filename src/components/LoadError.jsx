@@ -0,0 +1,26 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * LoadError component - Full-page message for data that failed to load, with a retry button
+ * A message and children replace the error's text and the retry button, e.g. for something that doesn't exist
+ */
+const LoadError = ({ title, error, message = error?.message, onRetry, children }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-100 px-4">
+    <div className="bg-white p-8 rounded-lg shadow-lg max-w-md mx-auto text-center">
+      <AlertCircle className="h-12 w-12 text-red-600 mx-auto mb-4" />
+      <h2 className="text-lg font-medium text-gray-900 mb-2">{title}</h2>
+      <p className="text-gray-600 mb-4">{message}</p>
+      {children ?? (
+        <button
+          onClick={onRetry}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Try Again
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+export default LoadError;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { Loader } from 'lucide-react';
+
+/**
+ * LoadingScreen component - Full-page spinner shown while a page's data loads
+ */
+const LoadingScreen = ({ message }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-100">
+    <div className="text-center" role="status">
+      <Loader className="h-8 w-8 animate-spin text-blue-600 mx-auto mb-4" />
+      <p className="text-gray-600">{message}</p>
+    </div>
+  </div>
+);
+
+export default LoadingScreen;
@@ -0,0 +1,34 @@
+import React, { useMemo } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+
+// Tailwind has no base styles for rendered Markdown, so style the elements here
+const markdownStyles = [
+  '[&_h1]:text-xl [&_h1]:font-semibold [&_h1]:mt-4 [&_h1]:mb-2',
+  '[&_h2]:text-lg [&_h2]:font-semibold [&_h2]:mt-4 [&_h2]:mb-2',
+  '[&_h3]:font-semibold [&_h3]:mt-3 [&_h3]:mb-1',
+  '[&_p]:my-2 [&_a]:text-blue-600 [&_a]:underline hover:[&_a]:text-blue-800',
+  '[&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6 [&_li]:my-1',
+  '[&_li:has(>input)]:list-none [&_li>input]:mr-2 [&_li>input]:-ml-5',
+  '[&_blockquote]:border-l-4 [&_blockquote]:border-gray-200 [&_blockquote]:pl-3 [&_blockquote]:text-gray-600',
+  '[&_code]:font-mono [&_code]:text-sm [&_code]:bg-gray-100 [&_code]:rounded [&_code]:px-1',
+  '[&_pre]:bg-gray-900 [&_pre]:text-gray-100 [&_pre]:rounded-md [&_pre]:p-3 [&_pre]:my-2 [&_pre]:overflow-x-auto',
+  '[&_pre_code]:bg-transparent [&_pre_code]:p-0',
+  '[&_table]:my-2 [&_th]:border [&_th]:px-2 [&_td]:border [&_td]:px-2',
+].join(' ');
+
+/**
+ * MarkdownContent component - Renders a Markdown string as sanitized HTML
+ */
+const MarkdownContent = ({ markdown, className = '' }) => {
+  const html = useMemo(() => renderMarkdown(markdown), [markdown]);
+
+  return (
+    <div
+      className={`text-sm text-gray-800 break-words ${markdownStyles} ${className}`}
+      // renderMarkdown runs the HTML through DOMPurify
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+/**
+ * MutationError component - Dismissible banner for the last failed change
+ * Renders nothing while there is no message
+ */
+const MutationError = ({ message, onDismiss }) => {
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start justify-between" role="alert">
+      <p className="text-sm text-red-700 flex items-center">
+        <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+        {message}
+      </p>
+      <button
+        onClick={onDismiss}
+        className="ml-4 text-red-400 hover:text-red-600"
+        aria-label="Dismiss error"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default MutationError;
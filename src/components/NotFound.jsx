@@ -75,9 +75,40 @@ const NotFound = () => {
                 / - Todo List (Home)
               </Link>
             </div>
+            <div>
+              <span className="text-gray-400">/lists/:listId - A Single List</span>
+            </div>
+            <div>
+              <Link to="/board" className="text-blue-600 hover:text-blue-800 transition-colors">
+                /board - Board
+              </Link>
+            </div>
+            <div>
+              <Link to="/calendar" className="text-blue-600 hover:text-blue-800 transition-colors">
+                /calendar - Calendar
+              </Link>
+            </div>
+            <div>
+              <Link to="/stats" className="text-blue-600 hover:text-blue-800 transition-colors">
+                /stats - Statistics
+              </Link>
+            </div>
             <div>
               <span className="text-gray-400">/todo/:id - Todo Details</span>
             </div>
+            <div>
+              <Link to="/trash" className="text-blue-600 hover:text-blue-800 transition-colors">
+                /trash - Trash
+              </Link>
+            </div>
+            <div>
+              <Link to="/tags" className="text-blue-600 hover:text-blue-800 transition-colors">
+                /tags - Tags
+              </Link>
+            </div>
+            <div>
+              <span className="text-gray-400">/users/:id - A User's Todos</span>
+            </div>
           </div>
         </div>
       </div>
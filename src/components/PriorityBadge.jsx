@@ -0,0 +1,23 @@
+import React from 'react';
+import { Flag } from 'lucide-react';
+import { getPriority } from '../utils/priorities';
+
+/**
+ * PriorityBadge component - Shows a todo's priority level
+ * Renders nothing for todos without a priority
+ */
+const PriorityBadge = ({ priority, className = '' }) => {
+  const level = getPriority(priority);
+  if (level.value === 'none') {
+    return null;
+  }
+
+  return (
+    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${level.style} ${className}`}>
+      <Flag className="w-3 h-3 mr-1" />
+      {level.label}
+    </span>
+  );
+};
+
+export default PriorityBadge;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { PRIORITIES } from '../utils/priorities';
+
+/**
+ * PrioritySelect component - Dropdown for picking a priority level
+ */
+const PrioritySelect = ({ value, onChange, className = '', ...props }) => (
+  <select
+    value={value || 'none'}
+    onChange={(e) => onChange(e.target.value)}
+    className={className}
+    {...props}
+  >
+    {PRIORITIES.map(priority => (
+      <option key={priority.value} value={priority.value}>{priority.label}</option>
+    ))}
+  </select>
+);
+
+export default PrioritySelect;
@@ -0,0 +1,242 @@
+import React, { useMemo, useState } from 'react';
+import { Repeat, Edit2, Pause, Play, Square, Check, X, AlertCircle } from 'lucide-react';
+import { formatDueDate } from '../utils/dueDates';
+import {
+  RECURRENCE_PRESETS,
+  parseRRule,
+  presetToRRule,
+  rruleToPreset,
+  describeRecurrence,
+  getUpcomingOccurrences,
+} from '../utils/recurrence';
+
+/**
+ * RecurrenceEditor component - Repeat rule for a todo on the detail page
+ * Edits, pauses or ends the series and lists upcoming occurrences
+ */
+const RecurrenceEditor = ({ todo, onSave, disabled }) => {
+  const { recurrence } = todo;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(() => rruleToPreset(recurrence?.rrule || 'FREQ=DAILY'));
+
+  const draftRRule = presetToRRule(draft.preset, draft);
+
+  // Validate the draft and preview where it would land next
+  const { draftError, draftUpcoming } = useMemo(() => {
+    try {
+      parseRRule(draftRRule);
+    } catch (error) {
+      return { draftError: error.message, draftUpcoming: [] };
+    }
+    return {
+      draftError: '',
+      draftUpcoming: getUpcomingOccurrences({ ...todo, recurrence: { rrule: draftRRule, occurrence: 1 } }, 3),
+    };
+  }, [draftRRule, todo]);
+
+  const upcoming = useMemo(() => getUpcomingOccurrences(todo, 5), [todo]);
+
+  const startEditing = () => {
+    setDraft(rruleToPreset(recurrence?.rrule || 'FREQ=DAILY'));
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    if (draftError) return;
+    onSave({
+      rrule: draftRRule,
+      paused: recurrence?.paused || false,
+      occurrence: recurrence?.occurrence || 1,
+    });
+    setIsEditing(false);
+  };
+
+  const handleTogglePause = () => {
+    onSave({ ...recurrence, paused: !recurrence.paused });
+  };
+
+  const handleEnd = () => {
+    if (window.confirm(`Stop repeating "${todo.title}"? This todo is kept, but no further occurrences will be created.`)) {
+      onSave(null);
+    }
+  };
+
+  const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const buttonClass = 'inline-flex items-center px-3 py-1 text-sm font-medium border rounded-md disabled:opacity-50 disabled:cursor-not-allowed';
+
+  if (isEditing) {
+    return (
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-3">Repeat</h3>
+
+        <div className="space-y-3">
+          <select
+            value={draft.preset}
+            onChange={(e) => updateDraft({ preset: e.target.value })}
+            aria-label="Repeat rule"
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {RECURRENCE_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+          </select>
+
+          {(draft.preset === 'days' || draft.preset === 'weeks') && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              Every
+              <input
+                type="number"
+                min="1"
+                value={draft.interval}
+                onChange={(e) => updateDraft({ interval: Math.max(1, Number(e.target.value) || 1) })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {draft.preset === 'days' ? 'days' : 'weeks'}
+            </label>
+          )}
+
+          {draft.preset === 'monthly' && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              On day
+              <input
+                type="number"
+                min="1"
+                max="31"
+                value={draft.monthDay}
+                onChange={(e) => updateDraft({ monthDay: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              of each month
+            </label>
+          )}
+
+          {draft.preset === 'custom' && (
+            <div>
+              <input
+                type="text"
+                value={draft.rrule}
+                onChange={(e) => updateDraft({ rrule: e.target.value })}
+                placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10"
+                aria-label="RRULE"
+                aria-invalid={Boolean(draftError)}
+                className="w-full px-2 py-1 font-mono text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL.
+              </p>
+            </div>
+          )}
+
+          {draftError ? (
+            <p className="text-sm text-red-600 flex items-center" role="alert">
+              <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+              {draftError}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600">
+              {describeRecurrence(draftRRule)}
+              {draftUpcoming.length > 0 && (
+                <span className="text-gray-500"> · next {draftUpcoming.map(date => formatDueDate(date)).join(', ')}</span>
+              )}
+            </p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={disabled || Boolean(draftError)}
+              className={`${buttonClass} text-green-700 border-green-300 hover:bg-green-50`}
+            >
+              <Check className="w-4 h-4 mr-1" />
+              Save
+            </button>
+            <button
+              onClick={() => setIsEditing(false)}
+              className={`${buttonClass} text-gray-700 border-gray-300 hover:bg-gray-50`}
+            >
+              <X className="w-4 h-4 mr-1" />
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">Repeat</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={startEditing}
+            disabled={disabled}
+            className={`${buttonClass} text-amber-700 border-amber-300 hover:bg-amber-50`}
+          >
+            {recurrence ? <Edit2 className="w-4 h-4 mr-1" /> : <Repeat className="w-4 h-4 mr-1" />}
+            {recurrence ? 'Edit' : 'Repeat...'}
+          </button>
+          {recurrence && (
+            <>
+              <button
+                onClick={handleTogglePause}
+                disabled={disabled}
+                className={`${buttonClass} text-blue-700 border-blue-300 hover:bg-blue-50`}
+              >
+                {recurrence.paused ? <Play className="w-4 h-4 mr-1" /> : <Pause className="w-4 h-4 mr-1" />}
+                {recurrence.paused ? 'Resume' : 'Pause'}
+              </button>
+              <button
+                onClick={handleEnd}
+                disabled={disabled}
+                className={`${buttonClass} text-red-700 border-red-300 hover:bg-red-50`}
+              >
+                <Square className="w-4 h-4 mr-1" />
+                End series
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {recurrence ? (
+        <div className="text-sm text-gray-700">
+          <p className="flex items-center">
+            <Repeat className="w-4 h-4 mr-2 text-gray-400" />
+            {describeRecurrence(recurrence.rrule)}
+            {recurrence.occurrence > 1 && (
+              <span className="ml-2 text-xs text-gray-500">(occurrence {recurrence.occurrence})</span>
+            )}
+            {recurrence.paused && (
+              <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                Paused
+              </span>
+            )}
+          </p>
+          <p className="mt-2 text-xs text-gray-500">
+            {recurrence.paused
+              ? 'While paused, completing this todo won\'t create the next one.'
+              : 'Completing this todo creates the next occurrence.'}
+          </p>
+          {upcoming.length > 0 ? (
+            <div className="mt-3">
+              <p className="text-sm font-medium text-gray-500 mb-1">Upcoming</p>
+              <ul className="space-y-1">
+                {upcoming.map(date => (
+                  <li key={date.getTime()} className="text-sm text-gray-700">{formatDueDate(date)}</li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <p className="mt-3 text-sm text-gray-500">This is the last occurrence in the series.</p>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">This todo doesn't repeat.</p>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Bell, X } from 'lucide-react';
+import useTodos from '../hooks/useTodos';
+import ReminderService, { SNOOZE_OPTIONS } from '../services/reminders';
+
+/**
+ * ReminderCenter component - Schedules due-date reminders for all todos
+ * Also shows fired reminders in the page with snooze options
+ */
+const ReminderCenter = () => {
+  // The full list is only needed once reminders are allowed
+  const { data: todos } = useTodos({ enabled: ReminderService.getPermission() === 'granted' });
+  const [firedTodos, setFiredTodos] = useState([]);
+
+  // Register the service worker once and collect reminders as they fire
+  useEffect(() => {
+    ReminderService.registerServiceWorker();
+    return ReminderService.subscribe((todo) => {
+      setFiredTodos(current => [...current.filter(fired => fired.id !== todo.id), todo]);
+    });
+  }, []);
+
+  // Re-arm reminders whenever todos or their due dates change
+  useEffect(() => {
+    if (todos) {
+      ReminderService.schedule(todos);
+    }
+  }, [todos]);
+
+  const dismiss = (id) => {
+    setFiredTodos(current => current.filter(todo => todo.id !== id));
+  };
+
+  const handleSnooze = (id, minutes) => {
+    ReminderService.snooze(id, minutes);
+    dismiss(id);
+  };
+
+  if (firedTodos.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed top-4 right-4 z-50 space-y-3 w-80 max-w-[calc(100%-2rem)]" aria-live="assertive">
+      {firedTodos.map(todo => (
+        <div key={todo.id} className="bg-white rounded-xl shadow-xl border border-amber-200 p-4" role="alert">
+          <div className="flex items-start justify-between">
+            <div className="flex items-start min-w-0">
+              <Bell className="w-5 h-5 text-amber-500 mr-3 flex-shrink-0" />
+              <div className="min-w-0">
+                <p className="text-xs font-medium text-amber-700 uppercase tracking-wide">Due now</p>
+                <Link
+                  to={`/todo/${todo.id}`}
+                  onClick={() => dismiss(todo.id)}
+                  className="block text-sm font-medium text-gray-900 hover:text-blue-700 truncate"
+                >
+                  {todo.title}
+                </Link>
+              </div>
+            </div>
+            <button
+              onClick={() => dismiss(todo.id)}
+              className="ml-2 p-1 text-gray-400 hover:text-gray-600 rounded-full"
+              aria-label="Dismiss reminder"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            {SNOOZE_OPTIONS.map(option => (
+              <button
+                key={option.minutes}
+                onClick={() => handleSnooze(todo.id, option.minutes)}
+                className="px-2 py-1 text-xs font-medium text-amber-800 bg-amber-50 border border-amber-200 rounded-lg hover:bg-amber-100 transition-colors"
+              >
+                Snooze {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReminderCenter;
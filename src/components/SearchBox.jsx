@@ -0,0 +1,151 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { Search, AlertCircle } from 'lucide-react';
+import { getQuerySuggestions } from '../utils/query';
+
+/**
+ * SearchBox component - Search input for the query language with autocomplete
+ * Suggests field names and values and shows hints for parts of the query that were ignored
+ */
+const SearchBox = ({ value, onChange, errors = [], values }) => {
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(value.length);
+  const [isFocused, setIsFocused] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isDismissed, setIsDismissed] = useState(false);
+  // Where the caret should go after a suggestion is inserted
+  const [pendingCursor, setPendingCursor] = useState(null);
+
+  const suggestions = isFocused && !isDismissed
+    ? getQuerySuggestions(value, cursor, values)
+    : { items: [] };
+  const { items } = suggestions;
+
+  useLayoutEffect(() => {
+    if (pendingCursor !== null) {
+      inputRef.current?.setSelectionRange(pendingCursor, pendingCursor);
+      setPendingCursor(null);
+    }
+  }, [pendingCursor]);
+
+  const trackCursor = (e) => setCursor(e.target.selectionStart ?? e.target.value.length);
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    trackCursor(e);
+    setActiveIndex(0);
+    setIsDismissed(false);
+  };
+
+  const accept = (item) => {
+    const next = value.slice(0, suggestions.start) + item.insert + value.slice(suggestions.end);
+    const caret = suggestions.start + item.insert.length;
+    onChange(next);
+    setCursor(caret);
+    setPendingCursor(caret);
+    setActiveIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (items.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % items.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + items.length) % items.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(items[Math.min(activeIndex, items.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsDismissed(true);
+    }
+  };
+
+  const clear = () => {
+    onChange('');
+    setCursor(0);
+    inputRef.current?.focus();
+  };
+
+  return (
+    <div className="relative">
+      <Search className="absolute left-3 top-6 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+      <input
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onKeyUp={trackCursor}
+        onClick={trackCursor}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => setIsFocused(false)}
+        placeholder="Search todos... try tag:work due:<2026-11-01 -status:done"
+        aria-label="Search todos"
+        role="combobox"
+        aria-expanded={items.length > 0}
+        aria-autocomplete="list"
+        aria-controls="search-suggestions"
+        aria-activedescendant={items.length > 0 ? `search-suggestion-${activeIndex}` : undefined}
+        aria-describedby={errors.length > 0 ? 'search-errors' : undefined}
+        aria-invalid={errors.length > 0}
+        className={`w-full pl-10 pr-8 py-3 border rounded-lg bg-white shadow-sm focus:ring-2 focus:border-transparent transition-all duration-200 ${
+          errors.length > 0 ? 'border-amber-300 focus:ring-amber-400' : 'focus:ring-blue-500'
+        }`}
+      />
+      {value && (
+        <button
+          onClick={clear}
+          className="absolute right-3 top-6 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+          aria-label="Clear search"
+        >
+          ×
+        </button>
+      )}
+
+      {/* Autocomplete */}
+      {items.length > 0 && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1"
+        >
+          {items.map((item, index) => (
+            <li
+              key={item.label}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input while picking with the mouse
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(item);
+              }}
+              className={`flex items-center justify-between px-3 py-1 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50 text-blue-800' : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <span className="font-mono">{item.label}</span>
+              {item.hint && <span className="ml-3 text-xs text-gray-400 truncate">{item.hint}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Query Hints */}
+      {errors.length > 0 && (
+        <ul id="search-errors" className="mt-1 space-y-0.5">
+          {errors.map(({ message, start, end }) => (
+            <li key={`${start}-${message}`} className="flex items-center text-xs text-amber-700">
+              <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+              <code className="mr-1 px-1 bg-amber-50 rounded">{value.slice(start, end)}</code>
+              {message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, Plus, X } from 'lucide-react';
+import { SORT_FIELDS } from '../utils/sorting';
+
+/**
+ * SortControl component - Edits a list of sort keys for TodoList
+ * Earlier keys take precedence; later keys break ties
+ */
+const SortControl = ({ sortKeys, onChange }) => {
+  const usedFields = new Set(sortKeys.map(key => key.field));
+  const availableFields = Object.keys(SORT_FIELDS).filter(field => !usedFields.has(field));
+
+  const updateKey = (index, changes) => {
+    onChange(sortKeys.map((key, keyIndex) => keyIndex === index ? { ...key, ...changes } : key));
+  };
+
+  const removeKey = (index) => {
+    onChange(sortKeys.filter((key, keyIndex) => keyIndex !== index));
+  };
+
+  const addKey = () => {
+    const field = availableFields[0];
+    onChange([...sortKeys, { field, direction: SORT_FIELDS[field].defaultDirection }]);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm" role="group" aria-label="Sort order">
+      <span className="text-gray-600">Sort by</span>
+
+      {sortKeys.length === 0 && (
+        <span className="text-gray-400">default order</span>
+      )}
+
+      {sortKeys.map((key, index) => (
+        <span
+          key={key.field}
+          className="inline-flex items-center bg-gray-100 rounded-lg pl-2 pr-1 py-1"
+        >
+          {index > 0 && <span className="text-gray-400 mr-1">then</span>}
+          <select
+            value={key.field}
+            onChange={(e) => updateKey(index, {
+              field: e.target.value,
+              direction: SORT_FIELDS[e.target.value].defaultDirection,
+            })}
+            aria-label={`Sort key ${index + 1}`}
+            className="bg-transparent focus:outline-none"
+          >
+            {[key.field, ...availableFields].map(field => (
+              <option key={field} value={field}>{SORT_FIELDS[field].label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => updateKey(index, { direction: key.direction === 'asc' ? 'desc' : 'asc' })}
+            className="ml-1 p-1 text-gray-600 hover:text-gray-900 rounded"
+            title={key.direction === 'asc' ? 'Ascending' : 'Descending'}
+            aria-label={`Toggle ${SORT_FIELDS[key.field].label} direction`}
+          >
+            {key.direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />}
+          </button>
+          <button
+            onClick={() => removeKey(index)}
+            className="p-1 text-gray-400 hover:text-red-600 rounded"
+            aria-label={`Remove ${SORT_FIELDS[key.field].label} sort`}
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+
+      {availableFields.length > 0 && (
+        <button
+          onClick={addKey}
+          className="inline-flex items-center px-2 py-1 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-lg"
+        >
+          <Plus className="w-3 h-3 mr-1" />
+          Add sort
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SortControl;
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { Check, Plus, Trash2, ChevronUp, ChevronDown, GripVertical } from 'lucide-react';
+import SubtaskProgress from './SubtaskProgress';
+import { SUBTASK_RULES, moveSubtask } from '../utils/subtasks';
+
+/**
+ * SubtaskList component - Editable, reorderable checklist for a todo
+ * Reports the whole new list through onChange after every edit
+ */
+const SubtaskList = ({ todo, onChange, onRuleChange, disabled }) => {
+  const subtasks = todo.subtasks || [];
+  const [newTitle, setNewTitle] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+
+    onChange([...subtasks, { id: Date.now(), title, completed: false }]);
+    setNewTitle('');
+  };
+
+  const handleToggle = (id) => {
+    onChange(subtasks.map(subtask =>
+      subtask.id === id ? { ...subtask, completed: !subtask.completed } : subtask
+    ));
+  };
+
+  const handleDelete = (id) => {
+    onChange(subtasks.filter(subtask => subtask.id !== id));
+  };
+
+  const handleMove = (from, to) => {
+    const next = moveSubtask(subtasks, from, to);
+    if (next !== subtasks) {
+      onChange(next);
+    }
+  };
+
+  const startEdit = (subtask) => {
+    setEditingId(subtask.id);
+    setEditTitle(subtask.title);
+  };
+
+  const handleSaveEdit = () => {
+    const title = editTitle.trim();
+    const current = subtasks.find(subtask => subtask.id === editingId);
+    if (title && current && title !== current.title) {
+      onChange(subtasks.map(subtask => subtask.id === editingId ? { ...subtask, title } : subtask));
+    }
+    setEditingId(null);
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      handleSaveEdit();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  // Alt+Arrow keys move the focused subtask, mirroring the up/down buttons
+  const handleRowKeyDown = (e, index) => {
+    if (!e.altKey || disabled) return;
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      handleMove(index, index - 1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      handleMove(index, index + 1);
+    }
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null) {
+      handleMove(dragIndex, index);
+    }
+    setDragIndex(null);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">Subtasks</h3>
+        <SubtaskProgress todo={todo} className="w-40" />
+      </div>
+
+      {/* Checklist */}
+      {subtasks.length > 0 && (
+        <ul className="space-y-2 mb-4" aria-label="Subtasks">
+          {subtasks.map((subtask, index) => (
+            <li
+              key={subtask.id}
+              draggable={!disabled && editingId !== subtask.id}
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+              onDragEnd={() => setDragIndex(null)}
+              onKeyDown={(e) => handleRowKeyDown(e, index)}
+              className={`flex items-center gap-2 p-2 rounded-md border bg-white ${
+                dragIndex === index ? 'opacity-50 border-blue-300' : 'border-gray-200'
+              }`}
+            >
+              <GripVertical className="w-4 h-4 text-gray-300 cursor-grab flex-shrink-0" aria-hidden="true" />
+              <button
+                onClick={() => handleToggle(subtask.id)}
+                disabled={disabled}
+                role="checkbox"
+                aria-checked={subtask.completed}
+                aria-label={`Mark "${subtask.title}" ${subtask.completed ? 'not done' : 'done'}`}
+                className={`flex-shrink-0 w-5 h-5 rounded border-2 flex items-center justify-center transition-colors ${
+                  subtask.completed
+                    ? 'bg-green-500 border-green-500 text-white'
+                    : 'border-gray-300 hover:border-green-400'
+                }`}
+              >
+                {subtask.completed && <Check className="w-3 h-3" />}
+              </button>
+
+              {editingId === subtask.id ? (
+                <input
+                  type="text"
+                  value={editTitle}
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  onBlur={handleSaveEdit}
+                  autoFocus
+                  aria-label="Subtask title"
+                  className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              ) : (
+                <button
+                  onClick={() => startEdit(subtask)}
+                  disabled={disabled}
+                  className={`flex-1 min-w-0 text-left text-sm truncate ${
+                    subtask.completed ? 'text-gray-500 line-through' : 'text-gray-900'
+                  }`}
+                  title="Click to edit"
+                >
+                  {subtask.title}
+                </button>
+              )}
+
+              <div className="flex items-center flex-shrink-0">
+                <button
+                  onClick={() => handleMove(index, index - 1)}
+                  disabled={disabled || index === 0}
+                  className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label={`Move "${subtask.title}" up`}
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleMove(index, index + 1)}
+                  disabled={disabled || index === subtasks.length - 1}
+                  className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label={`Move "${subtask.title}" down`}
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(subtask.id)}
+                  disabled={disabled}
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  aria-label={`Delete "${subtask.title}"`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Add Subtask */}
+      <form onSubmit={handleAdd} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a subtask..."
+          disabled={disabled}
+          aria-label="New subtask"
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !newTitle.trim()}
+          className="inline-flex items-center px-3 py-2 text-sm font-medium text-blue-700 border border-blue-300 rounded-md hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add
+        </button>
+      </form>
+
+      {/* Parent Completion Rule */}
+      {subtasks.length > 0 && (
+        <div className="mt-4">
+          <label htmlFor="subtask-rule" className="block text-sm font-medium text-gray-500 mb-1">
+            When subtasks are done
+          </label>
+          <select
+            id="subtask-rule"
+            value={todo.subtaskRule || 'none'}
+            onChange={(e) => onRuleChange(e.target.value === 'none' ? null : e.target.value)}
+            disabled={disabled}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {SUBTASK_RULES.map(rule => (
+              <option key={rule.value} value={rule.value}>{rule.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { ListChecks } from 'lucide-react';
+import { getSubtaskProgress } from '../utils/subtasks';
+
+/**
+ * SubtaskProgress component - "done/total" count with a progress bar
+ * Renders nothing for todos without subtasks
+ */
+const SubtaskProgress = ({ todo, className = '' }) => {
+  const progress = getSubtaskProgress(todo);
+  if (!progress) {
+    return null;
+  }
+
+  const isDone = progress.done === progress.total;
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <span
+        className={`inline-flex items-center text-xs font-medium ${isDone ? 'text-green-700' : 'text-gray-600'}`}
+        aria-label={`${progress.done} of ${progress.total} subtasks done`}
+      >
+        <ListChecks className="w-3 h-3 mr-1" />
+        {progress.done}/{progress.total}
+      </span>
+      <div
+        className="flex-1 max-w-[8rem] h-1.5 bg-gray-200 rounded-full overflow-hidden"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress.percent}
+        aria-label="Subtask progress"
+      >
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${isDone ? 'bg-green-500' : 'bg-blue-500'}`}
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SubtaskProgress;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertCircle } from 'lucide-react';
+import useSyncStatus from '../hooks/useSyncStatus';
+import SyncService from '../services/sync';
+
+/**
+ * SyncStatus component - Shows whether offline changes are waiting to sync
+ * Displayed in the TodoList header
+ */
+const SyncStatus = () => {
+  const { state, pendingCount, lastError } = useSyncStatus();
+
+  const pendingLabel = `${pendingCount} change${pendingCount === 1 ? '' : 's'}`;
+
+  if (state === 'syncing') {
+    return (
+      <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800" role="status">
+        <RefreshCw className="w-3 h-3 mr-1 animate-spin" />
+        Syncing {pendingLabel}...
+      </span>
+    );
+  }
+
+  if (state === 'offline') {
+    return (
+      <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700" role="status">
+        <CloudOff className="w-3 h-3 mr-1" />
+        Offline · {pendingLabel} pending
+      </span>
+    );
+  }
+
+  if (state === 'error') {
+    return (
+      <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-800" role="status" title={lastError}>
+        <AlertCircle className="w-3 h-3 mr-1" />
+        {pendingLabel} waiting to sync
+        <button
+          onClick={() => SyncService.replay({ ignoreBackoff: true })}
+          className="ml-2 underline hover:text-amber-900"
+        >
+          Retry now
+        </button>
+      </span>
+    );
+  }
+
+  if (pendingCount > 0) {
+    return (
+      <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-800" role="status">
+        <Cloud className="w-3 h-3 mr-1" />
+        {pendingLabel} pending
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800" role="status">
+      <Cloud className="w-3 h-3 mr-1" />
+      All changes synced
+    </span>
+  );
+};
+
+export default SyncStatus;
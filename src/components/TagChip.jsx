@@ -0,0 +1,39 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Tag, X } from 'lucide-react';
+import { useTagColors } from '../hooks/useTags';
+import { TAG_COLORS, defaultTagColor } from '../utils/tags';
+
+/**
+ * TagChip component - Coloured chip for a single tag
+ * Optionally links to the tag page or shows a remove button
+ */
+const TagChip = ({ name, onRemove, linkTo }) => {
+  const { data: colors = {} } = useTagColors();
+  const style = TAG_COLORS[colors[name] || defaultTagColor(name)] || TAG_COLORS.gray;
+
+  const content = (
+    <>
+      <Tag className="w-3 h-3 mr-1" />
+      {name}
+    </>
+  );
+
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border ${style}`}>
+      {linkTo ? <Link to={linkTo} className="inline-flex items-center hover:underline">{content}</Link> : content}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(name)}
+          className="ml-1 -mr-1 p-0.5 rounded-full hover:bg-black/10"
+          aria-label={`Remove tag ${name}`}
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default TagChip;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { Tag, ChevronDown } from 'lucide-react';
+import { useTags } from '../hooks/useTags';
+
+/**
+ * TagFilter component - Dropdown for filtering todos by tags
+ * Matches todos with any (OR) or all (AND) of the selected tags
+ */
+const TagFilter = ({ selectedTags, mode, onChange, onModeChange }) => {
+  const { data: tags = [] } = useTags();
+
+  const toggleTag = (name) => {
+    onChange(selectedTags.includes(name)
+      ? selectedTags.filter(tag => tag !== name)
+      : [...selectedTags, name]);
+  };
+
+  return (
+    <details className="relative sm:w-48 group">
+      <summary className="list-none flex items-center justify-between w-full px-3 py-3 border rounded-lg bg-white shadow-sm cursor-pointer focus:ring-2 focus:ring-blue-500">
+        <span className="flex items-center text-gray-700 truncate">
+          <Tag className="w-4 h-4 mr-2 flex-shrink-0 text-gray-400" />
+          {selectedTags.length === 0 ? 'All tags' : `${selectedTags.length} tag${selectedTags.length === 1 ? '' : 's'}`}
+        </span>
+        <ChevronDown className="w-4 h-4 text-gray-400 group-open:rotate-180 transition-transform" />
+      </summary>
+
+      <div className="absolute z-10 mt-1 w-64 right-0 bg-white border border-gray-200 rounded-lg shadow-lg p-3">
+        {/* Match Mode */}
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden mb-3 text-xs font-medium" role="group" aria-label="Tag match mode">
+          {[
+            { value: 'any', label: 'Any (OR)' },
+            { value: 'all', label: 'All (AND)' },
+          ].map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => onModeChange(option.value)}
+              aria-pressed={mode === option.value}
+              className={`flex-1 px-2 py-1 transition-colors ${
+                mode === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Tag Options */}
+        {tags.length > 0 ? (
+          <ul className="max-h-56 overflow-y-auto space-y-1">
+            {tags.map(tag => (
+              <li key={tag.name}>
+                <label className="flex items-center justify-between px-2 py-1 rounded hover:bg-gray-50 text-sm text-gray-700 cursor-pointer">
+                  <span className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={selectedTags.includes(tag.name)}
+                      onChange={() => toggleTag(tag.name)}
+                      className="mr-2"
+                    />
+                    {tag.name}
+                  </span>
+                  <span className="text-xs text-gray-400">{tag.count}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 px-2">No tags yet.</p>
+        )}
+
+        {selectedTags.length > 0 && (
+          <button
+            type="button"
+            onClick={() => onChange([])}
+            className="mt-2 text-xs text-blue-600 hover:text-blue-800 underline"
+          >
+            Clear tags
+          </button>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default TagFilter;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Tag, Edit2, Trash2, Check, X, Merge } from 'lucide-react';
+import TagChip from './TagChip';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import MutationError from './MutationError';
+import { TAG_COLORS } from '../utils/tags';
+import {
+  useTags,
+  useRenameTag,
+  useMergeTags,
+  useDeleteTag,
+  useSetTagColor,
+} from '../hooks/useTags';
+
+/**
+ * TagManager component - Lists every tag with its todo count
+ * Supports renaming, merging, recolouring and deleting tags
+ */
+const TagManager = () => {
+  const [mutationError, setMutationError] = useState('');
+  const [editingTag, setEditingTag] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [mergingTag, setMergingTag] = useState(null);
+
+  const { data: tags = [], isLoading, error, refetch } = useTags();
+
+  const renameTagMutation = useRenameTag({ onError: setMutationError });
+  const mergeTagsMutation = useMergeTags({ onError: setMutationError });
+  const deleteTagMutation = useDeleteTag({ onError: setMutationError });
+  const setTagColorMutation = useSetTagColor({ onError: setMutationError });
+
+  const isBusy = renameTagMutation.isPending
+    || mergeTagsMutation.isPending
+    || deleteTagMutation.isPending;
+
+  // Handler functions
+  const startRename = (name) => {
+    setMergingTag(null);
+    setEditingTag(name);
+    setEditName(name);
+  };
+
+  const cancelRename = () => {
+    setEditingTag(null);
+    setEditName('');
+  };
+
+  const handleRename = () => {
+    const newName = editName.trim();
+    if (!newName || newName === editingTag) {
+      cancelRename();
+      return;
+    }
+    // Renaming onto an existing tag folds the two together
+    if (tags.some(tag => tag.name === newName)
+      && !window.confirm(`"${newName}" already exists. Merge "${editingTag}" into it?`)) {
+      return;
+    }
+    setMutationError('');
+    renameTagMutation.mutate({ name: editingTag, newName });
+    cancelRename();
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      handleRename();
+    } else if (e.key === 'Escape') {
+      cancelRename();
+    }
+  };
+
+  const handleMerge = (target) => {
+    if (!target) return;
+    if (window.confirm(`Merge "${mergingTag}" into "${target}"? Every todo tagged "${mergingTag}" will be tagged "${target}" instead.`)) {
+      setMutationError('');
+      mergeTagsMutation.mutate({ names: [mergingTag], target });
+    }
+    setMergingTag(null);
+  };
+
+  const handleDelete = (tag) => {
+    if (window.confirm(`Remove the tag "${tag.name}" from ${tag.count} todos?`)) {
+      setMutationError('');
+      deleteTagMutation.mutate(tag.name);
+    }
+  };
+
+  const handleColorChange = (name, color) => {
+    setMutationError('');
+    setTagColorMutation.mutate({ name, color });
+  };
+
+  // Loading state
+  if (isLoading) {
+    return <LoadingScreen message="Loading tags..." />;
+  }
+
+  // Error state
+  if (error) {
+    return <LoadError title="Failed to load tags" error={error} onRetry={refetch} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-2xl mx-auto p-4">
+        {/* Header */}
+        <div className="mb-8">
+          <Link
+            to="/"
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Task List
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Tags</h1>
+          <p className="text-gray-600 text-sm">
+            Rename, merge, recolour or delete the tags used across your todos.
+          </p>
+        </div>
+
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
+        {/* Tags */}
+        {tags.length > 0 ? (
+          <ul className="space-y-4">
+            {tags.map(tag => (
+              <li
+                key={tag.name}
+                className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6"
+              >
+                <div className="flex items-center justify-between">
+                  {/* Name (editable) */}
+                  <div className="flex-1 min-w-0 mr-4">
+                    {editingTag === tag.name ? (
+                      <input
+                        type="text"
+                        value={editName}
+                        onChange={(e) => setEditName(e.target.value)}
+                        onKeyDown={handleRenameKeyDown}
+                        autoFocus
+                        aria-label={`New name for ${tag.name}`}
+                        className="w-full px-3 py-2 border-0 rounded-xl bg-blue-50 focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-500/20 text-gray-900"
+                      />
+                    ) : (
+                      <div className="flex items-center gap-3">
+                        <TagChip name={tag.name} />
+                        <span className="text-xs text-gray-500">
+                          {tag.count} {tag.count === 1 ? 'todo' : 'todos'}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Actions */}
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {editingTag === tag.name ? (
+                      <>
+                        <button
+                          onClick={handleRename}
+                          className="p-2 text-green-600 hover:text-white hover:bg-green-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-green-200 hover:border-green-500"
+                          title="Save"
+                        >
+                          <Check className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={cancelRename}
+                          className="p-2 text-red-600 hover:text-white hover:bg-red-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-red-200 hover:border-red-500"
+                          title="Cancel"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => startRename(tag.name)}
+                          disabled={isBusy}
+                          className="p-2 text-amber-600 hover:text-white hover:bg-amber-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-amber-200 hover:border-amber-500 disabled:opacity-50"
+                          title="Rename"
+                        >
+                          <Edit2 className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setMergingTag(mergingTag === tag.name ? null : tag.name)}
+                          disabled={isBusy || tags.length < 2}
+                          aria-pressed={mergingTag === tag.name}
+                          className="p-2 text-blue-600 hover:text-white hover:bg-blue-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-blue-200 hover:border-blue-500 disabled:opacity-50"
+                          title="Merge into another tag"
+                        >
+                          <Merge className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(tag)}
+                          disabled={isBusy}
+                          className="p-2 text-red-600 hover:text-white hover:bg-red-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-red-200 hover:border-red-500 disabled:opacity-50"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {/* Merge Target */}
+                {mergingTag === tag.name && (
+                  <div className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+                    <label htmlFor={`merge-${tag.name}`}>Merge into</label>
+                    <select
+                      id={`merge-${tag.name}`}
+                      defaultValue=""
+                      onChange={(e) => handleMerge(e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="" disabled>Choose a tag...</option>
+                      {tags.filter(other => other.name !== tag.name).map(other => (
+                        <option key={other.name} value={other.name}>{other.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {/* Colour Palette */}
+                <div className="mt-4 flex flex-wrap gap-2" role="radiogroup" aria-label={`Colour for ${tag.name}`}>
+                  {Object.entries(TAG_COLORS).map(([color, style]) => (
+                    <button
+                      key={color}
+                      onClick={() => handleColorChange(tag.name, color)}
+                      role="radio"
+                      aria-checked={tag.color === color}
+                      aria-label={color}
+                      title={color}
+                      className={`w-6 h-6 rounded-full border ${style} ${
+                        tag.color === color ? 'ring-2 ring-offset-1 ring-gray-500' : ''
+                      }`}
+                    />
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          /* Empty State */
+          <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-12 text-center">
+            <Tag className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-gray-900 mb-3">No tags yet</h3>
+            <p className="text-gray-600">Add tags when creating a todo or on its detail page.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useTags } from '../hooks/useTags';
+import { normalizeTag } from '../utils/tags';
+import TagChip from './TagChip';
+
+/**
+ * TagPicker component - Chip input for tags with autocomplete from existing tags
+ * Enter or comma adds a tag, Backspace on an empty input removes the last one
+ */
+const TagPicker = ({ tags = [], onChange, disabled, id }) => {
+  const { data: knownTags = [] } = useTags();
+  const [input, setInput] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const query = normalizeTag(input);
+  const suggestions = query
+    ? knownTags
+      .map(tag => tag.name)
+      .filter(name => name.includes(query) && !tags.includes(name))
+      .slice(0, 6)
+    : [];
+
+  const addTag = (name) => {
+    const tag = normalizeTag(name);
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+    setInput('');
+    setActiveIndex(0);
+  };
+
+  const removeTag = (name) => {
+    onChange(tags.filter(tag => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      if (input.trim()) {
+        e.preventDefault();
+        addTag(suggestions[activeIndex] && e.key === 'Enter' ? suggestions[activeIndex] : input);
+      }
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    } else if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 rounded-xl bg-gray-50 focus-within:bg-white focus-within:ring-2 focus-within:ring-blue-500/20">
+        {tags.map(tag => (
+          <TagChip key={tag} name={tag} onRemove={disabled ? undefined : removeTag} />
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && addTag(input)}
+          disabled={disabled}
+          placeholder={tags.length === 0 ? 'Add tags...' : ''}
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-autocomplete="list"
+          className="flex-1 min-w-[8rem] bg-transparent py-1 text-sm text-gray-900 placeholder-gray-500 focus:outline-none"
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1" role="listbox">
+          {suggestions.map((name, index) => (
+            <li
+              key={name}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so onBlur doesn't add the half-typed text
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(name);
+              }}
+              className={`px-3 py-1 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50 text-blue-800' : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagPicker;
@@ -0,0 +1,319 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { ArrowLeft, Kanban } from 'lucide-react';
+import TodoItem from './TodoItem';
+import BoardColumn from './BoardColumn';
+import TodoFilters from './TodoFilters';
+import SortControl from './SortControl';
+import UndoToast from './UndoToast';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import MutationError from './MutationError';
+import useTodos from '../hooks/useTodos';
+import useUsers from '../hooks/useUsers';
+import useListParams from '../hooks/useListParams';
+import useFilteredTodos from '../hooks/useFilteredTodos';
+import usePreference from '../hooks/usePreference';
+import { useTags } from '../hooks/useTags';
+import { useLists } from '../hooks/useLists';
+import useTodoActions from '../hooks/useTodoActions';
+import { useBulkUpdateTodos, useBulkRestoreTodos } from '../hooks/useTodoMutations';
+import { BOARD_GROUPINGS, getColumns, groupTodos, getColumnChanges } from '../utils/board';
+import { getCompletionBlocker } from '../utils/subtasks';
+import { getListId } from '../utils/lists';
+
+/**
+ * TodoBoard component - The todos from the list view as cards in columns
+ * Columns group by status, priority, assignee or tag; dragging a card to another column
+ * updates the todo, and each column can have a WIP limit
+ */
+const TodoBoard = () => {
+  const location = useLocation();
+
+  // Same URL parameters as the list, so a view can switch between the two
+  const listParams = useListParams();
+  const { sortKeys, setSortKeys } = listParams;
+
+  // Grouping and WIP limits (by `${groupBy}:${columnKey}`) are persisted
+  const [groupBy, setGroupBy] = usePreference('boardGroupBy', 'status');
+  const [wipLimits, setWipLimits] = usePreference('boardWipLimits', {});
+
+  const [undoAction, setUndoAction] = useState(null);
+  const [moveAnnouncement, setMoveAnnouncement] = useState('');
+
+  // The card being dragged and the column it was picked up from
+  const [dragged, setDragged] = useState(null); // { todo, fromKey }
+  const [dropKey, setDropKey] = useState(null);
+
+  const { data: todos, isLoading, error, refetch } = useTodos();
+  const { data: lists = [], isPending: isListsPending } = useLists();
+  const { data: knownTags = [] } = useTags();
+  const { data: users = [] } = useUsers();
+
+  // Card actions; a deleted card can be restored from the undo toast
+  const {
+    mutationError,
+    setMutationError,
+    updateTodoMutation,
+    handleToggleTodo,
+    handleEditTodo,
+    handleDeleteTodo,
+  } = useTodoActions({
+    onDeleted: (id) => {
+      const deletedTodo = boardTodos.find(todo => todo.id === id);
+      setUndoAction({
+        message: deletedTodo ? `Moved "${deletedTodo.title}" to trash` : 'Moved todo to trash',
+        undo: { restoreIds: [id] },
+      });
+    },
+  });
+  const bulkUpdateMutation = useBulkUpdateTodos({ onError: setMutationError });
+  const bulkRestoreMutation = useBulkRestoreTodos({ onError: setMutationError });
+
+  // Like "All lists", the board leaves out todos in archived lists
+  const listsById = useMemo(() => new Map(lists.map(list => [list.id, list])), [lists]);
+  const boardTodos = useMemo(
+    () => (todos || []).filter(todo => !listsById.get(getListId(todo))?.archived),
+    [todos, listsById]
+  );
+
+  const searchValues = useMemo(() => ({
+    tag: knownTags.map(tag => tag.name),
+    user: [...new Set([...users.map(user => user.id), ...boardTodos.map(todo => todo.userId)])].sort((a, b) => a - b),
+  }), [knownTags, users, boardTodos]);
+
+  const { filteredTodos, parsedQuery, searchResults, isFiltered } = useFilteredTodos(boardTodos, listParams);
+
+  // Columns come from every todo so they don't come and go as filters change
+  const columns = useMemo(
+    () => getColumns(groupBy, { todos: boardTodos, users, tags: knownTags.map(tag => tag.name) }),
+    [groupBy, boardTodos, users, knownTags]
+  );
+  const groups = useMemo(
+    () => groupTodos(filteredTodos, columns, groupBy),
+    [filteredTodos, columns, groupBy]
+  );
+  // WIP limits count every card in a column, including ones the filters hide
+  const allGroups = useMemo(
+    () => groupTodos(boardTodos, columns, groupBy),
+    [boardTodos, columns, groupBy]
+  );
+
+  const getLimit = (key) => wipLimits[`${groupBy}:${key}`] || 0;
+
+  const setLimit = (key, limit) => {
+    const { [`${groupBy}:${key}`]: _previous, ...otherLimits } = wipLimits;
+    setWipLimits(limit > 0 ? { ...otherLimits, [`${groupBy}:${key}`]: limit } : otherLimits);
+  };
+
+  // Undo either restores a trashed todo or writes back its previous version
+  const handleUndo = () => {
+    const { restoreIds, previousTodos } = undoAction.undo;
+    if (restoreIds) {
+      bulkRestoreMutation.mutate(restoreIds);
+    } else {
+      bulkUpdateMutation.mutate(
+        previousTodos.map(todo => ({ id: todo.id, todoData: todo }))
+      );
+    }
+    setUndoAction(null);
+  };
+
+  const dismissUndo = useCallback(() => setUndoAction(null), []);
+
+  // Move a card to another column, unless that column is already at its WIP limit
+  const moveCard = (todo, fromKey, toKey) => {
+    const column = columns.find(item => item.key === toKey);
+    if (!column || fromKey === toKey) return;
+
+    // A todo with several tags may already have a card in the target column
+    const targetTodos = allGroups.get(toKey);
+    const limit = getLimit(toKey);
+    if (limit > 0 && targetTodos.length >= limit && !targetTodos.some(item => item.id === todo.id)) {
+      setMutationError(`"${column.label}" is at its WIP limit of ${limit}.`);
+      return;
+    }
+
+    const todoData = { ...todo, ...getColumnChanges(todo, groupBy, fromKey, toKey) };
+    const blocker = todoData.completed && !todo.completed ? getCompletionBlocker(todoData) : null;
+    if (blocker) {
+      setMutationError(blocker);
+      return;
+    }
+
+    setMutationError('');
+    updateTodoMutation.mutate({ id: todo.id, todoData }, {
+      onSuccess: () => setUndoAction({
+        message: `Moved "${todo.title}" to ${column.label}`,
+        undo: { previousTodos: [todo] },
+      }),
+    });
+    setMoveAnnouncement(`Moved "${todo.title}" to ${column.label}.`);
+  };
+
+  // Keyboard moves from a card's handle: up and down go to the neighbouring column,
+  // Home and End to the first and last
+  const handleKeyboardMove = (fromKey) => (todo, direction) => {
+    const index = columns.findIndex(column => column.key === fromKey);
+    const targets = { up: index - 1, down: index + 1, top: 0, bottom: columns.length - 1 };
+    const target = columns[targets[direction]];
+    if (target) {
+      moveCard(todo, fromKey, target.key);
+    }
+  };
+
+  const endDrag = () => {
+    setDragged(null);
+    setDropKey(null);
+  };
+
+  const getCardDragHandlers = (todo, fromKey) => ({
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(todo.id));
+      setDragged({ todo, fromKey });
+    },
+    onDragEnd: endDrag,
+  });
+
+  // Columns accept cards while one is being dragged
+  const getColumnDropHandlers = (key) => (dragged === null ? {} : {
+    onDragOver: (e) => {
+      e.preventDefault();
+      if (dropKey !== key) {
+        setDropKey(key);
+      }
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDropKey(null);
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      moveCard(dragged.todo, dragged.fromKey, key);
+      endDrag();
+    },
+  });
+
+  const renderCard = (columnKey) => (todo) => (
+    <TodoItem
+      key={todo.id}
+      todo={todo}
+      onToggle={handleToggleTodo}
+      onEdit={handleEditTodo}
+      onDelete={handleDeleteTodo}
+      isReorderable
+      onMove={handleKeyboardMove(columnKey)}
+      dragHandlers={getCardDragHandlers(todo, columnKey)}
+      highlights={searchResults?.get(todo.id)?.highlights}
+      list={listsById.get(getListId(todo))}
+    />
+  );
+
+  // Loading state
+  if (isLoading || isListsPending) {
+    return <LoadingScreen message="Loading todos..." />;
+  }
+
+  // Error state
+  if (error) {
+    return <LoadError title="Failed to load todos" error={error} onRetry={refetch} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-7xl mx-auto p-4">
+        {/* Header */}
+        <div className="mb-6">
+          <Link
+            to={`/${location.search}`}
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Task List
+          </Link>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <h1 className="text-3xl font-bold text-gray-800 flex items-center">
+              <Kanban className="w-7 h-7 mr-3 text-blue-600" />
+              Board
+            </h1>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              Group by
+              <select
+                value={groupBy}
+                onChange={(e) => setGroupBy(e.target.value)}
+                className="px-3 py-2 border rounded-lg bg-white shadow-sm text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {BOARD_GROUPINGS.map(grouping => (
+                  <option key={grouping.value} value={grouping.value}>{grouping.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        {/* Search and Filter Controls */}
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+          <TodoFilters
+            params={listParams}
+            searchErrors={parsedQuery.errors}
+            searchValues={searchValues}
+            users={users}
+          />
+
+          <div className="mt-4">
+            <SortControl sortKeys={sortKeys} onChange={setSortKeys} />
+          </div>
+
+          {/* Move Hint */}
+          <p id="reorder-instructions" className="mt-4 text-xs text-gray-500">
+            Drag cards by their handle to another column, or focus a handle and use the up and down arrow keys to move a card to the previous or next column (Home and End move to the first and last).
+          </p>
+
+          {/* Results Summary */}
+          <div className="mt-4 text-sm text-gray-600">
+            Showing {filteredTodos.length} of {boardTodos.length} todos
+            {isFiltered && <span> matching the current filters</span>}
+          </div>
+        </div>
+
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
+        {/* Columns */}
+        <div className="flex items-start gap-4 overflow-x-auto pb-4">
+          {columns.map(column => (
+            <BoardColumn
+              key={`${groupBy}:${column.key}`}
+              column={column}
+              todos={groups.get(column.key)}
+              count={allGroups.get(column.key).length}
+              limit={getLimit(column.key)}
+              onLimitChange={(limit) => setLimit(column.key, limit)}
+              isDropTarget={dropKey === column.key && dragged?.fromKey !== column.key}
+              dropHandlers={getColumnDropHandlers(column.key)}
+              renderTodo={renderCard(column.key)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Move Announcements for Screen Readers */}
+      <div className="sr-only" aria-live="polite" role="status">
+        {moveAnnouncement}
+      </div>
+
+      {/* Undo Toast */}
+      {undoAction && (
+        <UndoToast
+          message={undoAction.message}
+          onUndo={handleUndo}
+          onDismiss={dismissUndo}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TodoBoard;
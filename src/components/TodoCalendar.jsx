@@ -0,0 +1,379 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, CalendarDays, ChevronLeft, ChevronRight, Plus } from 'lucide-react';
+import CalendarDay from './CalendarDay';
+import CalendarTodo from './CalendarTodo';
+import UndatedTodos from './UndatedTodos';
+import CreateTodo from './CreateTodo';
+import UndoToast from './UndoToast';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import MutationError from './MutationError';
+import useTodos from '../hooks/useTodos';
+import { useLists } from '../hooks/useLists';
+import { useCreateTodo, useUpdateTodo, useBulkUpdateTodos } from '../hooks/useTodoMutations';
+import { getDueStatus } from '../utils/dueDates';
+import { getListId } from '../utils/lists';
+import {
+  CALENDAR_VIEWS,
+  toDayKey,
+  fromDayKey,
+  getMonthDays,
+  getWeekDays,
+  getAgendaDays,
+  shiftPeriod,
+  formatPeriod,
+  groupByDay,
+  moveDueDate,
+  getDefaultDueValue,
+} from '../utils/calendar';
+
+// Column headings, Monday first (1 January 2024 was a Monday)
+const WEEKDAYS = Array.from({ length: 7 }, (_, index) =>
+  new Date(2024, 0, 1 + index).toLocaleDateString([], { weekday: 'short' })
+);
+
+const UNDATED = 'undated';
+
+/**
+ * TodoCalendar component - Todos on their due dates in month, week or agenda layouts
+ * Drag a todo to another day to reschedule it, or click a day to add a todo due then;
+ * the view and date are kept in the URL (?view=week&date=2026-10-19)
+ */
+const TodoCalendar = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const now = new Date();
+  const todayKey = toDayKey(now);
+  const view = CALENDAR_VIEWS.some(item => item.value === searchParams.get('view'))
+    ? searchParams.get('view')
+    : 'month';
+  const date = fromDayKey(searchParams.get('date')) || fromDayKey(todayKey);
+
+  const [mutationError, setMutationError] = useState('');
+  const [undoAction, setUndoAction] = useState(null);
+  const [creatingDay, setCreatingDay] = useState(null);
+
+  // The todo being dragged and the day (or the undated sidebar) it is over
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropKey, setDropKey] = useState(null);
+
+  const { data: todos, isLoading, error, refetch } = useTodos();
+  const { data: lists = [], isPending: isListsPending } = useLists();
+
+  const createTodoMutation = useCreateTodo();
+  const updateTodoMutation = useUpdateTodo({ onError: setMutationError });
+  const bulkUpdateMutation = useBulkUpdateTodos({ onError: setMutationError });
+
+  // Like "All lists", the calendar leaves out todos in archived lists
+  const calendarTodos = useMemo(() => {
+    const archivedIds = new Set(lists.filter(list => list.archived).map(list => list.id));
+    return (todos || []).filter(todo => !archivedIds.has(getListId(todo)));
+  }, [todos, lists]);
+  const todosByDay = useMemo(() => groupByDay(calendarTodos), [calendarTodos]);
+  const undatedTodos = calendarTodos.filter(todo => !todo.dueDate && !todo.completed);
+  const overdueCount = calendarTodos.filter(todo => getDueStatus(todo, now) === 'overdue').length;
+
+  // Change the view or the date being viewed; the defaults stay out of the URL
+  const showPeriod = (nextView, nextDate) => {
+    const next = new URLSearchParams();
+    if (nextView !== 'month') {
+      next.set('view', nextView);
+    }
+    if (toDayKey(nextDate) !== todayKey) {
+      next.set('date', toDayKey(nextDate));
+    }
+    setSearchParams(next);
+  };
+
+  // Move a todo to another day, keeping its time, or clear its due date
+  const reschedule = (todo, dayKey) => {
+    if (dayKey === UNDATED ? !todo.dueDate : todo.dueDate && toDayKey(new Date(todo.dueDate)) === dayKey) {
+      return;
+    }
+    const dueDate = dayKey === UNDATED ? null : moveDueDate(todo.dueDate, dayKey);
+    const dayLabel = dayKey === UNDATED
+      ? null
+      : fromDayKey(dayKey).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+
+    setMutationError('');
+    updateTodoMutation.mutate({ id: todo.id, todoData: { ...todo, dueDate } }, {
+      onSuccess: () => setUndoAction({
+        message: dayLabel ? `Moved "${todo.title}" to ${dayLabel}` : `Cleared the due date of "${todo.title}"`,
+        previousTodo: { ...todo, dueDate: todo.dueDate ?? null },
+      }),
+    });
+  };
+
+  const handleUndo = () => {
+    const { previousTodo } = undoAction;
+    bulkUpdateMutation.mutate([{ id: previousTodo.id, todoData: previousTodo }]);
+    setUndoAction(null);
+  };
+
+  const dismissUndo = useCallback(() => setUndoAction(null), []);
+
+  const endDrag = () => {
+    setDraggedId(null);
+    setDropKey(null);
+  };
+
+  const getDragHandlers = (todo) => ({
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(todo.id));
+      setDraggedId(todo.id);
+    },
+    onDragEnd: endDrag,
+  });
+
+  // Days and the undated sidebar accept todos while one is being dragged
+  const getDropHandlers = (key) => (draggedId === null ? {} : {
+    onDragOver: (e) => {
+      e.preventDefault();
+      if (dropKey !== key) {
+        setDropKey(key);
+      }
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDropKey(null);
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      const todo = calendarTodos.find(item => item.id === draggedId);
+      if (todo) {
+        reschedule(todo, key);
+      }
+      endDrag();
+    },
+  });
+
+  const renderDay = (day, options) => {
+    const key = toDayKey(day);
+    return (
+      <CalendarDay
+        key={key}
+        day={day}
+        todos={todosByDay.get(key) || []}
+        now={now}
+        isToday={key === todayKey}
+        isDropTarget={dropKey === key}
+        dropHandlers={getDropHandlers(key)}
+        getDragHandlers={getDragHandlers}
+        onCreate={() => setCreatingDay(key)}
+        onShowMore={() => showPeriod('week', day)}
+        {...options}
+      />
+    );
+  };
+
+  // Loading state
+  if (isLoading || isListsPending) {
+    return <LoadingScreen message="Loading todos..." />;
+  }
+
+  // Error state
+  if (error) {
+    return <LoadError title="Failed to load todos" error={error} onRetry={refetch} />;
+  }
+
+  const agendaDays = getAgendaDays(date).filter(day =>
+    todosByDay.has(toDayKey(day)) || toDayKey(day) === todayKey
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-7xl mx-auto p-4">
+        {/* Header */}
+        <div className="mb-6">
+          <Link
+            to="/"
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Task List
+          </Link>
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <h1 className="text-3xl font-bold text-gray-800 flex items-center">
+                <CalendarDays className="w-7 h-7 mr-3 text-blue-600" />
+                Calendar
+              </h1>
+              {overdueCount > 0 && (
+                <span className="px-2 py-0.5 rounded-full bg-red-100 text-red-800 text-xs font-medium">
+                  {overdueCount} overdue
+                </span>
+              )}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3">
+              {/* View Switcher */}
+              <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1" role="group" aria-label="Calendar layout">
+                {CALENDAR_VIEWS.map(item => (
+                  <button
+                    key={item.value}
+                    onClick={() => showPeriod(item.value, date)}
+                    aria-pressed={view === item.value}
+                    className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                      view === item.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    {item.label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Period Navigation */}
+              <div className="inline-flex items-center gap-1">
+                <button
+                  onClick={() => showPeriod(view, shiftPeriod(date, view, -1))}
+                  aria-label="Previous"
+                  className="p-2 rounded-lg border border-gray-200 bg-white text-gray-600 hover:bg-gray-50"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => showPeriod(view, now)}
+                  className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Today
+                </button>
+                <button
+                  onClick={() => showPeriod(view, shiftPeriod(date, view, 1))}
+                  aria-label="Next"
+                  className="p-2 rounded-lg border border-gray-200 bg-white text-gray-600 hover:bg-gray-50"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+              <h2 className="text-lg font-semibold text-gray-800" aria-live="polite">
+                {formatPeriod(date, view)}
+              </h2>
+            </div>
+          </div>
+        </div>
+
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
+        <div className="lg:flex lg:items-start lg:gap-6">
+          {/* Undated Todos */}
+          <aside className="mb-6 lg:mb-0 lg:w-64 lg:flex-shrink-0 lg:sticky lg:top-4">
+            <UndatedTodos
+              todos={undatedTodos}
+              now={now}
+              getDragHandlers={getDragHandlers}
+              isDropTarget={dropKey === UNDATED}
+              dropHandlers={getDropHandlers(UNDATED)}
+            />
+          </aside>
+
+          <div className="flex-1 min-w-0">
+            {view === 'agenda' ? (
+              /* Agenda */
+              <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-200">
+                {agendaDays.map(day => {
+                  const key = toDayKey(day);
+                  const dayTodos = todosByDay.get(key) || [];
+                  return (
+                    <section
+                      key={key}
+                      {...getDropHandlers(key)}
+                      aria-label={day.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}
+                      className={`flex flex-col sm:flex-row gap-2 sm:gap-4 p-4 transition-colors ${
+                        dropKey === key ? 'bg-blue-50 ring-2 ring-inset ring-blue-400' : ''
+                      }`}
+                    >
+                      <div className="sm:w-36 flex-shrink-0">
+                        <p className={`text-sm font-semibold ${key === todayKey ? 'text-blue-700' : 'text-gray-800'}`}>
+                          {key === todayKey ? 'Today' : day.toLocaleDateString([], { weekday: 'long' })}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {day.toLocaleDateString([], { month: 'long', day: 'numeric', year: 'numeric' })}
+                        </p>
+                      </div>
+                      <div className="flex-1 min-w-0 space-y-1">
+                        {dayTodos.map(todo => (
+                          <CalendarTodo key={todo.id} todo={todo} now={now} dragHandlers={getDragHandlers(todo)} />
+                        ))}
+                        {dayTodos.length === 0 && (
+                          <p className="text-xs text-gray-500">Nothing due</p>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => setCreatingDay(key)}
+                        aria-label={`Add a todo due ${day.toLocaleDateString([], { month: 'long', day: 'numeric' })}`}
+                        className="self-start p-1 text-gray-400 hover:text-blue-600 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <Plus className="w-4 h-4" />
+                      </button>
+                    </section>
+                  );
+                })}
+                {agendaDays.length === 0 && (
+                  <p className="p-8 text-center text-sm text-gray-500">Nothing is due in this period.</p>
+                )}
+              </div>
+            ) : (
+              /* Month and Week Grids */
+              <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+                <div className="min-w-[42rem] border-l border-t border-gray-200">
+                  <div className="grid grid-cols-7 bg-gray-50">
+                    {WEEKDAYS.map(weekday => (
+                      <div key={weekday} className="px-2 py-2 border-b border-r border-gray-200 text-xs font-medium text-gray-500 uppercase tracking-wide">
+                        {weekday}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-7">
+                    {view === 'month'
+                      ? getMonthDays(date).map(day => renderDay(day, {
+                        isOutsideMonth: day.getMonth() !== date.getMonth(),
+                        maxVisible: 3,
+                        className: 'min-h-28',
+                      }))
+                      : getWeekDays(date).map(day => renderDay(day, { className: 'min-h-96' }))}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* New Todo for a Day */}
+      {creatingDay && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/40 p-4" onClick={() => setCreatingDay(null)}>
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-label="New todo"
+            onClick={(e) => e.stopPropagation()}
+            className="w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+          >
+            <CreateTodo
+              key={creatingDay}
+              onCreateTodo={(todoData) => createTodoMutation.mutateAsync(todoData)}
+              isLoading={createTodoMutation.isPending}
+              defaultDueDate={getDefaultDueValue(creatingDay)}
+              isInitiallyOpen
+              onClose={() => setCreatingDay(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Undo Toast */}
+      {undoAction && (
+        <UndoToast
+          message={undoAction.message}
+          onUndo={handleUndo}
+          onDismiss={dismissUndo}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TodoCalendar;
@@ -1,8 +1,30 @@
-import React from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { ArrowLeft, Check, X, Edit2, Trash2, Calendar, User, Hash, Loader, AlertCircle } from 'lucide-react';
+import React, { useState } from 'react';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeft, Check, X, Edit2, Trash2, Calendar, Hash, Folder, Loader, CloudOff, Clock, Flag, Tag, CalendarPlus } from 'lucide-react';
 import TodoService from '../services/api';
+import DueBadge from './DueBadge';
+import DueDateField from './DueDateField';
+import PriorityBadge from './PriorityBadge';
+import PrioritySelect from './PrioritySelect';
+import AssigneeSelect from './AssigneeSelect';
+import ListSelect from './ListSelect';
+import UserAvatar from './UserAvatar';
+import useUsers from '../hooks/useUsers';
+import { findUser, getUserName } from '../utils/users';
+import { getListId, toListField } from '../utils/lists';
+import TagChip from './TagChip';
+import TagPicker from './TagPicker';
+import SubtaskList from './SubtaskList';
+import DescriptionEditor from './DescriptionEditor';
+import RecurrenceEditor from './RecurrenceEditor';
+import MutationError from './MutationError';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import { getCompletionBlocker } from '../utils/subtasks';
+import { serializeICalendar } from '../utils/ical';
+import { downloadFile } from '../utils/importExport';
+import { todoKeys, useUpdateTodo, useDeleteTodo } from '../hooks/useTodoMutations';
 
 /**
  * TodoDetail component - Shows detailed view of a single todo item
@@ -11,7 +33,13 @@ import TodoService from '../services/api';
 const TodoDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const queryClient = useQueryClient();
+  const location = useLocation();
+
+  // The list view (with its search, filters and page) this todo was opened from
+  const listPath = location.state?.from || '/';
+
+  // Message for the most recent failed update or delete
+  const [mutationError, setMutationError] = useState('');
 
   // Fetch todo details
   const {
@@ -19,89 +47,158 @@ const TodoDetail = () => {
     isLoading,
     error
   } = useQuery({
-    queryKey: ['todo', id],
+    queryKey: todoKeys.detail(id),
     queryFn: () => TodoService.getTodoById(parseInt(id)),
     enabled: !!id,
     retry: 1,
   });
 
-  // Update todo mutation
-  const updateTodoMutation = useMutation({
-    mutationFn: ({ id, todoData }) => TodoService.updateTodo(id, todoData),
-    onSuccess: () => {
-      queryClient.invalidateQueries(['todo', id]);
-      queryClient.invalidateQueries(['todos']);
-    }
-  });
+  const { data: users } = useUsers();
 
-  // Delete todo mutation
-  const deleteTodoMutation = useMutation({
-    mutationFn: TodoService.deleteTodo,
-    onSuccess: () => {
-      queryClient.invalidateQueries(['todos']);
-      navigate('/');
-    }
-  });
+  // Update todo mutation, applied to the cache optimistically
+  const updateTodoMutation = useUpdateTodo({ onError: setMutationError });
+
+  // Delete todo mutation; stays on this page until the todo is in the trash
+  const deleteTodoMutation = useDeleteTodo({ onError: setMutationError });
 
   // Handler functions
-  const handleToggleComplete = async () => {
+  const handleToggleComplete = () => {
     if (!todo) return;
-    
-    try {
-      await updateTodoMutation.mutateAsync({
-        id: todo.id,
-        todoData: { ...todo, completed: !todo.completed }
-      });
-    } catch (error) {
-      console.error('Error updating todo:', error);
-      alert('Failed to update todo. Please try again.');
+
+    const todoData = { ...todo, completed: !todo.completed };
+    const blocker = getCompletionBlocker(todoData);
+    if (blocker) {
+      setMutationError(blocker);
+      return;
     }
+
+    setMutationError('');
+    updateTodoMutation.mutate({ id: todo.id, todoData });
   };
 
-  const handleDelete = async () => {
+  // Download this todo as a calendar event or task
+  const handleCalendarExport = (component) => {
+    downloadFile(`todo-${todo.id}.ics`, serializeICalendar([todo], { component }), 'text/calendar');
+  };
+
+  const handleDueDateChange = (dueDate) => {
     if (!todo) return;
-    
-    if (window.confirm('Are you sure you want to delete this todo?')) {
-      try {
-        await deleteTodoMutation.mutateAsync(todo.id);
-      } catch (error) {
-        console.error('Error deleting todo:', error);
-        alert('Failed to delete todo. Please try again.');
-      }
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, dueDate }
+    });
+  };
+
+  const handlePriorityChange = (priority) => {
+    if (!todo) return;
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, priority }
+    });
+  };
+
+  const handleAssigneeChange = (userId) => {
+    if (!todo) return;
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, userId }
+    });
+  };
+
+  const handleListChange = (listId) => {
+    if (!todo) return;
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, listId: toListField(listId) }
+    });
+  };
+
+  const handleDescriptionChange = (description) => {
+    if (!todo) return;
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, description }
+    });
+  };
+
+  const handleRecurrenceChange = (recurrence) => {
+    if (!todo) return;
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, recurrence }
+    });
+  };
+
+  const handleTagsChange = (tags) => {
+    if (!todo) return;
+
+    setMutationError('');
+    updateTodoMutation.mutate({
+      id: todo.id,
+      todoData: { ...todo, tags: tags.length ? tags : null }
+    });
+  };
+
+  // Under the 'block' rule, a completed todo that gains open subtasks is reopened
+  const saveSubtaskChange = (changes) => {
+    if (!todo) return;
+
+    const todoData = { ...todo, ...changes };
+    if (getCompletionBlocker(todoData)) {
+      todoData.completed = false;
     }
+
+    setMutationError('');
+    updateTodoMutation.mutate({ id: todo.id, todoData });
+  };
+
+  const handleSubtasksChange = (subtasks) => {
+    saveSubtaskChange({ subtasks: subtasks.length ? subtasks : null });
+  };
+
+  const handleSubtaskRuleChange = (subtaskRule) => {
+    saveSubtaskChange({ subtaskRule });
+  };
+
+  const handleDelete = () => {
+    if (!todo) return;
+    
+    setMutationError('');
+    deleteTodoMutation.mutate(todo.id, {
+      // The list offers an undo for the todo we just trashed
+      onSuccess: () => navigate(listPath, { state: { deletedTodo: todo } }),
+    });
   };
 
   // Loading state
   if (isLoading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50">
-        <div className="text-center">
-          <Loader className="h-8 w-8 animate-spin text-blue-600 mx-auto mb-4" />
-          <p className="text-gray-600">Loading todo details...</p>
-        </div>
-      </div>
-    );
+    return <LoadingScreen message="Loading todo details..." />;
   }
 
   // Error state
   if (error) {
     return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
-        <div className="text-center max-w-md">
-          <AlertCircle className="h-12 w-12 text-red-600 mx-auto mb-4" />
-          <h2 className="text-lg font-medium text-gray-900 mb-2">Todo not found</h2>
-          <p className="text-gray-600 mb-4">
-            The todo you're looking for doesn't exist or has been deleted.
-          </p>
-          <Link
-            to="/"
-            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-          >
-            <ArrowLeft className="h-4 w-4 mr-2" />
-            Back to Todo List
-          </Link>
-        </div>
-      </div>
+      <LoadError title="Todo not found" message="The todo you're looking for doesn't exist or has been deleted.">
+        <Link
+          to={listPath}
+          className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Back to Todo List
+        </Link>
+      </LoadError>
     );
   }
 
@@ -109,7 +206,8 @@ const TodoDetail = () => {
     return null;
   }
 
-  const isUpdating = updateTodoMutation.isLoading || deleteTodoMutation.isLoading;
+  const isUpdating = deleteTodoMutation.isPending;
+  const assignee = findUser(users, todo.userId);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 py-8">
@@ -117,7 +215,7 @@ const TodoDetail = () => {
         {/* Header with Back Button */}
         <div className="mb-8">
           <Link
-            to="/"
+            to={listPath}
             className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
           >
             <ArrowLeft className="h-4 w-4 mr-2" />
@@ -126,6 +224,9 @@ const TodoDetail = () => {
           <h1 className="text-4xl font-bold bg-gradient-to-r from-gray-900 to-gray-600 bg-clip-text text-transparent">Task Details</h1>
         </div>
 
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
         {/* Todo Detail Card */}
         <div className="bg-white rounded-lg shadow-lg border border-gray-200 overflow-hidden">
           {/* Todo Header */}
@@ -154,6 +255,10 @@ const TodoDetail = () => {
                   }`}>
                     {todo.completed ? 'Completed' : 'Pending'}
                   </span>
+
+                  {/* Priority and Due Badges */}
+                  <PriorityBadge priority={todo.priority} className="ml-2" />
+                  <DueBadge todo={todo} className="ml-2" />
                   
                   {/* Local Badge */}
                   {todo.isLocal && (
@@ -161,6 +266,14 @@ const TodoDetail = () => {
                       Local
                     </span>
                   )}
+
+                  {/* Pending Sync Badge */}
+                  {todo.pendingSync && (
+                    <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                      <CloudOff className="w-3 h-3 mr-1" />
+                      Pending sync
+                    </span>
+                  )}
                 </div>
                 
                 {/* Todo Title */}
@@ -171,6 +284,13 @@ const TodoDetail = () => {
                 }`}>
                   {todo.title}
                 </h2>
+
+                {/* Tag Chips */}
+                {todo.tags?.length > 0 && (
+                  <div className="mt-3 flex flex-wrap gap-1">
+                    {todo.tags.map(tag => <TagChip key={tag} name={tag} linkTo="/tags" />)}
+                  </div>
+                )}
               </div>
               
               {/* Action Buttons */}
@@ -192,7 +312,7 @@ const TodoDetail = () => {
                   onClick={handleDelete}
                   disabled={isUpdating}
                   className="p-2 rounded-md border border-red-300 text-red-600 hover:bg-red-50 transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50"
-                  title="Delete Todo"
+                  title="Move to Trash"
                 >
                   <Trash2 className="w-4 h-4" />
                 </button>
@@ -214,15 +334,105 @@ const TodoDetail = () => {
                 </div>
               </div>
               
-              {/* User ID */}
+              {/* Assignee */}
               <div className="flex items-center">
-                <User className="h-5 w-5 text-gray-400 mr-3" />
-                <div>
-                  <p className="text-sm font-medium text-gray-500">User ID</p>
-                  <p className="text-sm text-gray-900">{todo.userId}</p>
+                <span className="mr-3">
+                  <UserAvatar user={assignee} userId={todo.userId} size="md" />
+                </span>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-500 mb-1">Assignee</p>
+                  <AssigneeSelect
+                    value={todo.userId}
+                    onChange={handleAssigneeChange}
+                    disabled={isUpdating}
+                    aria-label="Assignee"
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <Link
+                    to={`/users/${todo.userId}`}
+                    className="block mt-1 text-xs font-medium text-blue-600 hover:text-blue-800 truncate"
+                  >
+                    All todos for {getUserName(assignee, todo.userId)}
+                  </Link>
                 </div>
               </div>
               
+              {/* List */}
+              <div className="flex items-center">
+                <Folder className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-500 mb-1">List</p>
+                  <ListSelect
+                    value={getListId(todo)}
+                    onChange={handleListChange}
+                    disabled={isUpdating}
+                    aria-label="List"
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+
+              {/* Priority */}
+              <div className="flex items-center">
+                <Flag className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-500 mb-1">Priority</p>
+                  <PrioritySelect
+                    value={todo.priority}
+                    onChange={handlePriorityChange}
+                    disabled={isUpdating}
+                    aria-label="Priority"
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+
+              {/* Due Date */}
+              <div className="flex items-center sm:col-span-2">
+                <Clock className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-500 mb-1">Due date</p>
+                  <DueDateField
+                    key={todo.dueDate || 'none'}
+                    dueDate={todo.dueDate}
+                    onSave={handleDueDateChange}
+                    disabled={isUpdating}
+                  />
+                  {todo.dueDate && (
+                    <div className="mt-2 flex flex-wrap gap-3">
+                      <button
+                        onClick={() => handleCalendarExport('VEVENT')}
+                        className="inline-flex items-center text-xs font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        <CalendarPlus className="w-3 h-3 mr-1" />
+                        Add to calendar (.ics)
+                      </button>
+                      <button
+                        onClick={() => handleCalendarExport('VTODO')}
+                        className="inline-flex items-center text-xs font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        <CalendarPlus className="w-3 h-3 mr-1" />
+                        Download as task (.ics)
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Tags */}
+              <div className="flex items-start sm:col-span-2">
+                <Tag className="h-5 w-5 text-gray-400 mr-3 mt-1" />
+                <div className="flex-1">
+                  <label htmlFor="todo-detail-tags" className="block text-sm font-medium text-gray-500 mb-1">Tags</label>
+                  <TagPicker
+                    id="todo-detail-tags"
+                    tags={todo.tags || []}
+                    onChange={handleTagsChange}
+                    disabled={isUpdating}
+                  />
+                </div>
+              </div>
+
               {/* Creation Date (for local todos) */}
               {todo.isLocal && (
                 <div className="flex items-center sm:col-span-2">
@@ -238,6 +448,34 @@ const TodoDetail = () => {
             </div>
           </div>
           
+          {/* Description */}
+          <div className="p-6 border-t border-gray-200">
+            <DescriptionEditor
+              description={todo.description}
+              onSave={handleDescriptionChange}
+              disabled={isUpdating}
+            />
+          </div>
+
+          {/* Recurrence */}
+          <div className="p-6 border-t border-gray-200">
+            <RecurrenceEditor
+              todo={todo}
+              onSave={handleRecurrenceChange}
+              disabled={isUpdating}
+            />
+          </div>
+
+          {/* Subtasks */}
+          <div className="p-6 border-t border-gray-200">
+            <SubtaskList
+              todo={todo}
+              onChange={handleSubtasksChange}
+              onRuleChange={handleSubtaskRuleChange}
+              disabled={isUpdating}
+            />
+          </div>
+          
           {/* Todo Actions */}
           <div className="bg-gray-50 px-6 py-4">
             <div className="flex flex-col sm:flex-row gap-3">
@@ -265,12 +503,12 @@ const TodoDetail = () => {
                 disabled={isUpdating}
                 className="flex-1 inline-flex items-center justify-center px-4 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50"
               >
-                {deleteTodoMutation.isLoading ? (
+                {deleteTodoMutation.isPending ? (
                   <Loader className="w-4 h-4 animate-spin mr-2" />
                 ) : (
                   <Trash2 className="w-4 h-4 mr-2" />
                 )}
-                Delete Todo
+                Move to Trash
               </button>
             </div>
           </div>
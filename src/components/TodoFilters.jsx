@@ -0,0 +1,99 @@
+import React from 'react';
+import TagFilter from './TagFilter';
+import SearchBox from './SearchBox';
+import { findUser } from '../utils/users';
+
+/**
+ * TodoFilters component - Search box and the status, tag, due date and assignee filters
+ * Reads and writes the values from useListParams; `children` go at the end of the first row
+ */
+const TodoFilters = ({ params, searchErrors, searchValues, users, children }) => {
+  const {
+    searchQuery,
+    filterStatus,
+    dueFilter,
+    tagFilter,
+    tagMatchMode,
+    assigneeFilter,
+    setSearchQuery,
+    setFilterStatus,
+    setDueFilter,
+    setTagFilter,
+    setTagMatchMode,
+    setAssigneeFilter,
+  } = params;
+
+  return (
+    <>
+      <div className="flex flex-col sm:flex-row sm:items-start gap-4">
+        {/* Search Input */}
+        <div className="flex-1">
+          <SearchBox
+            value={searchQuery}
+            onChange={setSearchQuery}
+            errors={searchErrors}
+            values={searchValues}
+          />
+        </div>
+
+        {/* Filter Dropdown */}
+        <div className="sm:w-48">
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            aria-label="Filter todos"
+            className="w-full px-3 py-3 border rounded-lg bg-white shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="all">All</option>
+            <option value="pending">Incomplete</option>
+            <option value="completed">Completed</option>
+          </select>
+        </div>
+
+        {/* Tag Filter */}
+        <TagFilter
+          selectedTags={tagFilter}
+          mode={tagMatchMode}
+          onChange={setTagFilter}
+          onModeChange={setTagMatchMode}
+        />
+
+        {children}
+      </div>
+
+      {/* Due Date and Assignee Filters */}
+      <div className="mt-4 flex flex-col sm:flex-row gap-4">
+        <select
+          value={dueFilter}
+          onChange={(e) => setDueFilter(e.target.value)}
+          aria-label="Filter by due date"
+          className="sm:w-48 px-3 py-2 border rounded-lg bg-white shadow-sm text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="all">Any due date</option>
+          <option value="overdue">Overdue</option>
+          <option value="today">Due today</option>
+          <option value="upcoming">Upcoming</option>
+          <option value="none">No due date</option>
+        </select>
+
+        {/* Assignee Filter */}
+        <select
+          value={assigneeFilter ?? ''}
+          onChange={(e) => setAssigneeFilter(Number(e.target.value) || null)}
+          aria-label="Filter by assignee"
+          className="sm:w-48 px-3 py-2 border rounded-lg bg-white shadow-sm text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">Anyone</option>
+          {assigneeFilter && !findUser(users, assigneeFilter) && (
+            <option value={assigneeFilter}>User {assigneeFilter}</option>
+          )}
+          {users.map(user => (
+            <option key={user.id} value={user.id}>{user.name}</option>
+          ))}
+        </select>
+      </div>
+    </>
+  );
+};
+
+export default TodoFilters;
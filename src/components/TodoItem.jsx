@@ -1,39 +1,71 @@
 import React, { useState } from 'react';
-import { Check, X, Edit2, Trash2, Eye } from 'lucide-react';
-import { Link } from 'react-router-dom';
+import { Check, X, Edit2, Trash2, Eye, CloudOff, Square, CheckSquare, Repeat, GripVertical, Folder } from 'lucide-react';
+import { Link, useLocation } from 'react-router-dom';
+import DueBadge from './DueBadge';
+import PriorityBadge from './PriorityBadge';
+import PrioritySelect from './PrioritySelect';
+import AssigneeSelect from './AssigneeSelect';
+import UserBadge from './UserBadge';
+import TagChip from './TagChip';
+import SubtaskProgress from './SubtaskProgress';
+import HighlightedText from './HighlightedText';
+import { getExcerpt } from '../utils/markdown';
+import { describeRecurrence } from '../utils/recurrence';
 
 /**
  * TodoItem component represents a single todo item in the list
  * Handles individual todo operations like toggle completion, edit, and delete
  */
-const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
+const TodoItem = ({
+  todo,
+  onToggle,
+  onDelete,
+  onEdit,
+  isSelectable = false,
+  isSelected = false,
+  onSelect,
+  isReorderable = false,
+  onMove,
+  dragHandlers,
+  dropIndicator,
+  highlights,
+  list,
+}) => {
+  const location = useLocation();
   const [isEditing, setIsEditing] = useState(false);
   const [editTitle, setEditTitle] = useState(todo.title);
-  const [isLoading, setIsLoading] = useState(false);
+  const [editPriority, setEditPriority] = useState(todo.priority || 'none');
+  const [editAssignee, setEditAssignee] = useState(todo.userId);
 
   /**
-   * Handle saving the edited todo title
+   * Handle saving the edited todo title, priority and assignee
+   * Changes are applied optimistically; the parent reports failures
    */
-  const handleSave = async () => {
+  const handleSave = () => {
     if (editTitle.trim() === '') {
       alert('Todo title cannot be empty');
       return;
     }
 
-    if (editTitle.trim() === todo.title) {
+    if (
+      editTitle.trim() === todo.title
+      && editPriority === (todo.priority || 'none')
+      && editAssignee === todo.userId
+    ) {
       setIsEditing(false);
       return;
     }
 
-    setIsLoading(true);
-    try {
-      await onEdit(todo.id, { ...todo, title: editTitle.trim() });
-      setIsEditing(false);
-    } catch (error) {
-      console.error('Error editing todo:', error);
-      alert('Failed to edit todo. Please try again.');
-    } finally {
-      setIsLoading(false);
+    onEdit(todo.id, { ...todo, title: editTitle.trim(), priority: editPriority, userId: editAssignee });
+    setIsEditing(false);
+  };
+
+  /**
+   * Save when focus leaves the edit controls, but not when moving between them
+   */
+  const handleEditBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      handleSave();
     }
   };
 
@@ -42,38 +74,33 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
    */
   const handleCancel = () => {
     setEditTitle(todo.title);
+    setEditPriority(todo.priority || 'none');
+    setEditAssignee(todo.userId);
     setIsEditing(false);
   };
 
   /**
    * Handle toggling todo completion status
    */
-  const handleToggle = async () => {
-    setIsLoading(true);
-    try {
-      await onToggle(todo.id, { ...todo, completed: !todo.completed });
-    } catch (error) {
-      console.error('Error toggling todo:', error);
-      alert('Failed to update todo. Please try again.');
-    } finally {
-      setIsLoading(false);
-    }
+  const handleToggle = () => {
+    onToggle(todo.id, { ...todo, completed: !todo.completed });
+  };
+
+  /**
+   * Handle moving the todo to the trash (the list offers an undo)
+   */
+  const handleDelete = () => {
+    onDelete(todo.id);
   };
 
   /**
-   * Handle deleting the todo
+   * Keyboard reordering from the drag handle: arrows move by one, Home/End to the ends
    */
-  const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this todo?')) {
-      setIsLoading(true);
-      try {
-        await onDelete(todo.id);
-      } catch (error) {
-        console.error('Error deleting todo:', error);
-        alert('Failed to delete todo. Please try again.');
-      } finally {
-        setIsLoading(false);
-      }
+  const handleHandleKeyDown = (e) => {
+    const directions = { ArrowUp: 'up', ArrowDown: 'down', Home: 'top', End: 'bottom' };
+    if (directions[e.key]) {
+      e.preventDefault();
+      onMove(todo, directions[e.key]);
     }
   };
 
@@ -89,38 +116,91 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
   };
 
   return (
-    <div className={`group bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6 hover:shadow-xl hover:bg-white/90 transition-all duration-300 transform hover:-translate-y-1 ${
-      isLoading ? 'opacity-50' : ''
-    } ${todo.completed ? 'bg-gray-50/70' : ''}`}>
+    <div
+      draggable={isReorderable && !isEditing}
+      {...(isReorderable && !isEditing ? dragHandlers : {})}
+      className={`relative group bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6 hover:shadow-xl hover:bg-white/90 transition-all duration-300 transform hover:-translate-y-1 ${
+        todo.completed ? 'bg-gray-50/70' : ''
+      } ${isSelected ? 'ring-2 ring-blue-400' : ''}`}
+    >
+      {/* Drop Position Indicator */}
+      {dropIndicator && (
+        <div
+          className={`absolute left-4 right-4 h-1 rounded-full bg-blue-500 ${
+            dropIndicator === 'before' ? '-top-2.5' : '-bottom-2.5'
+          }`}
+          aria-hidden="true"
+        />
+      )}
+
       <div className="flex items-center justify-between">
         {/* Left side - Checkbox and Title */}
         <div className="flex items-center flex-1 min-w-0">
+          {/* Drag Handle (also focusable for keyboard reordering) */}
+          {isReorderable && (
+            <button
+              onKeyDown={handleHandleKeyDown}
+              data-reorder-handle={todo.id}
+              aria-label={`Reorder "${todo.title}"`}
+              aria-describedby="reorder-instructions"
+              className="mr-2 flex-shrink-0 p-1 text-gray-300 hover:text-gray-500 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-blue-500 focus:text-gray-600"
+            >
+              <GripVertical className="w-4 h-4" />
+            </button>
+          )}
+
+          {/* Selection Checkbox (shift-click selects a range) */}
+          {isSelectable && (
+            <button
+              onClick={(e) => onSelect(todo.id, e.shiftKey)}
+              role="checkbox"
+              aria-checked={isSelected}
+              aria-label={`Select "${todo.title}"`}
+              className="mr-3 flex-shrink-0 text-blue-600 hover:text-blue-800 transition-colors"
+            >
+              {isSelected ? <CheckSquare className="w-5 h-5" /> : <Square className="w-5 h-5" />}
+            </button>
+          )}
+
           {/* Completion Checkbox */}
           <button
             onClick={handleToggle}
-            disabled={isLoading}
             className={`mr-4 flex-shrink-0 w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all duration-300 shadow-sm ${
               todo.completed
                 ? 'bg-gradient-to-r from-green-500 to-emerald-500 border-green-500 text-white hover:from-green-600 hover:to-emerald-600 scale-105'
                 : 'border-gray-300 hover:border-blue-400 hover:shadow-md hover:scale-105'
-            } ${isLoading ? 'cursor-not-allowed' : 'cursor-pointer'}`}
+            } cursor-pointer`}
           >
             {todo.completed && <Check className="w-4 h-4" />}
           </button>
 
           {/* Todo Title - Edit Mode */}
           {isEditing ? (
-            <input
-              type="text"
-              value={editTitle}
-              onChange={(e) => setEditTitle(e.target.value)}
-              onKeyDown={handleKeyPress}
-              onBlur={handleSave}
-              autoFocus
-              disabled={isLoading}
-              className="flex-1 mr-4 px-3 py-2 border-0 rounded-xl bg-blue-50 focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:shadow-md transition-all duration-200 text-gray-900"
-              placeholder="Enter todo title..."
-            />
+            <div className="flex-1 mr-4 flex items-center gap-2" onBlur={handleEditBlur}>
+              <input
+                type="text"
+                value={editTitle}
+                onChange={(e) => setEditTitle(e.target.value)}
+                onKeyDown={handleKeyPress}
+                autoFocus
+                className="flex-1 min-w-0 px-3 py-2 border-0 rounded-xl bg-blue-50 focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:shadow-md transition-all duration-200 text-gray-900"
+                placeholder="Enter todo title..."
+              />
+              <PrioritySelect
+                value={editPriority}
+                onChange={setEditPriority}
+                onKeyDown={handleKeyPress}
+                aria-label="Priority"
+                className="px-2 py-2 rounded-xl bg-blue-50 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+              />
+              <AssigneeSelect
+                value={editAssignee}
+                onChange={setEditAssignee}
+                onKeyDown={handleKeyPress}
+                aria-label="Assignee"
+                className="max-w-[9rem] px-2 py-2 rounded-xl bg-blue-50 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+              />
+            </div>
           ) : (
             /* Todo Title - Display Mode */
             <div className="flex-1 mr-4">
@@ -131,8 +211,19 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
                     : 'text-gray-900'
                 }`}
               >
-                {todo.title}
+                <HighlightedText text={todo.title} ranges={highlights?.title} />
               </span>
+              {todo.description && (
+                <p className="mt-1 text-sm text-gray-500 line-clamp-2">
+                  <HighlightedText text={getExcerpt(todo.description)} ranges={highlights?.description} />
+                </p>
+              )}
+              {todo.tags?.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {todo.tags.map(tag => <TagChip key={tag} name={tag} />)}
+                </div>
+              )}
+              <SubtaskProgress todo={todo} className="mt-2" />
             </div>
           )}
         </div>
@@ -144,7 +235,6 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
             <>
               <button
                 onClick={handleSave}
-                disabled={isLoading}
                 className="p-2 text-green-600 hover:text-white hover:bg-green-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-green-200 hover:border-green-500"
                 title="Save"
               >
@@ -152,7 +242,6 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
               </button>
               <button
                 onClick={handleCancel}
-                disabled={isLoading}
                 className="p-2 text-red-600 hover:text-white hover:bg-red-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-red-200 hover:border-red-500"
                 title="Cancel"
               >
@@ -165,6 +254,8 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
               {/* View Details Link */}
               <Link
                 to={`/todo/${todo.id}`}
+                // Lets the detail page link back to this exact view of the list
+                state={{ from: location.pathname + location.search }}
                 className="p-2 text-blue-600 hover:text-white hover:bg-blue-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-blue-200 hover:border-blue-500 opacity-0 group-hover:opacity-100 transform translate-x-2 group-hover:translate-x-0"
                 title="View Details"
               >
@@ -174,7 +265,6 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
               {/* Edit Button */}
               <button
                 onClick={() => setIsEditing(true)}
-                disabled={isLoading}
                 className="p-2 text-amber-600 hover:text-white hover:bg-amber-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-amber-200 hover:border-amber-500 opacity-0 group-hover:opacity-100 transform translate-x-2 group-hover:translate-x-0"
                 title="Edit"
               >
@@ -184,9 +274,8 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
               {/* Delete Button */}
               <button
                 onClick={handleDelete}
-                disabled={isLoading}
                 className="p-2 text-red-600 hover:text-white hover:bg-red-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-red-200 hover:border-red-500 opacity-0 group-hover:opacity-100 transform translate-x-2 group-hover:translate-x-0"
-                title="Delete"
+                title="Move to Trash"
               >
                 <Trash2 className="w-4 h-4" />
               </button>
@@ -198,12 +287,42 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
       {/* Todo Metadata */}
       <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
         <span>ID: {todo.id}</span>
-        <span>User: {todo.userId}</span>
+        <UserBadge userId={todo.userId} className="max-w-[8rem]" />
+        {list && (
+          <Link
+            to={`/lists/${list.id}`}
+            className="inline-flex items-center max-w-[8rem] hover:text-blue-700 hover:underline"
+            title={`In ${list.name}`}
+          >
+            <Folder className="w-3 h-3 mr-1 flex-shrink-0" />
+            <span className="truncate">{list.name}</span>
+          </Link>
+        )}
+        <PriorityBadge priority={todo.priority} />
+        <DueBadge todo={todo} />
+        {todo.recurrence && (
+          <span
+            className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+            title={describeRecurrence(todo.recurrence.rrule)}
+          >
+            <Repeat className="w-3 h-3 mr-1" />
+            {todo.recurrence.paused ? 'Paused' : 'Repeats'}
+          </span>
+        )}
         {todo.isLocal && (
           <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
             Local
           </span>
         )}
+        {todo.pendingSync && (
+          <span
+            className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-800"
+            title="This change will sync when you're back online"
+          >
+            <CloudOff className="w-3 h-3 mr-1" />
+            Pending sync
+          </span>
+        )}
       </div>
     </div>
   );
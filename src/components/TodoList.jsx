@@ -1,224 +1,664 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Search, Filter, ChevronLeft, ChevronRight, Loader, AlertCircle, Plus } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { Filter, ChevronLeft, ChevronRight, Plus, Trash2, ListChecks, Bell, Tag, Upload, Kanban, CalendarDays, BarChart3 } from 'lucide-react';
 import TodoItem from './TodoItem';
 import CreateTodo from './CreateTodo';
-import TodoService from '../services/api';
+import SyncStatus from './SyncStatus';
+import UndoToast from './UndoToast';
+import BulkActionBar from './BulkActionBar';
+import useTodos, { todosQueryOptions } from '../hooks/useTodos';
+import { useTodoPage, useInfiniteTodoPages, useHasManualOrder, getCachedPageTodos } from '../hooks/useTodoPages';
+import ReminderService from '../services/reminders';
+import useListParams from '../hooks/useListParams';
+import useScrollRestoration from '../hooks/useScrollRestoration';
+import usePreference from '../hooks/usePreference';
+import SortControl from './SortControl';
+import TodoFilters from './TodoFilters';
+import DisplayModeControl from './DisplayModeControl';
+import VirtualTodoList from './VirtualTodoList';
+import { useTags } from '../hooks/useTags';
+import ExportMenu from './ExportMenu';
+import ImportDialog from './ImportDialog';
+import useFilteredTodos from '../hooks/useFilteredTodos';
+import useUsers from '../hooks/useUsers';
+import useTodoActions from '../hooks/useTodoActions';
+import { useLists } from '../hooks/useLists';
+import ListSidebar from './ListSidebar';
+import ListHeader from './ListHeader';
+import MutationError from './MutationError';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import { getListId, toListField } from '../utils/lists';
+import { findUser, getUserName } from '../utils/users';
+import { planMove } from '../utils/ranks';
+import { getServerView, matchesPageFilters, pageTodos } from '../utils/paging';
+import {
+  useCreateTodo,
+  useBulkUpdateTodos,
+  useBulkDeleteTodos,
+  useBulkRestoreTodos,
+  useMoveTodo,
+} from '../hooks/useTodoMutations';
 
 /**
  * TodoList component - Main component that displays the list of todos
  * Includes search, filter, pagination, and CRUD operations
+ * Shows one list at /lists/:listId, or every list that isn't archived at /
  */
 const TodoList = () => {
-  // State for search, filter, and pagination
-  const [searchQuery, setSearchQuery] = useState('');
-  const [filterStatus, setFilterStatus] = useState('all'); // 'all', 'completed', 'pending'
-  const [currentPage, setCurrentPage] = useState(1);
-  const [todosPerPage] = useState(10);
+  const { listId } = useParams();
 
-  // React Query client for cache management
-  const queryClient = useQueryClient();
+  // Search, filter, sort and page live in the URL so views can be shared and revisited
+  const listParams = useListParams();
+  const {
+    searchQuery,
+    filterStatus, // 'all', 'completed', 'pending'
+    dueFilter, // 'all', 'overdue', 'today', 'upcoming', 'none'
+    tagFilter,
+    tagMatchMode, // 'any' (OR) or 'all' (AND)
+    assigneeFilter, // user ID or null
+    sortKeys, // [{ field, direction }]
+    requestedPage,
+    setSortKeys,
+    setCurrentPage,
+  } = listParams;
+  // Paged or continuous (virtualized, infinite scroll) display, and the page size; both persisted
+  const [listMode, setListMode, isListModeLoaded] = usePreference('listMode', 'paged');
+  const [todosPerPage, setTodosPerPage, isPageSizeLoaded] = usePreference('pageSize', 10);
+  // Nothing is fetched with the fallbacks, which would load the wrong pages and scroll to the wrong place
+  const arePreferencesLoaded = listParams.isLoaded && isListModeLoaded && isPageSizeLoaded;
+  const isContinuous = listMode === 'continuous';
+
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Notification permission for due-date reminders
+  const [reminderPermission, setReminderPermission] = useState(ReminderService.getPermission());
 
-  // Fetch todos using React Query
+  // Toggle, edit and delete for each todo, and the message for the most recent failed update;
+  // a deleted todo can be restored from the undo toast
   const {
-    data: todos = [],
-    isLoading,
-    error,
-    refetch
-  } = useQuery({
-    queryKey: ['todos'],
-    queryFn: async () => {
-      const [apiTodos, localTodos] = await Promise.all([
-        TodoService.getAllTodos(),
-        TodoService.getLocalTodos()
-      ]);
-      return [...apiTodos, ...localTodos];
+    mutationError,
+    setMutationError,
+    updateTodoMutation,
+    handleToggleTodo,
+    handleEditTodo,
+    handleDeleteTodo,
+  } = useTodoActions({
+    onDeleted: (id) => {
+      const deletedTodo = todos.find(todo => todo.id === id);
+      setUndoAction({
+        message: deletedTodo ? `Moved "${deletedTodo.title}" to trash` : 'Moved todo to trash',
+        undo: { restoreIds: [id] },
+      });
     },
-    staleTime: 5 * 60 * 1000, // 5 minutes
-    cacheTime: 10 * 60 * 1000, // 10 minutes
   });
 
-  // Create todo mutation
-  const createTodoMutation = useMutation({
-    mutationFn: TodoService.createTodo,
-    onSuccess: () => {
-      queryClient.invalidateQueries(['todos']);
-    },
-    onError: (error) => {
-      console.error('Error creating todo:', error);
-    }
+  // Last undoable action as { message, undo } (TodoDetail passes a trashed todo via router state)
+  const [undoAction, setUndoAction] = useState(() => {
+    const deletedTodo = location.state?.deletedTodo;
+    return deletedTodo
+      ? { message: `Moved "${deletedTodo.title}" to trash`, undo: { restoreIds: [deletedTodo.id] } }
+      : null;
   });
 
-  // Update todo mutation
-  const updateTodoMutation = useMutation({
-    mutationFn: ({ id, todoData }) => TodoService.updateTodo(id, todoData),
-    onSuccess: () => {
-      queryClient.invalidateQueries(['todos']);
-    },
-    onError: (error) => {
-      console.error('Error updating todo:', error);
-    }
+  // Selection mode state; the anchor is the last clicked todo for shift-click ranges
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+
+  // Drag-and-drop state, the screen reader announcement for the last move,
+  // and the todo whose handle should get focus once it reaches its new place
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, position: 'before' | 'after' }
+  const [moveAnnouncement, setMoveAnnouncement] = useState('');
+  const [focusAfterMove, setFocusAfterMove] = useState(null); // { id, index }
+
+  const [isImporting, setIsImporting] = useState(false);
+
+  const queryClient = useQueryClient();
+
+  // Lists for the sidebar; the one being viewed, if any
+  const { data: lists = [], isPending: isListsPending } = useLists();
+  const listsById = useMemo(() => new Map(lists.map(list => [list.id, list])), [lists]);
+  const currentList = listId ? listsById.get(listId) : null;
+  const hasArchivedLists = lists.some(list => list.archived);
+
+  // Views the backend can filter and sort are fetched a page at a time;
+  // anything else (text search, due and tag filters, manual order) needs every todo.
+  // Lists only exist in the app, so a single list or hiding archived ones does too
+  const { data: hasManualOrder, isPending: isOrderPending } = useHasManualOrder();
+  const isViewPending = isOrderPending || isListsPending || !arePreferencesLoaded;
+  const serverView = useMemo(
+    () => (isViewPending || listId || hasArchivedLists
+      ? null
+      : getServerView({ searchQuery, filterStatus, dueFilter, tagFilter, assigneeFilter, sortKeys, hasManualOrder })),
+    [isViewPending, listId, hasArchivedLists, searchQuery, filterStatus, dueFilter, tagFilter, assigneeFilter, sortKeys, hasManualOrder]
+  );
+  const isServerPaged = serverView !== null;
+
+  // Fetch todos using React Query; each list is cached on its own.
+  // Selecting on a server-paged view needs every todo too, as the selection spans pages
+  const todosQuery = useTodos({ listId, enabled: !isViewPending && (!isServerPaged || isSelecting) });
+  const pageQuery = useTodoPage(serverView, requestedPage, todosPerPage, {
+    enabled: isServerPaged && !isContinuous,
   });
+  const infiniteQuery = useInfiniteTodoPages(serverView, todosPerPage, {
+    enabled: isServerPaged && isContinuous,
+  });
+  const activeQuery = !isServerPaged ? todosQuery : isContinuous ? infiniteQuery : pageQuery;
+  const isLoading = isViewPending || activeQuery.isLoading;
+  const { error, refetch } = activeQuery;
 
-  // Delete todo mutation
-  const deleteTodoMutation = useMutation({
-    mutationFn: TodoService.deleteTodo,
-    onSuccess: () => {
-      queryClient.invalidateQueries(['todos']);
-    },
-    onError: (error) => {
-      console.error('Error deleting todo:', error);
+  // Server pages loaded so far, and the todos on them
+  const serverPages = useMemo(
+    () => (isContinuous ? infiniteQuery.data?.pages : pageQuery.data && [pageQuery.data]),
+    [isContinuous, infiniteQuery.data, pageQuery.data]
+  );
+  const lastServerPage = serverPages?.[serverPages.length - 1];
+  const todos = useMemo(() => {
+    if (!isServerPaged) {
+      // A todo moved to another list leaves this one before the list is fetched again
+      return (todosQuery.data || []).filter(todo => (listId
+        ? getListId(todo) === listId
+        : !listsById.get(getListId(todo))?.archived));
     }
-  });
+    // Edits can take a todo out of the view before its page is fetched again
+    return (serverPages || [])
+      .flatMap(page => page.todos)
+      .filter(todo => matchesPageFilters(todo, serverView));
+  }, [isServerPaged, listId, listsById, todosQuery.data, serverPages, serverView]);
 
-  // Filter and search todos
-  const filteredTodos = useMemo(() => {
-    let filtered = todos;
+  // Todo mutations; updates and deletes are applied to the cache optimistically
+  const createTodoMutation = useCreateTodo();
+  const bulkUpdateMutation = useBulkUpdateTodos({ onError: setMutationError });
+  const bulkDeleteMutation = useBulkDeleteTodos({ onError: setMutationError });
+  const bulkRestoreMutation = useBulkRestoreTodos({ onError: setMutationError });
+  const moveTodoMutation = useMoveTodo({ onError: setMutationError });
 
-    // Apply search filter
-    if (searchQuery.trim()) {
-      filtered = filtered.filter(todo =>
-        todo.title.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-    }
+  // Back/forward and returning from a todo put the list back where it was scrolled
+  useScrollRestoration(!isLoading);
 
-    // Apply status filter
-    if (filterStatus === 'completed') {
-      filtered = filtered.filter(todo => todo.completed);
-    } else if (filterStatus === 'pending') {
-      filtered = filtered.filter(todo => !todo.completed);
+  // Drop the router state so a refresh doesn't offer the same undo again
+  useEffect(() => {
+    if (location.state?.deletedTodo) {
+      navigate(location.pathname + location.search, { replace: true, state: null });
     }
+  }, [location.state, location.pathname, location.search, navigate]);
 
-    return filtered;
-  }, [todos, searchQuery, filterStatus]);
+  // Known tags and users for search autocomplete and the assignee filter
+  const { data: knownTags = [] } = useTags();
+  const { data: users = [] } = useUsers();
+  const searchValues = useMemo(() => ({
+    tag: knownTags.map(tag => tag.name),
+    user: [...new Set([...users.map(user => user.id), ...todos.map(todo => todo.userId)])].sort((a, b) => a - b),
+  }), [knownTags, users, todos]);
 
-  // Pagination calculations
-  const totalTodos = filteredTodos.length;
+  // Search, filters and sort order, shared with the board
+  const { filteredTodos, parsedQuery, searchResults, isRankedBySearch, isFiltered } =
+    useFilteredTodos(todos, listParams, { isPreFiltered: isServerPaged });
+
+  // Pagination calculations; server-paged views take the total from the backend,
+  // or without one, count another page for as long as pages come back full
+  const serverTotal = lastServerPage && (lastServerPage.total
+    ?? (lastServerPage.page - 1) * todosPerPage + lastServerPage.todos.length + (lastServerPage.hasMore ? 1 : 0));
+  const totalTodos = isServerPaged ? serverTotal ?? 0 : filteredTodos.length;
   const totalPages = Math.ceil(totalTodos / todosPerPage);
+  // A shared or stale link may ask for a page that no longer exists (the backend answers with the last one)
+  const currentPage = isServerPaged && !isContinuous && !pageQuery.isPlaceholderData
+    ? lastServerPage?.page ?? requestedPage
+    : Math.min(requestedPage, Math.max(totalPages, 1));
   const startIndex = (currentPage - 1) * todosPerPage;
   const endIndex = startIndex + todosPerPage;
-  const currentTodos = filteredTodos.slice(startIndex, endIndex);
+  const currentTodos = isContinuous || isServerPaged ? filteredTodos : filteredTodos.slice(startIndex, endIndex);
+  // Where filteredTodos starts in the whole list, since a server page only holds its own todos
+  const listOffset = isServerPaged && !isContinuous ? startIndex : 0;
+
+  // Manual order only applies while no sort keys are chosen
+  const canReorder = sortKeys.length === 0 && !isRankedBySearch;
+
+  // Every todo in the view, in order; a server-paged view only has it once every todo has loaded
+  const matchingTodos = useMemo(() => {
+    if (!isServerPaged) return filteredTodos;
+    return todosQuery.data ? pageTodos(todosQuery.data, serverView).todos : null;
+  }, [isServerPaged, filteredTodos, todosQuery.data, serverView]);
+  const matchingCount = matchingTodos ? matchingTodos.length : totalTodos;
+
+  const loadMatchingTodos = async () =>
+    matchingTodos ?? pageTodos(await queryClient.ensureQueryData(todosQueryOptions), serverView).todos;
+
+  // Todos currently selected for bulk actions; with server paging they may be on pages never fetched
+  const selectedTodos = useMemo(() => {
+    if (!isServerPaged) {
+      return todos.filter(todo => selectedIds.has(todo.id));
+    }
+    const knownTodos = new Map(
+      [...(todosQuery.data || []), ...getCachedPageTodos(queryClient)].map(todo => [todo.id, todo])
+    );
+    return [...knownTodos.values()].filter(todo => selectedIds.has(todo.id));
+  }, [isServerPaged, queryClient, todos, todosQuery.data, selectedIds]);
 
-  // Reset to first page when search or filter changes
+  // Refocus the moved todo's handle once it shows up at its new position
   useEffect(() => {
-    setCurrentPage(1);
-  }, [searchQuery, filterStatus]);
+    if (!focusAfterMove) return;
+    const index = currentTodos.findIndex(todo => todo.id === focusAfterMove.id);
+    if (index === focusAfterMove.index) {
+      document.querySelector(`[data-reorder-handle="${focusAfterMove.id}"]`)?.focus();
+      setFocusAfterMove(null);
+    }
+  }, [focusAfterMove, currentTodos]);
 
   // Handler functions
+  // New todos go into the list being viewed, or the Inbox from "All lists"
   const handleCreateTodo = async (todoData) => {
-    await createTodoMutation.mutateAsync(todoData);
+    await createTodoMutation.mutateAsync({ ...todoData, listId: listId ? toListField(listId) : null });
+  };
+
+  // Undo either restores trashed todos or writes back their previous versions
+  const handleUndo = () => {
+    const { restoreIds, previousTodos } = undoAction.undo;
+    if (restoreIds) {
+      bulkRestoreMutation.mutate(restoreIds);
+    } else {
+      bulkUpdateMutation.mutate(
+        previousTodos.map(todo => ({ id: todo.id, todoData: todo }))
+      );
+    }
+    setUndoAction(null);
+  };
+
+  const dismissUndo = useCallback(() => setUndoAction(null), []);
+  const closeImport = useCallback(() => setIsImporting(false), []);
+
+  // Selection handlers
+  const handleSelectTodo = async (id, extendRange) => {
+    setSelectionAnchor(id);
+    if (extendRange && selectionAnchor !== null) {
+      const ids = (await loadMatchingTodos()).map(todo => todo.id);
+      const from = ids.indexOf(selectionAnchor);
+      const to = ids.indexOf(id);
+      if (from !== -1 && to !== -1) {
+        // Shift-click selects everything between the anchor and this todo, across pages
+        const range = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+        setSelectedIds(current => new Set([...current, ...range]));
+        return;
+      }
+    }
+
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleSelectAllMatching = async () => {
+    const todosToSelect = await loadMatchingTodos();
+    setSelectedIds(new Set(todosToSelect.map(todo => todo.id)));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectionAnchor(null);
+  };
+
+  const exitSelectionMode = () => {
+    clearSelection();
+    setIsSelecting(false);
+  };
+
+  // Bulk handlers
+  const handleBulkUpdate = (changes, describe) => {
+    // An explicit null lets undo put todos back in the Inbox
+    const previousTodos = selectedTodos.map(todo => ({ ...todo, listId: todo.listId ?? null }));
+    if (previousTodos.length === 0) return;
+
+    setMutationError('');
+    bulkUpdateMutation.mutate(
+      previousTodos.map(todo => ({ id: todo.id, todoData: { ...todo, ...changes } })),
+      {
+        onSuccess: ({ succeeded }) => {
+          const succeededIds = new Set(succeeded.map(todo => todo.id));
+          const changedTodos = previousTodos.filter(todo => succeededIds.has(todo.id));
+          if (changedTodos.length > 0) {
+            setUndoAction({
+              message: describe(changedTodos.length),
+              undo: { previousTodos: changedTodos },
+            });
+          }
+        },
+      }
+    );
+  };
+
+  const handleBulkDelete = () => {
+    const ids = selectedTodos.map(todo => todo.id);
+    if (ids.length === 0) return;
+
+    setMutationError('');
+    bulkDeleteMutation.mutate(ids, {
+      onSuccess: ({ succeeded }) => {
+        if (succeeded.length > 0) {
+          setUndoAction({
+            message: `Moved ${succeeded.length} todos to trash`,
+            undo: { restoreIds: succeeded },
+          });
+        }
+      },
+    });
+    clearSelection();
+  };
+
+  // Reorder handlers; positions are indexes into the whole filtered list, across pages.
+  // Ranks are planned over every todo so hidden ones keep their places, and the
+  // manual order that results takes a server-paged view off server paging
+  const moveTodoTo = async (todo, toIndex) => {
+    const allTodos = await queryClient.ensureQueryData(todosQueryOptions);
+    const orderedTodos = isServerPaged
+      ? allTodos.filter(item => matchesPageFilters(item, serverView))
+      : filteredTodos;
+    const fromIndex = orderedTodos.findIndex(item => item.id === todo.id);
+    const target = Math.max(0, Math.min(toIndex, orderedTodos.length - 1));
+    if (fromIndex === -1 || fromIndex === target) return;
+
+    setMutationError('');
+    moveTodoMutation.mutate({ todo, ranks: planMove(allTodos, orderedTodos, todo.id, target) });
+    if (isContinuous) {
+      setFocusAfterMove({ id: todo.id, index: target });
+    } else {
+      setCurrentPage(Math.floor(target / todosPerPage) + 1);
+      setFocusAfterMove({ id: todo.id, index: target % todosPerPage });
+    }
+    setMoveAnnouncement(`Moved "${todo.title}" to position ${target + 1} of ${orderedTodos.length}.`);
+  };
+
+  const handleKeyboardMove = (todo, direction) => {
+    const index = listOffset + filteredTodos.findIndex(item => item.id === todo.id);
+    const targets = { up: index - 1, down: index + 1, top: 0, bottom: totalTodos - 1 };
+    moveTodoTo(todo, targets[direction]);
   };
 
-  const handleToggleTodo = async (id, todoData) => {
-    await updateTodoMutation.mutateAsync({ id, todoData });
+  const endDrag = () => {
+    setDraggedId(null);
+    setDropTarget(null);
   };
 
-  const handleEditTodo = async (id, todoData) => {
-    await updateTodoMutation.mutateAsync({ id, todoData });
+  // Move a todo to another list; undo puts it back where it was
+  const moveToList = (todo, targetListId) => {
+    if (getListId(todo) === targetListId) return;
+    const targetName = listsById.get(targetListId)?.name ?? 'list';
+    setMutationError('');
+    updateTodoMutation.mutate({ id: todo.id, todoData: { ...todo, listId: toListField(targetListId) } }, {
+      onSuccess: () => setUndoAction({
+        message: `Moved "${todo.title}" to ${targetName}`,
+        undo: { previousTodos: [{ ...todo, listId: todo.listId ?? null }] },
+      }),
+    });
   };
 
-  const handleDeleteTodo = async (id) => {
-    await deleteTodoMutation.mutateAsync(id);
+  // Lists in the sidebar accept dropped todos
+  const handleDropOnList = (targetListId) => {
+    const dragged = todos.find(item => item.id === draggedId);
+    if (dragged) {
+      moveToList(dragged, targetListId);
+    }
+    endDrag();
   };
 
+  // Drop before or after a todo depending on which half of it the pointer is over
+  const getDragHandlers = (todo) => ({
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(todo.id));
+      setDraggedId(todo.id);
+    },
+    onDragOver: (e) => {
+      if (draggedId === null) return;
+      e.preventDefault();
+      const { top, height } = e.currentTarget.getBoundingClientRect();
+      const position = e.clientY < top + height / 2 ? 'before' : 'after';
+      if (dropTarget?.id !== todo.id || dropTarget.position !== position) {
+        setDropTarget({ id: todo.id, position });
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      const dragged = filteredTodos.find(item => item.id === draggedId);
+      if (dragged && dropTarget) {
+        const fromIndex = filteredTodos.indexOf(dragged);
+        const overIndex = filteredTodos.findIndex(item => item.id === dropTarget.id);
+        const index = dropTarget.position === 'after' ? overIndex + 1 : overIndex;
+        moveTodoTo(dragged, listOffset + (fromIndex < index ? index - 1 : index));
+      }
+      endDrag();
+    },
+    onDragEnd: endDrag,
+  });
+
+  // Page buttons accept drops, moving the todo to the top of that page
+  const getPageDropHandlers = (page) => (draggedId === null ? {} : {
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      const dragged = filteredTodos.find(item => item.id === draggedId);
+      if (dragged) {
+        moveTodoTo(dragged, (page - 1) * todosPerPage);
+      }
+      endDrag();
+    },
+  });
+
   const handlePageChange = (page) => {
     setCurrentPage(page);
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const clearSearch = () => {
-    setSearchQuery('');
+  // Stay on the page that holds the first todo currently shown
+  const handlePageSizeChange = (size) => {
+    setTodosPerPage(size);
+    setCurrentPage(Math.floor(startIndex / size) + 1);
+  };
+
+  // Server-paged continuous lists fetch the next page as the end comes into view
+  const { fetchNextPage, isFetchingNextPage } = infiniteQuery;
+  const loadNextPage = useCallback(() => {
+    if (!isFetchingNextPage) {
+      fetchNextPage();
+    }
+  }, [fetchNextPage, isFetchingNextPage]);
+
+  // Exports cover the whole view, not just the todos loaded so far
+  const getExportTodos = (allTodos) =>
+    (isServerPaged ? pageTodos(allTodos, serverView).todos : filteredTodos);
+
+  const renderTodo = (todo) => (
+    <TodoItem
+      key={todo.id}
+      todo={todo}
+      onToggle={handleToggleTodo}
+      onEdit={handleEditTodo}
+      onDelete={handleDeleteTodo}
+      isSelectable={isSelecting}
+      isSelected={selectedIds.has(todo.id)}
+      onSelect={handleSelectTodo}
+      isReorderable={canReorder}
+      onMove={handleKeyboardMove}
+      dragHandlers={getDragHandlers(todo)}
+      dropIndicator={draggedId !== null && draggedId !== todo.id && dropTarget?.id === todo.id ? dropTarget.position : null}
+      highlights={searchResults?.get(todo.id)?.highlights}
+      list={listId ? undefined : listsById.get(getListId(todo))}
+    />
+  );
+
+  const enableReminders = async () => {
+    setReminderPermission(await ReminderService.requestPermission());
+    ReminderService.schedule(await queryClient.ensureQueryData(todosQueryOptions));
   };
 
   // Loading state
   if (isLoading) {
+    return <LoadingScreen message="Loading todos..." />;
+  }
+
+  // Unknown or deleted list
+  if (listId && !currentList) {
     return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-100">
-        <div className="text-center">
-          <div className="border-4 border-blue-600 border-t-transparent rounded-full w-8 h-8 animate-spin mx-auto mb-4" role="status" aria-label="Loading"></div>
-          <p className="text-gray-600">Loading todos...</p>
-        </div>
-      </div>
+      <LoadError title="List not found" message="This list doesn't exist or has been deleted.">
+        <Link
+          to="/"
+          className="inline-block px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Back to all lists
+        </Link>
+      </LoadError>
     );
   }
 
   // Error state
   if (error) {
-    return (
-      <div className="min-h-screen flex items-center justify-center bg-gray-100 px-4">
-        <div className="bg-white p-8 rounded-lg shadow-lg max-w-md mx-auto text-center">
-          <AlertCircle className="h-12 w-12 text-red-600 mx-auto mb-4" />
-          <h2 className="text-lg font-medium text-gray-900 mb-2">Failed to load todos</h2>
-          <p className="text-gray-600 mb-4">{error.message}</p>
-          <button
-            onClick={refetch}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
-            aria-label="Try again"
-          >
-            Try Again
-          </button>
-        </div>
-      </div>
-    );
+    return <LoadError title="Failed to load todos" error={error} onRetry={refetch} />;
   }
 
   return (
     <div className="min-h-screen bg-gray-100">
-      <div className="max-w-2xl mx-auto p-4">
+      <div className="max-w-5xl mx-auto p-4 lg:flex lg:items-start lg:gap-6">
+        {/* List Navigation */}
+        <aside className="mb-6 lg:mb-0 lg:w-56 lg:flex-shrink-0 lg:sticky lg:top-4">
+          <ListSidebar
+            lists={lists}
+            activeListId={listId}
+            isDragging={draggedId !== null}
+            onDropTodo={handleDropOnList}
+          />
+        </aside>
+
+        <div className="flex-1 min-w-0 max-w-2xl mx-auto lg:mx-0 w-full">
         {/* Header */}
         <header className="text-center mb-8">
-          <h1 className="text-3xl font-bold text-gray-800 mb-2">Todo App</h1>
-          <p className="text-gray-600">Keep track of your tasks</p>
+          {currentList ? (
+            <ListHeader
+              key={currentList.id}
+              list={currentList}
+              todoCount={totalTodos}
+              onError={setMutationError}
+            />
+          ) : (
+            <>
+              <h1 className="text-3xl font-bold text-gray-800 mb-2">Todo App</h1>
+              <p className="text-gray-600">Keep track of your tasks</p>
+            </>
+          )}
+          <div className="mt-3 flex flex-wrap items-center justify-center gap-3">
+            <SyncStatus />
+            <Link
+              to="/trash"
+              className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+            >
+              <Trash2 className="w-3 h-3 mr-1" />
+              Trash
+            </Link>
+            <Link
+              to={`/board${location.search}`}
+              className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+            >
+              <Kanban className="w-3 h-3 mr-1" />
+              Board
+            </Link>
+            <Link
+              to="/calendar"
+              className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+            >
+              <CalendarDays className="w-3 h-3 mr-1" />
+              Calendar
+            </Link>
+            <Link
+              to="/stats"
+              className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+            >
+              <BarChart3 className="w-3 h-3 mr-1" />
+              Stats
+            </Link>
+            <Link
+              to="/tags"
+              className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+            >
+              <Tag className="w-3 h-3 mr-1" />
+              Tags
+            </Link>
+            <ExportMenu getFilteredTodos={getExportTodos} isFiltered={isFiltered} />
+            <button
+              onClick={() => setIsImporting(true)}
+              className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+            >
+              <Upload className="w-3 h-3 mr-1" />
+              Import
+            </button>
+            {reminderPermission === 'default' && (
+              <button
+                onClick={enableReminders}
+                className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium text-gray-600 bg-white border border-gray-200 hover:bg-gray-50 hover:text-gray-800 transition-colors"
+              >
+                <Bell className="w-3 h-3 mr-1" />
+                Enable reminders
+              </button>
+            )}
+          </div>
         </header>
 
         {/* Create Todo Form */}
         <CreateTodo
           onCreateTodo={handleCreateTodo}
-          isLoading={createTodoMutation.isLoading}
+          isLoading={createTodoMutation.isPending}
         />
 
         {/* Search and Filter Controls */}
         <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
-          <div className="flex flex-col sm:flex-row gap-4">
-            {/* Search Input */}
-            <div className="flex-1">
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search todos..."
-                  aria-label="Search todos"
-                  className="w-full pl-10 pr-4 py-3 border rounded-lg bg-white shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-                />
-                {searchQuery && (
-                  <button
-                    onClick={clearSearch}
-                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                    aria-label="Clear search"
-                  >
-                    ×
-                  </button>
-                )}
-              </div>
-            </div>
+          <TodoFilters
+            params={listParams}
+            searchErrors={parsedQuery.errors}
+            searchValues={searchValues}
+            users={users}
+          >
+            {/* Selection Mode Toggle */}
+            <button
+              onClick={isSelecting ? exitSelectionMode : () => setIsSelecting(true)}
+              aria-pressed={isSelecting}
+              className={`inline-flex items-center justify-center px-4 py-3 border rounded-lg shadow-sm text-sm font-medium transition-colors duration-200 focus:ring-2 focus:ring-blue-500 ${
+                isSelecting
+                  ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <ListChecks className="w-4 h-4 mr-2" />
+              Select
+            </button>
+          </TodoFilters>
 
-            {/* Filter Dropdown */}
-            <div className="sm:w-48">
-              <select
-                value={filterStatus}
-                onChange={(e) => setFilterStatus(e.target.value)}
-                aria-label="Filter todos"
-                className="w-full px-3 py-3 border rounded-lg bg-white shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="all">All</option>
-                <option value="pending">Incomplete</option>
-                <option value="completed">Completed</option>
-              </select>
-            </div>
+          {/* Sort Order and Display Mode (persisted between sessions) */}
+          <div className="mt-4 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <SortControl sortKeys={sortKeys} onChange={setSortKeys} />
+            <DisplayModeControl
+              mode={listMode}
+              onModeChange={setListMode}
+              pageSize={todosPerPage}
+              onPageSizeChange={handlePageSizeChange}
+            />
           </div>
 
+          {/* Reorder Hint */}
+          <p id="reorder-instructions" className="mt-4 text-xs text-gray-500">
+            {canReorder
+              ? `Drag todos by their handle to reorder them, or focus a handle and use the arrow keys (Home and End move to the ends).${isContinuous ? '' : ' Drop on a page number to move a todo to that page.'}`
+              : isRankedBySearch
+                ? 'Search results are ordered by relevance. Clear the search to reorder todos by hand.'
+                : 'Remove the sort keys to reorder todos by hand.'}
+          </p>
+
           {/* Results Summary */}
           <div className="mt-4 text-sm text-gray-600">
             Showing {currentTodos.length} of {totalTodos} todos
@@ -228,22 +668,63 @@ const TodoList = () => {
             {filterStatus !== 'all' && (
               <span> ({filterStatus})</span>
             )}
+            {dueFilter !== 'all' && (
+              <span> ({dueFilter === 'none' ? 'no due date' : dueFilter})</span>
+            )}
+            {tagFilter.length > 0 && (
+              <span> tagged {tagFilter.join(tagMatchMode === 'all' ? ' and ' : ' or ')}</span>
+            )}
+            {assigneeFilter && (
+              <span> assigned to {getUserName(findUser(users, assigneeFilter), assigneeFilter)}</span>
+            )}
           </div>
         </div>
 
+        {/* Bulk Actions */}
+        {isSelecting && (
+          <BulkActionBar
+            selectedCount={selectedTodos.length}
+            matchingCount={matchingCount}
+            onSelectAll={handleSelectAllMatching}
+            onClearSelection={clearSelection}
+            onMarkComplete={() => handleBulkUpdate({ completed: true }, count => `Marked ${count} todos complete`)}
+            onMarkPending={() => handleBulkUpdate({ completed: false }, count => `Marked ${count} todos pending`)}
+            onDelete={handleBulkDelete}
+            onReassign={(userId) => handleBulkUpdate(
+              { userId },
+              count => `Reassigned ${count} todos to ${getUserName(findUser(users, userId), userId)}`
+            )}
+            onMoveToList={(targetListId) => handleBulkUpdate(
+              { listId: toListField(targetListId) },
+              count => `Moved ${count} todos to ${listsById.get(targetListId)?.name ?? 'list'}`
+            )}
+            onExit={exitSelectionMode}
+            isBusy={bulkUpdateMutation.isPending || bulkDeleteMutation.isPending}
+          />
+        )}
+
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
         {/* Todo List */}
         {currentTodos.length > 0 ? (
-          <div className="space-y-4 mb-8">
-            {currentTodos.map((todo) => (
-              <TodoItem
-                key={todo.id}
-                todo={todo}
-                onToggle={handleToggleTodo}
-                onEdit={handleEditTodo}
-                onDelete={handleDeleteTodo}
-              />
-            ))}
-          </div>
+          isContinuous ? (
+            <VirtualTodoList
+              // A different list, search or filter starts a fresh list
+              key={location.pathname + location.search}
+              todos={filteredTodos}
+              batchSize={todosPerPage}
+              hasMore={isServerPaged && infiniteQuery.hasNextPage}
+              onLoadMore={loadNextPage}
+              renderTodo={renderTodo}
+              keepMountedId={focusAfterMove?.id}
+              storageKey={`loaded:${location.pathname}${location.search}`}
+            />
+          ) : (
+            <div className="space-y-4 mb-8">
+              {currentTodos.map(renderTodo)}
+            </div>
+          )
         ) : (
           /* Empty State */
           <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-12 text-center">
@@ -253,15 +734,15 @@ const TodoList = () => {
               </svg>
             </div>
             <h3 className="text-xl font-semibold text-gray-900 mb-3">
-              {searchQuery || filterStatus !== 'all' ? 'No tasks found' : 'Ready to get organized?'}
+              {isFiltered ? 'No tasks found' : 'Ready to get organized?'}
             </h3>
             <p className="text-gray-600 max-w-md mx-auto leading-relaxed">
-              {searchQuery || filterStatus !== 'all'
+              {isFiltered
                 ? 'Try adjusting your search terms or filter settings to find what you\'re looking for.'
                 : 'Create your first task and start building productive habits today.'
               }
             </p>
-            {!searchQuery && filterStatus === 'all' && (
+            {!isFiltered && (
               <button
                 onClick={() => document.querySelector('button[class*="border-dashed"]')?.click()}
                 className="mt-6 inline-flex items-center px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-medium rounded-xl hover:from-blue-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all duration-200 transform hover:scale-105 shadow-lg"
@@ -274,7 +755,7 @@ const TodoList = () => {
         )}
 
         {/* Pagination */}
-        {totalPages > 1 && (
+        {!isContinuous && totalPages > 1 && (
           <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-6">
             <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
               <div className="text-sm text-gray-600 flex items-center space-x-2">
@@ -286,6 +767,7 @@ const TodoList = () => {
               <div className="flex items-center space-x-2">
                 <button
                   onClick={() => handlePageChange(currentPage - 1)}
+                  {...getPageDropHandlers(currentPage - 1)}
                   disabled={currentPage === 1}
                   className="p-3 rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 hover:border-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-sm hover:shadow-md"
                 >
@@ -318,6 +800,7 @@ const TodoList = () => {
                       <button
                         key={page}
                         onClick={() => handlePageChange(page)}
+                        {...getPageDropHandlers(page)}
                         className={`px-4 py-2 rounded-xl text-sm font-medium transition-all duration-200 ${
                           isCurrentPage
                             ? 'bg-gradient-to-r from-blue-600 to-indigo-600 text-white shadow-lg transform scale-105'
@@ -332,6 +815,7 @@ const TodoList = () => {
                 
                 <button
                   onClick={() => handlePageChange(currentPage + 1)}
+                  {...getPageDropHandlers(currentPage + 1)}
                   disabled={currentPage === totalPages}
                   className="p-3 rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 hover:border-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-sm hover:shadow-md"
                 >
@@ -341,7 +825,27 @@ const TodoList = () => {
             </div>
           </div>
         )}
+        </div>
       </div>
+
+      {/* Import Dialog */}
+      {isImporting && (
+        <ImportDialog listId={listId ? toListField(listId) : null} onClose={closeImport} />
+      )}
+
+      {/* Reorder Announcements for Screen Readers */}
+      <div className="sr-only" aria-live="polite" role="status">
+        {moveAnnouncement}
+      </div>
+
+      {/* Undo Last Action */}
+      {undoAction && (
+        <UndoToast
+          message={undoAction.message}
+          onUndo={handleUndo}
+          onDismiss={dismissUndo}
+        />
+      )}
     </div>
   );
 };
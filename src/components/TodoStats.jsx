@@ -0,0 +1,146 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, BarChart3 } from 'lucide-react';
+import ActivityChart from './ActivityChart';
+import BreakdownTable from './BreakdownTable';
+import DateRangePicker from './DateRangePicker';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import useTodos from '../hooks/useTodos';
+import useUsers from '../hooks/useUsers';
+import useActivity from '../hooks/useActivity';
+import { fromDayKey } from '../utils/calendar';
+import {
+  BREAKDOWNS,
+  DEFAULT_RANGE_DAYS,
+  getPresetRange,
+  getActivitySeries,
+  getSummary,
+  getBreakdown,
+  formatDuration,
+} from '../utils/stats';
+
+/**
+ * TodoStats component - Productivity dashboard computed locally from todos and the activity history
+ * The date range is kept in the URL (?from=2026-09-20&to=2026-10-19)
+ */
+const TodoStats = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [breakdownBy, setBreakdownBy] = useState('user');
+
+  // An incomplete or invalid range in the URL falls back to the last 30 days
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  const range = useMemo(
+    () => (fromDayKey(from) && fromDayKey(to) && from <= to ? { from, to } : getPresetRange(DEFAULT_RANGE_DAYS)),
+    [from, to]
+  );
+
+  const { data: todos = [], isLoading, error, refetch } = useTodos();
+  const { data: events = [], isLoading: isActivityLoading } = useActivity();
+  const { data: users = [] } = useUsers();
+
+  const series = useMemo(() => getActivitySeries(events, range), [events, range]);
+  const summary = getSummary(todos, events, range);
+  const breakdown = getBreakdown(todos, events, range, breakdownBy, { users });
+
+  const handleRangeChange = (nextRange) => {
+    setSearchParams({ from: nextRange.from, to: nextRange.to }, { replace: true });
+  };
+
+  // Loading state
+  if (isLoading || isActivityLoading) {
+    return <LoadingScreen message="Loading stats..." />;
+  }
+
+  // Error state
+  if (error) {
+    return <LoadError title="Failed to load todos" error={error} onRetry={refetch} />;
+  }
+
+  const statCards = [
+    { label: 'Created', value: summary.created, hint: 'in range', className: 'text-blue-700' },
+    { label: 'Completed', value: summary.completed, hint: 'in range', className: 'text-green-700' },
+    {
+      label: 'Avg. time to complete',
+      value: summary.averageCompletionTime === null ? '–' : formatDuration(summary.averageCompletionTime),
+      hint: summary.timedCompletions ? `over ${summary.timedCompletions} todos` : 'no timed completions',
+      className: 'text-gray-900',
+    },
+    { label: 'Completion rate', value: `${summary.rate}%`, hint: `of ${summary.total} todos`, className: 'text-gray-900' },
+    { label: 'Overdue', value: summary.overdue, hint: 'now', className: summary.overdue ? 'text-red-700' : 'text-gray-900' },
+  ];
+  const breakdownLabel = BREAKDOWNS.find(item => item.value === breakdownBy).label;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-5xl mx-auto p-4">
+        {/* Header */}
+        <div className="mb-6">
+          <Link
+            to="/"
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Task List
+          </Link>
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <h1 className="text-3xl font-bold text-gray-800 flex items-center">
+              <BarChart3 className="w-7 h-7 mr-3 text-blue-600" />
+              Statistics
+            </h1>
+            <DateRangePicker range={range} onChange={handleRangeChange} />
+          </div>
+        </div>
+
+        {/* Summary */}
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+          <dl className="grid grid-cols-2 sm:grid-cols-5 gap-4 text-center">
+            {statCards.map(card => (
+              <div key={card.label}>
+                <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{card.label}</dt>
+                <dd className={`mt-1 text-2xl font-semibold ${card.className}`}>{card.value}</dd>
+                <dd className="text-xs text-gray-500">{card.hint}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+
+        {/* Created and Completed Over Time */}
+        <section className="bg-white rounded-lg shadow-sm p-4 mb-6" aria-labelledby="activity-title">
+          <h2 id="activity-title" className="text-lg font-semibold text-gray-800 mb-4">Created and completed</h2>
+          <ActivityChart series={series} />
+          {events.length === 0 && (
+            <p className="mt-4 text-xs text-gray-500">
+              Activity is recorded on this device from now on, as todos are created and completed.
+            </p>
+          )}
+        </section>
+
+        {/* Breakdowns */}
+        <section className="bg-white rounded-lg shadow-sm p-4" aria-labelledby="breakdown-title">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+            <h2 id="breakdown-title" className="text-lg font-semibold text-gray-800">By {breakdownLabel.toLowerCase()}</h2>
+            <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1" role="group" aria-label="Break down by">
+              {BREAKDOWNS.map(item => (
+                <button
+                  key={item.value}
+                  onClick={() => setBreakdownBy(item.value)}
+                  aria-pressed={breakdownBy === item.value}
+                  className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    breakdownBy === item.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <BreakdownTable rows={breakdown} groupLabel={breakdownLabel} />
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default TodoStats;
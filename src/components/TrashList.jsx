@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeft, RotateCcw, Trash2 } from 'lucide-react';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import MutationError from './MutationError';
+import TodoService from '../services/api';
+import { TRASH_RETENTION_DAYS } from '../services/trash';
+import { todoKeys, useRestoreTodo, usePermanentlyDeleteTodo, useEmptyTrash } from '../hooks/useTodoMutations';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * TrashList component - Lists soft-deleted todos
+ * Supports restoring, permanently deleting and emptying the trash
+ */
+const TrashList = () => {
+  const [mutationError, setMutationError] = useState('');
+
+  // Purge expired entries before listing what's left
+  const {
+    data: entries = [],
+    isLoading,
+    error,
+    refetch
+  } = useQuery({
+    queryKey: todoKeys.trash,
+    queryFn: async () => {
+      await TodoService.purgeExpiredTrash();
+      return TodoService.getTrashedTodos();
+    },
+  });
+
+  const restoreTodoMutation = useRestoreTodo({ onError: setMutationError });
+  const deleteTodoMutation = usePermanentlyDeleteTodo({ onError: setMutationError });
+  const emptyTrashMutation = useEmptyTrash({ onError: setMutationError });
+
+  const isBusy = restoreTodoMutation.isPending
+    || deleteTodoMutation.isPending
+    || emptyTrashMutation.isPending;
+
+  // Handler functions
+  const handleRestore = (id) => {
+    setMutationError('');
+    restoreTodoMutation.mutate(id);
+  };
+
+  const handleDelete = (todo) => {
+    if (window.confirm(`Permanently delete "${todo.title}"? This can't be undone.`)) {
+      setMutationError('');
+      deleteTodoMutation.mutate(todo.id);
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    if (window.confirm(`Permanently delete all ${entries.length} todos in the trash? This can't be undone.`)) {
+      setMutationError('');
+      emptyTrashMutation.mutate();
+    }
+  };
+
+  // Loading state
+  if (isLoading) {
+    return <LoadingScreen message="Loading trash..." />;
+  }
+
+  // Error state
+  if (error) {
+    return <LoadError title="Failed to load trash" error={error} onRetry={refetch} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-2xl mx-auto p-4">
+        {/* Header */}
+        <div className="mb-8">
+          <Link
+            to="/"
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Task List
+          </Link>
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800 mb-2">Trash</h1>
+              <p className="text-gray-600 text-sm">
+                Deleted todos are removed for good after {TRASH_RETENTION_DAYS} days.
+              </p>
+            </div>
+            {entries.length > 0 && (
+              <button
+                onClick={handleEmptyTrash}
+                disabled={isBusy}
+                className="inline-flex items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors duration-200 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4 mr-2" />
+                Empty Trash
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
+        {/* Trashed Todos */}
+        {entries.length > 0 ? (
+          <ul className="space-y-4">
+            {entries.map(({ todo, deletedAt, expiresAt }) => (
+              <li
+                key={todo.id}
+                className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6 flex items-center justify-between"
+              >
+                <div className="flex-1 min-w-0 mr-4">
+                  <p className={`text-base font-medium truncate ${
+                    todo.completed ? 'text-gray-500 line-through' : 'text-gray-900'
+                  }`}>
+                    {todo.title}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Deleted {new Date(deletedAt).toLocaleString()} · purged in{' '}
+                    {Math.max(0, Math.ceil((expiresAt - Date.now()) / DAY))} days
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleRestore(todo.id)}
+                    disabled={isBusy}
+                    className="p-2 text-green-600 hover:text-white hover:bg-green-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-green-200 hover:border-green-500 disabled:opacity-50"
+                    title="Restore"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(todo)}
+                    disabled={isBusy}
+                    className="p-2 text-red-600 hover:text-white hover:bg-red-500 rounded-full shadow-sm hover:shadow-md transition-all duration-200 border border-red-200 hover:border-red-500 disabled:opacity-50"
+                    title="Delete Permanently"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          /* Empty State */
+          <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-12 text-center">
+            <Trash2 className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-gray-900 mb-3">Trash is empty</h3>
+            <p className="text-gray-600">Deleted todos will show up here.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrashList;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { CalendarOff } from 'lucide-react';
+import CalendarTodo from './CalendarTodo';
+
+/**
+ * UndatedTodos component - Calendar sidebar of pending todos without a due date
+ * Drag one onto a day to schedule it, or drop a scheduled todo here to clear its date
+ */
+const UndatedTodos = ({ todos, now, getDragHandlers, isDropTarget, dropHandlers }) => (
+  <section
+    {...dropHandlers}
+    aria-labelledby="undated-title"
+    className={`bg-white rounded-lg shadow-sm p-4 transition-colors ${
+      isDropTarget ? 'ring-2 ring-blue-400 bg-blue-50' : ''
+    }`}
+  >
+    <h2 id="undated-title" className="flex items-center text-sm font-semibold text-gray-800 mb-1">
+      <CalendarOff className="w-4 h-4 mr-2 text-gray-500" />
+      No due date
+      <span className="ml-auto px-2 py-0.5 rounded-full bg-gray-100 text-xs font-medium text-gray-600">
+        {todos.length}
+      </span>
+    </h2>
+    <p className="text-xs text-gray-500 mb-3">Drag a todo onto a day to schedule it.</p>
+
+    {todos.length > 0 ? (
+      <div className="space-y-1 max-h-[60vh] overflow-y-auto">
+        {todos.map(todo => (
+          <CalendarTodo key={todo.id} todo={todo} now={now} dragHandlers={getDragHandlers(todo)} />
+        ))}
+      </div>
+    ) : (
+      <p className="py-4 text-center text-xs text-gray-500">Every pending todo has a due date.</p>
+    )}
+  </section>
+);
+
+export default UndatedTodos;
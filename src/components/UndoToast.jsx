@@ -0,0 +1,39 @@
+import React, { useEffect } from 'react';
+import { Undo2, X } from 'lucide-react';
+
+/**
+ * UndoToast component - Timed notification with an Undo action
+ * Dismisses itself once the duration has passed
+ */
+const UndoToast = ({ message, onUndo, onDismiss, duration = 8000 }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, duration]);
+
+  return (
+    <div
+      className="fixed bottom-6 left-1/2 transform -translate-x-1/2 z-50 flex items-center bg-gray-900 text-white rounded-xl shadow-xl px-4 py-3 max-w-md w-[calc(100%-2rem)]"
+      role="status"
+      aria-live="polite"
+    >
+      <span className="flex-1 text-sm truncate">{message}</span>
+      <button
+        onClick={onUndo}
+        className="ml-4 inline-flex items-center px-3 py-1 text-sm font-medium text-blue-300 hover:text-blue-100 rounded-lg hover:bg-white/10 transition-colors"
+      >
+        <Undo2 className="w-4 h-4 mr-1" />
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="ml-1 p-1 text-gray-400 hover:text-white rounded-full transition-colors"
+        aria-label="Dismiss"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { avatarColor, getInitials, getUserName } from '../utils/users';
+
+const SIZES = {
+  sm: 'w-5 h-5 text-[10px]',
+  md: 'w-8 h-8 text-xs',
+  lg: 'w-16 h-16 text-xl',
+};
+
+/**
+ * UserAvatar component - Round avatar for a user
+ * Uses the backend's picture when it has one, otherwise coloured initials
+ */
+const UserAvatar = ({ user, userId, size = 'sm' }) => {
+  const name = getUserName(user, userId);
+
+  if (user?.avatar) {
+    return <img src={user.avatar} alt="" className={`${SIZES[size]} rounded-full object-cover flex-shrink-0`} />;
+  }
+
+  return (
+    <span
+      className={`${SIZES[size]} ${avatarColor(userId)} rounded-full inline-flex items-center justify-center font-semibold text-white flex-shrink-0`}
+      aria-hidden="true"
+    >
+      {user ? getInitials(name) : userId}
+    </span>
+  );
+};
+
+export default UserAvatar;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import UserAvatar from './UserAvatar';
+import useUsers from '../hooks/useUsers';
+import { findUser, getUserName } from '../utils/users';
+
+/**
+ * UserBadge component - A todo's assignee as avatar and name, linking to their page
+ */
+const UserBadge = ({ userId, size = 'sm', className = '' }) => {
+  const { data: users } = useUsers();
+  const user = findUser(users, userId);
+
+  return (
+    <Link
+      to={`/users/${userId}`}
+      className={`inline-flex items-center gap-1.5 min-w-0 hover:text-blue-700 hover:underline ${className}`}
+      title={`Assigned to ${getUserName(user, userId)}`}
+    >
+      <UserAvatar user={user} userId={userId} size={size} />
+      <span className="truncate">{getUserName(user, userId)}</span>
+    </Link>
+  );
+};
+
+export default UserBadge;
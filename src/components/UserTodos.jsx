@@ -0,0 +1,192 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Mail, Building2, ListFilter } from 'lucide-react';
+import TodoItem from './TodoItem';
+import UserAvatar from './UserAvatar';
+import LoadingScreen from './LoadingScreen';
+import LoadError from './LoadError';
+import MutationError from './MutationError';
+import useTodos from '../hooks/useTodos';
+import useUsers from '../hooks/useUsers';
+import useTodoActions from '../hooks/useTodoActions';
+import { findUser, getUserName, getCompletionStats } from '../utils/users';
+
+const STATUS_TABS = [
+  { value: 'all', label: 'All' },
+  { value: 'open', label: 'Open' },
+  { value: 'completed', label: 'Completed' },
+];
+
+/**
+ * UserTodos component - One person's profile, completion stats and assigned todos
+ */
+const UserTodos = () => {
+  const { id } = useParams();
+  const userId = Number(id);
+  const [status, setStatus] = useState('all');
+
+  const { data: users, isPending: isUsersPending } = useUsers();
+  const { data: todos = [], isLoading, error, refetch } = useTodos();
+
+  const {
+    mutationError,
+    setMutationError,
+    handleToggleTodo,
+    handleEditTodo,
+    handleDeleteTodo,
+  } = useTodoActions();
+
+  const user = findUser(users, userId);
+  const assignedTodos = useMemo(
+    () => todos.filter(todo => todo.userId === userId),
+    [todos, userId]
+  );
+  const stats = getCompletionStats(assignedTodos);
+  const shownTodos = assignedTodos.filter(todo =>
+    status === 'all' || (status === 'completed') === Boolean(todo.completed)
+  );
+
+  // Loading state
+  if (isLoading) {
+    return <LoadingScreen message="Loading todos..." />;
+  }
+
+  // Error state
+  if (error) {
+    return <LoadError title="Failed to load todos" error={error} onRetry={refetch} />;
+  }
+
+  const statCards = [
+    { label: 'Assigned', value: stats.total, className: 'text-gray-900' },
+    { label: 'Completed', value: stats.completed, className: 'text-green-700' },
+    { label: 'Open', value: stats.open, className: 'text-blue-700' },
+    { label: 'Overdue', value: stats.overdue, className: stats.overdue ? 'text-red-700' : 'text-gray-900' },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-2xl mx-auto p-4">
+        {/* Header */}
+        <div className="mb-8">
+          <Link
+            to="/"
+            className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-6 px-4 py-2 rounded-xl hover:bg-blue-50 transition-all duration-200 font-medium"
+          >
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Task List
+          </Link>
+          <div className="flex items-center gap-4">
+            <UserAvatar user={user} userId={userId} size="lg" />
+            <div className="min-w-0">
+              <h1 className="text-3xl font-bold text-gray-800 truncate">{getUserName(user, userId)}</h1>
+              {user ? (
+                <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600">
+                  {user.username && <span>@{user.username}</span>}
+                  {user.email && (
+                    <a href={`mailto:${user.email}`} className="inline-flex items-center hover:text-blue-700">
+                      <Mail className="w-4 h-4 mr-1" />
+                      {user.email}
+                    </a>
+                  )}
+                  {user.company?.name && (
+                    <span className="inline-flex items-center">
+                      <Building2 className="w-4 h-4 mr-1" />
+                      {user.company.name}
+                    </span>
+                  )}
+                </div>
+              ) : (
+                !isUsersPending && (
+                  <p className="mt-1 text-sm text-gray-500">This user isn't listed by the backend.</p>
+                )
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Completion Stats */}
+        <div className="bg-white rounded-lg shadow-sm p-4 mb-6">
+          <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+            {statCards.map(card => (
+              <div key={card.label}>
+                <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{card.label}</dt>
+                <dd className={`mt-1 text-2xl font-semibold ${card.className}`}>{card.value}</dd>
+              </div>
+            ))}
+          </dl>
+          <div className="mt-4">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span>Completion</span>
+              <span>{stats.rate}%</span>
+            </div>
+            <div
+              className="h-2 bg-gray-200 rounded-full overflow-hidden"
+              role="progressbar"
+              aria-valuenow={stats.rate}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-label="Completed todos"
+            >
+              <div className="h-full bg-green-500 transition-all duration-300" style={{ width: `${stats.rate}%` }} />
+            </div>
+          </div>
+        </div>
+
+        {/* Status Tabs */}
+        <div className="flex items-center justify-between mb-4">
+          <div className="inline-flex rounded-lg border border-gray-200 bg-white p-1" role="group" aria-label="Show todos">
+            {STATUS_TABS.map(tab => (
+              <button
+                key={tab.value}
+                onClick={() => setStatus(tab.value)}
+                aria-pressed={status === tab.value}
+                className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                  status === tab.value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+          <Link
+            to={`/?assignee=${userId}`}
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            <ListFilter className="w-4 h-4 mr-1" />
+            Open in task list
+          </Link>
+        </div>
+
+        {/* Mutation Error */}
+        <MutationError message={mutationError} onDismiss={() => setMutationError('')} />
+
+        {/* Assigned Todos */}
+        {shownTodos.length > 0 ? (
+          <div className="space-y-4 mb-8">
+            {shownTodos.map(todo => (
+              <TodoItem
+                key={todo.id}
+                todo={todo}
+                onToggle={handleToggleTodo}
+                onEdit={handleEditTodo}
+                onDelete={handleDeleteTodo}
+              />
+            ))}
+          </div>
+        ) : (
+          /* Empty State */
+          <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-12 text-center">
+            <h3 className="text-xl font-semibold text-gray-900 mb-3">No todos here</h3>
+            <p className="text-gray-600">
+              {status === 'all'
+                ? `Nothing is assigned to ${getUserName(user, userId)} yet.`
+                : `${getUserName(user, userId)} has no ${status} todos.`}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserTodos;
@@ -0,0 +1,155 @@
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { useWindowVirtualizer, defaultRangeExtractor } from '@tanstack/react-virtual';
+import { Loader } from 'lucide-react';
+
+// Rough height of a todo card before it has been measured
+const ESTIMATED_HEIGHT = 112;
+
+// Load the next batch this many rows before reaching the end
+const LOAD_AHEAD = 5;
+
+/**
+ * VirtualTodoList component - Continuous list of todos that only renders the rows near the viewport
+ * Loads `batchSize` more todos as the end comes into view, keeps the row in view steady
+ * when the list changes, and never unmounts the row that has keyboard focus.
+ * For lists fetched page by page, `hasMore` and `onLoadMore` fetch the next page past the end
+ */
+const VirtualTodoList = ({ todos, batchSize, renderTodo, keepMountedId, storageKey, hasMore = false, onLoadMore }) => {
+  const listRef = useRef(null);
+  const [scrollMargin, setScrollMargin] = useState(0);
+  const [focusedId, setFocusedId] = useState(null);
+
+  // How many todos have been loaded; remembered per view so back/forward finds the same length
+  const [loadedCount, setLoadedCount] = useState(
+    () => Math.max(batchSize, Number(sessionStorage.getItem(storageKey)) || 0)
+  );
+
+  useEffect(() => {
+    sessionStorage.setItem(storageKey, String(loadedCount));
+  }, [storageKey, loadedCount]);
+
+  // Rows that must stay rendered: the focused one and one about to receive focus
+  const pinnedIndexes = [focusedId, keepMountedId]
+    .map(id => todos.findIndex(todo => todo.id === id))
+    .filter(index => index !== -1);
+  const count = Math.min(todos.length, Math.max(loadedCount, ...pinnedIndexes.map(index => index + 1)));
+
+  const pinnedKey = pinnedIndexes.join(',');
+  const rangeExtractor = useCallback((range) => {
+    const indexes = new Set(defaultRangeExtractor(range));
+    pinnedKey.split(',').filter(Boolean).forEach(index => indexes.add(Number(index)));
+    return [...indexes].sort((a, b) => a - b);
+  }, [pinnedKey]);
+
+  const virtualizer = useWindowVirtualizer({
+    count,
+    estimateSize: () => ESTIMATED_HEIGHT,
+    overscan: 5,
+    scrollMargin,
+    rangeExtractor,
+    // Measurements follow the todo, not its position, so inserts don't mix up heights
+    getItemKey: (index) => todos[index].id,
+  });
+  const virtualItems = virtualizer.getVirtualItems();
+
+  // The list's distance from the top of the page, for window scroll offsets;
+  // it moves whenever content above it (banners, the bulk action bar) changes size
+  useLayoutEffect(() => {
+    const measure = () => {
+      const top = listRef.current.getBoundingClientRect().top + window.scrollY;
+      setScrollMargin(current => (Math.abs(top - current) > 1 ? top : current));
+    };
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  // Load the next batch when the last loaded rows come into view,
+  // fetching another page once everything fetched so far is shown
+  const lastIndex = virtualItems[virtualItems.length - 1]?.index ?? 0;
+  useEffect(() => {
+    if (lastIndex < count - LOAD_AHEAD) return;
+    if (count < todos.length) {
+      setLoadedCount(Math.min(count + batchSize, todos.length));
+    } else if (hasMore) {
+      onLoadMore();
+    }
+  }, [lastIndex, count, todos.length, batchSize, hasMore, onLoadMore]);
+
+  // Remember which row is at the top of the viewport and how far into it we are
+  const anchorRef = useRef(null);
+  useEffect(() => {
+    const saveAnchor = () => {
+      const item = virtualizer.getVirtualItems().find(virtualItem => virtualItem.end > window.scrollY);
+      anchorRef.current = item && window.scrollY > scrollMargin
+        ? { id: item.key, offset: window.scrollY - item.start }
+        : null;
+    };
+    window.addEventListener('scroll', saveAnchor, { passive: true });
+    return () => window.removeEventListener('scroll', saveAnchor);
+  }, [virtualizer, scrollMargin]);
+
+  // When todos are added, removed or reordered above, keep that row where it was
+  useLayoutEffect(() => {
+    const anchor = anchorRef.current;
+    if (!anchor) return;
+    const item = virtualizer.measurementsCache.find(measured => measured.key === anchor.id);
+    if (item && Math.abs(item.start + anchor.offset - window.scrollY) > 1) {
+      window.scrollTo(0, item.start + anchor.offset);
+    }
+  }, [todos, virtualizer]);
+
+  // Track focus inside rows so the focused row isn't virtualized away
+  const handleFocus = (e) => {
+    const row = e.target.closest('[data-todo-id]');
+    setFocusedId(row ? todos.find(todo => String(todo.id) === row.dataset.todoId)?.id ?? null : null);
+  };
+  const handleBlur = (e) => {
+    if (!listRef.current.contains(e.relatedTarget)) {
+      setFocusedId(null);
+    }
+  };
+
+  return (
+    <div className="mb-8">
+      <div
+        ref={listRef}
+        onFocus={handleFocus}
+        onBlur={handleBlur}
+        className="relative"
+        style={{ height: virtualizer.getTotalSize() }}
+      >
+        {virtualItems.map(virtualItem => {
+          const todo = todos[virtualItem.index];
+          return (
+            <div
+              key={virtualItem.key}
+              ref={virtualizer.measureElement}
+              data-index={virtualItem.index}
+              data-todo-id={todo.id}
+              className="absolute left-0 top-0 w-full pb-4"
+              style={{ transform: `translateY(${virtualItem.start - scrollMargin}px)` }}
+            >
+              {renderTodo(todo)}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Loading Status */}
+      <p className="mt-2 text-center text-sm text-gray-500" aria-live="polite">
+        {count < todos.length || hasMore ? (
+          <span className="inline-flex items-center">
+            <Loader className="w-4 h-4 mr-2 animate-spin" />
+            Loading more todos...
+          </span>
+        ) : (
+          `All ${todos.length} todos shown`
+        )}
+      </p>
+    </div>
+  );
+};
+
+export default VirtualTodoList;
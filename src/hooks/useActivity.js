@@ -0,0 +1,15 @@
+import { useQuery } from '@tanstack/react-query';
+import ActivityService from '../services/activity';
+import { todoKeys } from './useTodoMutations';
+
+/**
+ * Fetch the recorded history of todos being created, completed and reopened
+ * It lives in local storage, so it is available offline
+ */
+const useActivity = () =>
+  useQuery({
+    queryKey: todoKeys.activity,
+    queryFn: ActivityService.getEvents,
+  });
+
+export default useActivity;
@@ -0,0 +1,80 @@
+import { useMemo } from 'react';
+import useTodoSearch from './useTodoSearch';
+import { getDueStatus } from '../utils/dueDates';
+import { sortTodos } from '../utils/sorting';
+import { matchesTags } from '../utils/tags';
+import { parseQuery, matchesQuery, hasTextTerms } from '../utils/query';
+
+/**
+ * Apply the search, filters and sort order from useListParams to a set of todos
+ * Shared by the list and the board so the same URL shows the same todos in both
+ * Pass `isPreFiltered` for server-paged todos, which arrive filtered and sorted
+ */
+const useFilteredTodos = (todos, params, { isPreFiltered = false } = {}) => {
+  const { searchQuery, filterStatus, dueFilter, tagFilter, tagMatchMode, assigneeFilter, sortKeys } = params;
+
+  // Parsed search query; its errors are shown as hints under the search box
+  const parsedQuery = useMemo(() => parseQuery(searchQuery), [searchQuery]);
+
+  // Ranked fuzzy matches from the search worker, by todo id
+  const searchResults = useTodoSearch(todos, isPreFiltered ? '' : searchQuery);
+
+  // Text searches list the best matches first unless a sort order is chosen
+  const isRankedBySearch = Boolean(searchResults) && hasTextTerms(parsedQuery) && sortKeys.length === 0;
+
+  const filteredTodos = useMemo(() => {
+    if (isPreFiltered) {
+      return todos;
+    }
+    let filtered = todos;
+
+    // Apply search query (text and field filters); until the worker has
+    // answered for the first time, match on the main thread instead
+    if (parsedQuery.groups.length > 0) {
+      if (searchResults) {
+        filtered = filtered.filter(todo => searchResults.has(todo.id));
+      } else {
+        const now = new Date();
+        filtered = filtered.filter(todo => matchesQuery(todo, parsedQuery, now));
+      }
+    }
+
+    // Apply status filter
+    if (filterStatus === 'completed') {
+      filtered = filtered.filter(todo => todo.completed);
+    } else if (filterStatus === 'pending') {
+      filtered = filtered.filter(todo => !todo.completed);
+    }
+
+    // Apply due date filter
+    if (dueFilter === 'none') {
+      filtered = filtered.filter(todo => !todo.dueDate);
+    } else if (dueFilter !== 'all') {
+      const now = new Date();
+      filtered = filtered.filter(todo => getDueStatus(todo, now) === dueFilter);
+    }
+
+    // Apply tag filter
+    if (tagFilter.length > 0) {
+      filtered = filtered.filter(todo => matchesTags(todo, tagFilter, tagMatchMode));
+    }
+
+    // Apply assignee filter
+    if (assigneeFilter) {
+      filtered = filtered.filter(todo => todo.userId === assigneeFilter);
+    }
+
+    // Apply relevance or sort order
+    if (isRankedBySearch) {
+      return [...filtered].sort((a, b) => searchResults.get(b.id).score - searchResults.get(a.id).score);
+    }
+    return sortTodos(filtered, sortKeys);
+  }, [isPreFiltered, todos, parsedQuery, searchResults, isRankedBySearch, filterStatus, dueFilter, tagFilter, tagMatchMode, assigneeFilter, sortKeys]);
+
+  const isFiltered = Boolean(searchQuery) || filterStatus !== 'all' || dueFilter !== 'all'
+    || tagFilter.length > 0 || Boolean(assigneeFilter);
+
+  return { filteredTodos, parsedQuery, searchResults, isRankedBySearch, isFiltered };
+};
+
+export default useFilteredTodos;
@@ -0,0 +1,113 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import usePreference from './usePreference';
+import { SORT_FIELDS } from '../utils/sorting';
+import { normalizeTag } from '../utils/tags';
+
+const STATUS_FILTERS = ['all', 'completed', 'pending'];
+const DUE_FILTERS = ['all', 'overdue', 'today', 'upcoming', 'none'];
+const TAG_MATCH_MODES = ['any', 'all'];
+
+const oneOf = (value, allowed) => (allowed.includes(value) ? value : allowed[0]);
+
+// Sort keys are written as `field.direction` pairs, e.g. sort=priority.desc,title.asc
+const parseSort = (value) =>
+  value.split(',').flatMap(part => {
+    const [field, direction] = part.split('.');
+    return SORT_FIELDS[field] && ['asc', 'desc'].includes(direction) ? [{ field, direction }] : [];
+  });
+
+const formatSort = (sortKeys) =>
+  sortKeys.map(({ field, direction }) => `${field}.${direction}`).join(',');
+
+/**
+ * Keep the todo list's search, filters, sort and page in the URL query string
+ * so views survive a refresh, can be bookmarked and shared, and come back with the back button
+ * Sort keys without a `sort` parameter fall back to the saved preference; `isLoaded` is false
+ * until that preference has been read
+ */
+const useListParams = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [savedSortKeys, setSavedSortKeys, isLoaded] = usePreference('sortKeys', []); // [{ field, direction }]
+
+  const params = useMemo(() => {
+    const page = Number(searchParams.get('page'));
+    const sort = searchParams.get('sort');
+    return {
+      searchQuery: searchParams.get('q') || '',
+      filterStatus: oneOf(searchParams.get('status'), STATUS_FILTERS),
+      dueFilter: oneOf(searchParams.get('due'), DUE_FILTERS),
+      tagFilter: (searchParams.get('tags') || '').split(',').map(normalizeTag).filter(Boolean),
+      tagMatchMode: oneOf(searchParams.get('match'), TAG_MATCH_MODES),
+      assigneeFilter: Number(searchParams.get('assignee')) || null, // user ID or null for anyone
+      sortKeys: sort === null ? savedSortKeys : parseSort(sort),
+      requestedPage: Number.isInteger(page) && page > 0 ? page : 1,
+    };
+  }, [searchParams, savedSortKeys]);
+
+  // Write one parameter, leaving it out of the URL when it has its default value.
+  // Anything that changes which todos are listed starts again at page 1.
+  const setParam = useCallback((name, value, { replace = false, keepPage = false } = {}) => {
+    setSearchParams(current => {
+      const next = new URLSearchParams(current);
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+      if (!keepPage) {
+        next.delete('page');
+      }
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  // Typing replaces the history entry so the back button skips keystrokes
+  const setSearchQuery = useCallback(
+    (query) => setParam('q', query, { replace: true }),
+    [setParam]
+  );
+  const setFilterStatus = useCallback(
+    (status) => setParam('status', status === 'all' ? '' : status),
+    [setParam]
+  );
+  const setDueFilter = useCallback(
+    (due) => setParam('due', due === 'all' ? '' : due),
+    [setParam]
+  );
+  const setTagFilter = useCallback(
+    (tags) => setParam('tags', tags.join(',')),
+    [setParam]
+  );
+  const setTagMatchMode = useCallback(
+    (mode) => setParam('match', mode === 'any' ? '' : mode),
+    [setParam]
+  );
+  const setAssigneeFilter = useCallback(
+    (userId) => setParam('assignee', userId ? String(userId) : ''),
+    [setParam]
+  );
+  const setSortKeys = useCallback((sortKeys) => {
+    setSavedSortKeys(sortKeys);
+    setParam('sort', formatSort(sortKeys));
+  }, [setParam, setSavedSortKeys]);
+  const setCurrentPage = useCallback(
+    (page) => setParam('page', page > 1 ? String(page) : '', { keepPage: true }),
+    [setParam]
+  );
+
+  return {
+    ...params,
+    isLoaded,
+    setSearchQuery,
+    setFilterStatus,
+    setDueFilter,
+    setTagFilter,
+    setTagMatchMode,
+    setAssigneeFilter,
+    setSortKeys,
+    setCurrentPage,
+  };
+};
+
+export default useListParams;
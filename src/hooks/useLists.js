@@ -0,0 +1,74 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import ListService from '../services/lists';
+import { todoKeys } from './useTodoMutations';
+
+/**
+ * Fetch the Inbox and every named list, archived ones included
+ */
+export const useLists = () =>
+  useQuery({
+    queryKey: todoKeys.lists,
+    queryFn: ListService.getLists,
+    staleTime: Infinity,
+  });
+
+/**
+ * Create a list
+ */
+export const useCreateList = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ListService.createList,
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => queryClient.invalidateQueries({ queryKey: todoKeys.lists }),
+  });
+};
+
+/**
+ * Rename a list
+ */
+export const useRenameList = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, name }) => ListService.renameList(id, name),
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => queryClient.invalidateQueries({ queryKey: todoKeys.lists }),
+  });
+};
+
+/**
+ * Archive a list or bring it back; "All lists" hides or shows its todos
+ */
+export const useArchiveList = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, archived }) => ListService.setArchived(id, archived),
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => queryClient.invalidateQueries({ queryKey: todoKeys.lists }),
+  });
+};
+
+/**
+ * Delete a list after moving its todos to the trash
+ */
+export const useDeleteList = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ListService.deleteList,
+    onSuccess: (result) => {
+      if (result.failed.length > 0) {
+        onError?.(`Couldn't move ${result.failed.length} todos to the trash, so the list was kept.`);
+      }
+    },
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: todoKeys.lists });
+      queryClient.invalidateQueries({ queryKey: todoKeys.all });
+      queryClient.invalidateQueries({ queryKey: todoKeys.trash });
+    },
+  });
+};
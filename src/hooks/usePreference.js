@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PreferenceService from '../services/preferences';
+
+/**
+ * useState that is persisted through PreferenceService
+ * Starts with the fallback and switches to the stored value once it has loaded
+ * The setter takes a plain value rather than an updater function
+ */
+const usePreference = (key, fallback) => {
+  const [value, setValue] = useState(fallback);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  // The fallback only matters for the first load, so a new one each render doesn't reload
+  const fallbackRef = useRef(fallback);
+
+  useEffect(() => {
+    let cancelled = false;
+    PreferenceService.get(key, fallbackRef.current).then((storedValue) => {
+      if (!cancelled) {
+        setValue(storedValue);
+        setIsLoaded(true);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  const updateValue = useCallback((nextValue) => {
+    setValue(nextValue);
+    PreferenceService.set(key, nextValue);
+  }, [key]);
+
+  return [value, updateValue, isLoaded];
+};
+
+export default usePreference;
@@ -0,0 +1,54 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+const STORAGE_PREFIX = 'scroll:';
+
+/**
+ * Remember the window's scroll position per URL (path and query string)
+ * and put it back when that URL is shown again, e.g. with back/forward
+ * Pass `isReady` once the content is rendered so there is something to scroll to
+ */
+const useScrollRestoration = (isReady) => {
+  const location = useLocation();
+  const key = STORAGE_PREFIX + location.pathname + location.search;
+  // Positions are only saved once this URL's position has been restored,
+  // so scrolling while it loads can't overwrite the remembered one
+  const restoredKey = useRef(null);
+
+  useEffect(() => {
+    const previous = window.history.scrollRestoration;
+    window.history.scrollRestoration = 'manual';
+    return () => {
+      window.history.scrollRestoration = previous;
+    };
+  }, []);
+
+  useLayoutEffect(() => {
+    if (!isReady || restoredKey.current === key) return;
+    const saved = Number(sessionStorage.getItem(key));
+    if (saved) {
+      window.scrollTo(0, saved);
+    }
+    restoredKey.current = key;
+  }, [isReady, key]);
+
+  useEffect(() => {
+    let frame = null;
+    const handleScroll = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        if (restoredKey.current === key) {
+          sessionStorage.setItem(key, String(Math.round(window.scrollY)));
+        }
+      });
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      cancelAnimationFrame(frame);
+    };
+  }, [key]);
+};
+
+export default useScrollRestoration;
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import SyncService from '../services/sync';
+
+/**
+ * Subscribe to the offline outbox status
+ * Re-renders whenever the number of pending mutations or the sync state changes
+ */
+const useSyncStatus = () =>
+  useSyncExternalStore(SyncService.subscribe, SyncService.getStatus);
+
+export default useSyncStatus;
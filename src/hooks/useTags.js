@@ -0,0 +1,91 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import TagService from '../services/tags';
+import { todoKeys } from './useTodoMutations';
+
+/**
+ * Fetch every tag in use with its colour and todo count
+ */
+export const useTags = () =>
+  useQuery({
+    queryKey: todoKeys.tags,
+    queryFn: TagService.getTags,
+  });
+
+/**
+ * Fetch the colours chosen for tags, keyed by tag name
+ */
+export const useTagColors = () =>
+  useQuery({
+    queryKey: todoKeys.tagColors,
+    queryFn: TagService.getTagColors,
+    staleTime: Infinity,
+  });
+
+// Tag changes touch todos as well as the tag list
+const invalidateTags = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: todoKeys.tags });
+  queryClient.invalidateQueries({ queryKey: todoKeys.all });
+  queryClient.invalidateQueries({ queryKey: ['todo'] });
+};
+
+// Report a batch that only partly went through
+const reportBatch = (result, action, onError) => {
+  if (result?.failed?.length > 0) {
+    onError?.(`Couldn't ${action} on ${result.failed.length} todos.`);
+  }
+};
+
+/**
+ * Rename a tag on every todo
+ */
+export const useRenameTag = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ name, newName }) => TagService.renameTag(name, newName),
+    onSuccess: (result) => reportBatch(result, 'rename the tag', onError),
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => invalidateTags(queryClient),
+  });
+};
+
+/**
+ * Merge several tags into one
+ */
+export const useMergeTags = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ names, target }) => TagService.mergeTags(names, target),
+    onSuccess: (result) => reportBatch(result, 'merge the tags', onError),
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => invalidateTags(queryClient),
+  });
+};
+
+/**
+ * Remove a tag from every todo
+ */
+export const useDeleteTag = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TagService.deleteTag,
+    onSuccess: (result) => reportBatch(result, 'remove the tag', onError),
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => invalidateTags(queryClient),
+  });
+};
+
+/**
+ * Change the colour of a tag
+ */
+export const useSetTagColor = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ name, color }) => TagService.setTagColor(name, color),
+    onError: (error) => onError?.(error.message, error),
+    onSettled: () => queryClient.invalidateQueries({ queryKey: todoKeys.tags }),
+  });
+};
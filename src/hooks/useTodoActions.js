@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { useUpdateTodo, useDeleteTodo } from './useTodoMutations';
+import { getCompletionBlocker } from '../utils/subtasks';
+
+/**
+ * Toggle, edit and delete handlers for TodoItem, and the error message they share
+ * Completing a todo its subtask rule blocks is refused with the rule's message;
+ * `onDeleted(id)` is called once a todo has been moved to the trash, e.g. to offer undo
+ */
+const useTodoActions = ({ onDeleted } = {}) => {
+  // Message for the most recent failed optimistic update
+  const [mutationError, setMutationError] = useState('');
+
+  const updateTodoMutation = useUpdateTodo({ onError: setMutationError });
+  const deleteTodoMutation = useDeleteTodo({ onError: setMutationError });
+
+  const handleToggleTodo = (id, todoData) => {
+    const blocker = getCompletionBlocker(todoData);
+    if (blocker) {
+      setMutationError(blocker);
+      return;
+    }
+    setMutationError('');
+    updateTodoMutation.mutate({ id, todoData });
+  };
+
+  const handleEditTodo = (id, todoData) => {
+    setMutationError('');
+    updateTodoMutation.mutate({ id, todoData });
+  };
+
+  const handleDeleteTodo = (id) => {
+    setMutationError('');
+    deleteTodoMutation.mutate(id, {
+      onSuccess: () => onDeleted?.(id),
+    });
+  };
+
+  return {
+    mutationError,
+    setMutationError,
+    updateTodoMutation,
+    handleToggleTodo,
+    handleEditTodo,
+    handleDeleteTodo,
+  };
+};
+
+export default useTodoActions;
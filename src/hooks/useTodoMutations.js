@@ -0,0 +1,413 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import TodoService from '../services/api';
+import OrderService from '../services/ordering';
+import { applySubtaskRule } from '../utils/subtasks';
+import { sortByRank } from '../utils/ranks';
+
+// React Query keys shared by every component that reads todos
+export const todoKeys = {
+  all: ['todos'],
+  detail: (id) => ['todo', String(id)],
+  trash: ['trash'],
+  tags: ['tags'],
+  tagColors: ['tags', 'colors'],
+  users: ['users'],
+  lists: ['lists'],
+  activity: ['activity'],
+  // Per-list and server-paged views; under `all` so refreshing the list refreshes them too
+  listTodos: ['todos', 'list'],
+  inList: (listId) => ['todos', 'list', listId],
+  pages: ['todos', 'pages'],
+  page: (view, page, limit) => ['todos', 'pages', { ...view, page, limit }],
+  infinitePages: (view, limit) => ['todos', 'pages', 'infinite', { ...view, limit }],
+  manualOrder: ['todos', 'manual-order'],
+};
+
+// Build a user-facing message that names the todo a mutation failed for
+const describeFailure = (action, todo) =>
+  todo?.title
+    ? `Couldn't ${action} "${todo.title}". Your change has been undone.`
+    : `Couldn't ${action} this todo. Your change has been undone.`;
+
+// Summarise a partially failed batch, naming the first few todos that failed
+const describeBatchFailure = (action, total, failed, snapshots) => {
+  const names = failed.map(({ id }) => {
+    const snapshot = snapshots.get(id);
+    const title = snapshot?.listTodo?.title || snapshot?.detailTodo?.title;
+    return title ? `"${title}"` : `#${id}`;
+  });
+  const shown = names.slice(0, 3).join(', ');
+  const more = names.length > 3 ? ` and ${names.length - 3} more` : '';
+  return `Couldn't ${action} ${failed.length} of ${total} todos: ${shown}${more}.`;
+};
+
+// Remember the cached versions of a todo so a failed mutation can put them back
+const takeSnapshot = (queryClient, id) => {
+  const todos = queryClient.getQueryData(todoKeys.all);
+  const index = todos ? todos.findIndex(todo => todo.id === id) : -1;
+  return {
+    id,
+    index,
+    listTodo: index === -1 ? undefined : todos[index],
+    detailTodo: queryClient.getQueryData(todoKeys.detail(id)),
+  };
+};
+
+// Change the todos in every cached todo query: the full list, per-list lists,
+// single server pages ({ todos }) and infinite lists ({ pages: [{ todos }] })
+const updateCachedTodos = (queryClient, update) => {
+  queryClient.setQueriesData({ queryKey: todoKeys.all }, (data) => {
+    if (Array.isArray(data)) {
+      return update(data);
+    }
+    if (data?.pages) {
+      return { ...data, pages: data.pages.map(page => ({ ...page, todos: update(page.todos) })) };
+    }
+    return data?.todos ? { ...data, todos: update(data.todos) } : data;
+  });
+};
+
+// Once a mutation settles, refetch server pages, since todos may have moved between them,
+// mark other lists stale, since a todo may have moved into one of them, and the activity
+// history too, since a completion may have been recorded
+const invalidateViews = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: todoKeys.pages });
+  queryClient.invalidateQueries({ queryKey: todoKeys.listTodos, refetchType: 'none' });
+  queryClient.invalidateQueries({ queryKey: todoKeys.activity });
+};
+
+// Restore only the todo that failed so concurrent optimistic changes survive
+const restoreSnapshot = (queryClient, snapshot) => {
+  if (snapshot.listTodo) {
+    queryClient.setQueryData(todoKeys.all, (todos = []) => {
+      const rest = todos.filter(todo => todo.id !== snapshot.id);
+      rest.splice(Math.min(snapshot.index, rest.length), 0, snapshot.listTodo);
+      return rest;
+    });
+  }
+  if (snapshot.detailTodo) {
+    queryClient.setQueryData(todoKeys.detail(snapshot.id), snapshot.detailTodo);
+  }
+  // Other views aren't snapshotted; fetching them again puts the todo back
+  queryClient.invalidateQueries({ queryKey: todoKeys.pages });
+  queryClient.invalidateQueries({ queryKey: todoKeys.listTodos });
+};
+
+// Completing a recurring todo creates its next occurrence, which the list has to fetch
+const startedNextOccurrence = (todoData, updatedTodo) =>
+  Boolean(todoData?.recurrence && updatedTodo.completed && !updatedTodo.recurrence);
+
+// Undoing that completion deletes the occurrence again, which the list has to notice
+const endedNextOccurrence = (todoData, snapshot) => {
+  const previousTodo = snapshot?.listTodo || snapshot?.detailTodo;
+  return Boolean(
+    todoData?.recurrence && !todoData.completed && previousTodo?.completed && !previousTodo.recurrence
+  );
+};
+
+// Apply a change to a todo in both the list and detail caches
+const patchCachedTodo = (queryClient, id, changes) => {
+  updateCachedTodos(queryClient, todos =>
+    todos.map(todo => todo.id === id ? { ...todo, ...changes } : todo)
+  );
+  queryClient.setQueryData(todoKeys.detail(id), (todo) =>
+    todo ? { ...todo, ...changes } : todo
+  );
+};
+
+// Take todos out of every list cache
+const removeCachedTodos = (queryClient, ids) => {
+  const removedIds = new Set(ids);
+  updateCachedTodos(queryClient, todos => todos.filter(todo => !removedIds.has(todo.id)));
+};
+
+/**
+ * Create a todo and refresh the list afterwards
+ */
+export const useCreateTodo = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.createTodo,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: todoKeys.all });
+      queryClient.invalidateQueries({ queryKey: todoKeys.tags });
+      queryClient.invalidateQueries({ queryKey: todoKeys.activity });
+    },
+    onError: (error) => {
+      console.error('Error creating todo:', error);
+    },
+  });
+};
+
+/**
+ * Create todos from an import and refresh the list afterwards
+ */
+export const useImportTodos = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.importTodos,
+    onError: (error) => {
+      console.error('Error importing todos:', error);
+      onError?.("Couldn't import the todos.", error);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: todoKeys.all });
+      queryClient.invalidateQueries({ queryKey: todoKeys.tags });
+      queryClient.invalidateQueries({ queryKey: todoKeys.activity });
+    },
+  });
+};
+
+/**
+ * Update a todo optimistically, rolling back and reporting through onError on failure
+ */
+export const useUpdateTodo = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, todoData }) => TodoService.updateTodo(id, todoData),
+    onMutate: async ({ id, todoData }) => {
+      await queryClient.cancelQueries({ queryKey: todoKeys.all });
+      await queryClient.cancelQueries({ queryKey: todoKeys.detail(id) });
+
+      const snapshot = takeSnapshot(queryClient, id);
+      // Show an auto-completed parent straight away, as the service will store it
+      patchCachedTodo(queryClient, id, applySubtaskRule(todoData));
+      return snapshot;
+    },
+    onSuccess: (updatedTodo, { id, todoData }, snapshot) => {
+      patchCachedTodo(queryClient, id, updatedTodo);
+      queryClient.invalidateQueries({ queryKey: todoKeys.tags });
+      if (startedNextOccurrence(todoData, updatedTodo) || endedNextOccurrence(todoData, snapshot)) {
+        queryClient.invalidateQueries({ queryKey: todoKeys.all });
+      }
+    },
+    onError: (error, { id }, snapshot) => {
+      console.error('Error updating todo:', error);
+      if (snapshot) {
+        restoreSnapshot(queryClient, snapshot);
+      }
+      const todo = snapshot?.listTodo || snapshot?.detailTodo || { id };
+      onError?.(describeFailure('update', todo), error);
+    },
+    onSettled: () => invalidateViews(queryClient),
+  });
+};
+
+/**
+ * Move a todo to the trash optimistically, rolling back and reporting through onError on failure
+ */
+export const useDeleteTodo = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.deleteTodo,
+    onMutate: async (id) => {
+      await queryClient.cancelQueries({ queryKey: todoKeys.all });
+
+      const snapshot = takeSnapshot(queryClient, id);
+      removeCachedTodos(queryClient, [id]);
+      return snapshot;
+    },
+    onSuccess: (result, id) => {
+      // The detail page may still be showing this todo, so only mark it stale
+      queryClient.invalidateQueries({ queryKey: todoKeys.detail(id), refetchType: 'none' });
+      queryClient.invalidateQueries({ queryKey: todoKeys.trash });
+    },
+    onError: (error, id, snapshot) => {
+      console.error('Error deleting todo:', error);
+      if (snapshot) {
+        restoreSnapshot(queryClient, snapshot);
+      }
+      const todo = snapshot?.listTodo || snapshot?.detailTodo || { id };
+      onError?.(describeFailure('delete', todo), error);
+    },
+    onSettled: () => invalidateViews(queryClient),
+  });
+};
+
+// Refresh everything that shows trashed or visible todos
+const invalidateTrash = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: todoKeys.all });
+  queryClient.invalidateQueries({ queryKey: todoKeys.trash });
+};
+
+/**
+ * Restore a todo from the trash
+ */
+export const useRestoreTodo = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.restoreTodo,
+    onSuccess: (todo) => {
+      invalidateTrash(queryClient);
+      queryClient.invalidateQueries({ queryKey: todoKeys.detail(todo.id) });
+    },
+    onError: (error) => {
+      console.error('Error restoring todo:', error);
+      onError?.(error.message, error);
+    },
+  });
+};
+
+/**
+ * Permanently delete a trashed todo
+ */
+export const usePermanentlyDeleteTodo = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.permanentlyDeleteTodo,
+    onSuccess: () => invalidateTrash(queryClient),
+    onError: (error) => {
+      console.error('Error permanently deleting todo:', error);
+      onError?.(error.message, error);
+    },
+  });
+};
+
+/**
+ * Permanently delete everything in the trash
+ */
+export const useEmptyTrash = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.emptyTrash,
+    onSuccess: () => invalidateTrash(queryClient),
+    onError: (error) => {
+      console.error('Error emptying trash:', error);
+      onError?.(error.message, error);
+    },
+  });
+};
+
+/**
+ * Update several todos as one batch, rolling back the ones that fail
+ * Takes a list of { id, todoData } and reports partial failures through onError
+ */
+export const useBulkUpdateTodos = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.updateTodos,
+    onMutate: async (updates) => {
+      await queryClient.cancelQueries({ queryKey: todoKeys.all });
+
+      const snapshots = new Map(
+        updates.map(({ id }) => [id, takeSnapshot(queryClient, id)])
+      );
+      updates.forEach(({ id, todoData }) => patchCachedTodo(queryClient, id, todoData));
+      return snapshots;
+    },
+    onSuccess: ({ succeeded, failed }, updates, snapshots) => {
+      succeeded.forEach(todo => patchCachedTodo(queryClient, todo.id, todo));
+      failed.forEach(({ id }) => restoreSnapshot(queryClient, snapshots.get(id)));
+      queryClient.invalidateQueries({ queryKey: todoKeys.tags });
+      const requested = new Map(updates.map(({ id, todoData }) => [id, todoData]));
+      if (succeeded.some(todo =>
+        startedNextOccurrence(requested.get(todo.id), todo) ||
+        endedNextOccurrence(requested.get(todo.id), snapshots.get(todo.id))
+      )) {
+        queryClient.invalidateQueries({ queryKey: todoKeys.all });
+      }
+      if (failed.length > 0) {
+        onError?.(describeBatchFailure('update', updates.length, failed, snapshots));
+      }
+    },
+    onError: (error, updates, snapshots) => {
+      console.error('Error updating todos:', error);
+      snapshots?.forEach(snapshot => restoreSnapshot(queryClient, snapshot));
+      onError?.(`Couldn't update ${updates.length} todos. Your changes have been undone.`, error);
+    },
+    onSettled: () => invalidateViews(queryClient),
+  });
+};
+
+/**
+ * Move several todos to the trash as one batch, putting back the ones that fail
+ */
+export const useBulkDeleteTodos = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.deleteTodos,
+    onMutate: async (ids) => {
+      await queryClient.cancelQueries({ queryKey: todoKeys.all });
+
+      const snapshots = new Map(ids.map(id => [id, takeSnapshot(queryClient, id)]));
+      removeCachedTodos(queryClient, ids);
+      return snapshots;
+    },
+    onSuccess: ({ failed }, ids, snapshots) => {
+      failed.forEach(({ id }) => restoreSnapshot(queryClient, snapshots.get(id)));
+      queryClient.invalidateQueries({ queryKey: todoKeys.trash });
+      if (failed.length > 0) {
+        onError?.(describeBatchFailure('delete', ids.length, failed, snapshots));
+      }
+    },
+    onError: (error, ids, snapshots) => {
+      console.error('Error deleting todos:', error);
+      snapshots?.forEach(snapshot => restoreSnapshot(queryClient, snapshot));
+      onError?.(`Couldn't delete ${ids.length} todos. They have been put back.`, error);
+    },
+    onSettled: () => invalidateViews(queryClient),
+  });
+};
+
+/**
+ * Restore several todos from the trash as one batch
+ */
+export const useBulkRestoreTodos = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: TodoService.restoreTodos,
+    onSuccess: ({ failed }, ids) => {
+      invalidateTrash(queryClient);
+      if (failed.length > 0) {
+        onError?.(`Couldn't restore ${failed.length} of ${ids.length} todos.`);
+      }
+    },
+    onError: (error) => {
+      console.error('Error restoring todos:', error);
+      onError?.(error.message, error);
+    },
+  });
+};
+
+/**
+ * Move a todo within the manual order, reordering the cached list optimistically.
+ * `orderedTodos` is the list the move was made in, which may be filtered.
+ */
+export const useMoveTodo = ({ onError } = {}) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ ranks }) => OrderService.saveRanks(ranks),
+    onMutate: async ({ ranks }) => {
+      await queryClient.cancelQueries({ queryKey: todoKeys.all });
+
+      // Manually ordered views are the full list and per-list lists, never server pages
+      const previousLists = queryClient.getQueriesData({ queryKey: todoKeys.all });
+      queryClient.setQueriesData({ queryKey: todoKeys.all }, (todos) =>
+        Array.isArray(todos)
+          ? sortByRank(todos.map(todo => (todo.id in ranks ? { ...todo, rank: ranks[todo.id] } : todo)))
+          : todos
+      );
+      return { previousLists };
+    },
+    onSuccess: () => {
+      // A manual order takes the list off server paging (see getServerView)
+      queryClient.setQueryData(todoKeys.manualOrder, true);
+    },
+    onError: (error, { todo }, context) => {
+      console.error('Error moving todo:', error);
+      context?.previousLists.forEach(([queryKey, data]) => queryClient.setQueryData(queryKey, data));
+      onError?.(describeFailure('move', todo), error);
+    },
+  });
+};
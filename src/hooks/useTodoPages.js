@@ -0,0 +1,68 @@
+import { useEffect } from 'react';
+import { keepPreviousData, useInfiniteQuery, useQuery, useQueryClient } from '@tanstack/react-query';
+import TodoService from '../services/api';
+import OrderService from '../services/ordering';
+import { todoKeys } from './useTodoMutations';
+
+const STALE_TIME = 60 * 1000; // 1 minute
+
+const pageQueryOptions = (view, page, limit) => ({
+  queryKey: todoKeys.page(view, page, limit),
+  queryFn: () => TodoService.getTodosPage({ ...view, page, limit }),
+  staleTime: STALE_TIME,
+});
+
+/**
+ * Fetch one page of a server-paged view, prefetching the page after it
+ * Keeps showing the previous page while the next one loads
+ */
+export const useTodoPage = (view, page, limit, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const query = useQuery({
+    ...pageQueryOptions(view, page, limit),
+    enabled,
+    placeholderData: keepPreviousData,
+  });
+
+  const hasMore = query.data?.hasMore && !query.isPlaceholderData;
+  useEffect(() => {
+    if (enabled && hasMore) {
+      queryClient.prefetchQuery(pageQueryOptions(view, page + 1, limit));
+    }
+  }, [queryClient, enabled, hasMore, view, page, limit]);
+
+  return query;
+};
+
+/**
+ * Fetch a server-paged view page by page for the continuous list
+ */
+export const useInfiniteTodoPages = (view, limit, { enabled = true } = {}) =>
+  useInfiniteQuery({
+    queryKey: todoKeys.infinitePages(view, limit),
+    queryFn: ({ pageParam }) => TodoService.getTodosPage({ ...view, page: pageParam, limit }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.page + 1 : undefined),
+    enabled,
+    staleTime: STALE_TIME,
+  });
+
+/**
+ * Whether any todo has been moved by hand, which rules out server paging
+ */
+export const useHasManualOrder = () =>
+  useQuery({
+    queryKey: todoKeys.manualOrder,
+    queryFn: OrderService.hasManualOrder,
+    staleTime: Infinity,
+  });
+
+// Every todo in the cached server pages, for selections that span pages
+export const getCachedPageTodos = (queryClient) => {
+  const todos = new Map();
+  queryClient.getQueriesData({ queryKey: todoKeys.pages }).forEach(([, data]) => {
+    const pages = data?.pages || (data ? [data] : []);
+    pages.forEach(page => page.todos.forEach(todo => todos.set(todo.id, todo)));
+  });
+  return [...todos.values()];
+};
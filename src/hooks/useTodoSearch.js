@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { createSearchIndex } from '../utils/searchIndex';
+
+const supportsWorkers = typeof Worker !== 'undefined';
+
+/**
+ * Ranked fuzzy search over todos, scored in a Web Worker so typing stays responsive
+ * Only todos that changed since the last update are sent to the worker's index
+ * Returns a Map of id to { score, highlights } for the most recent answered query,
+ * which may briefly trail the current query, or null when there is no query
+ */
+const useTodoSearch = (todos, query) => {
+  const clientRef = useRef(null);
+  // The todo objects the index was last given, by id
+  const indexedRef = useRef(new Map());
+  const requestRef = useRef(0);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    const receive = ({ requestId, results: matches }) => {
+      // Ignore answers to queries that have been typed over since
+      if (requestId === requestRef.current) {
+        setResults(new Map(matches));
+      }
+    };
+
+    if (supportsWorkers) {
+      const worker = new Worker(new URL('../workers/searchWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => receive(data);
+      clientRef.current = {
+        update: (upserts, removeIds) => worker.postMessage({ type: 'update', upserts, removeIds }),
+        search: (requestId, text) => worker.postMessage({ type: 'search', requestId, query: text, now: Date.now() }),
+      };
+      indexedRef.current = new Map();
+      return () => {
+        worker.terminate();
+        clientRef.current = null;
+      };
+    }
+
+    // Without workers, keep the same index on the main thread
+    const index = createSearchIndex();
+    clientRef.current = {
+      update: (upserts, removeIds) => index.update(upserts, removeIds),
+      search: (requestId, text) => receive({ requestId, results: index.search(text) }),
+    };
+    indexedRef.current = new Map();
+    return () => {
+      clientRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const client = clientRef.current;
+    if (!client) return;
+
+    // React Query keeps unchanged todos as the same objects, so identity tells what changed
+    const indexed = indexedRef.current;
+    const currentIds = new Set(todos.map(todo => todo.id));
+    const upserts = todos.filter(todo => indexed.get(todo.id) !== todo);
+    const removeIds = [...indexed.keys()].filter(id => !currentIds.has(id));
+    if (upserts.length > 0 || removeIds.length > 0) {
+      client.update(upserts, removeIds);
+      upserts.forEach(todo => indexed.set(todo.id, todo));
+      removeIds.forEach(id => indexed.delete(id));
+    }
+
+    requestRef.current += 1;
+    if (query.trim()) {
+      client.search(requestRef.current, query);
+    } else {
+      setResults(null);
+    }
+  }, [todos, query]);
+
+  return results;
+};
+
+export default useTodoSearch;
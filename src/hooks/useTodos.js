@@ -0,0 +1,29 @@
+import { useQuery } from '@tanstack/react-query';
+import TodoService from '../services/api';
+import { todoKeys } from './useTodoMutations';
+
+// Shared with ensureQueryData calls that need the full list on demand
+export const todosQueryOptions = {
+  queryKey: todoKeys.all,
+  queryFn: TodoService.getCombinedTodos,
+  staleTime: 5 * 60 * 1000, // 5 minutes
+  gcTime: 10 * 60 * 1000, // 10 minutes
+};
+
+/**
+ * Fetch every todo through React Query, or with `listId` only the todos in that list,
+ * which are cached separately per list
+ * Shared by TodoList and anything else that needs the full list;
+ * pass `enabled: false` while a server-paged view makes it unnecessary
+ */
+const useTodos = ({ listId, enabled = true } = {}) =>
+  useQuery({
+    ...todosQueryOptions,
+    ...(listId && {
+      queryKey: todoKeys.inList(listId),
+      queryFn: () => TodoService.getListTodos(listId),
+    }),
+    enabled,
+  });
+
+export default useTodos;
@@ -0,0 +1,16 @@
+import { useQuery } from '@tanstack/react-query';
+import UserService from '../services/users';
+import { todoKeys } from './useTodoMutations';
+
+/**
+ * Fetch every user todos can be assigned to
+ * Users rarely change, so they stay fresh for an hour
+ */
+const useUsers = () =>
+  useQuery({
+    queryKey: todoKeys.users,
+    queryFn: UserService.getUsers,
+    staleTime: 60 * 60 * 1000, // 1 hour
+  });
+
+export default useUsers;
@@ -0,0 +1,73 @@
+import localforage from 'localforage';
+
+// History of todos being created, completed and reopened, for the stats page
+const activityStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'activity',
+});
+
+// The completion state last seen for each todo, so a completion is only counted when it changes
+const completionStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'completion',
+});
+
+let sequence = 0;
+
+// Service class for the activity history; it is kept locally, so stats work offline
+export class ActivityService {
+  // Get every recorded event, oldest first
+  static async getEvents() {
+    const events = [];
+    await activityStore.iterate((event) => {
+      events.push(event);
+    });
+    return events.sort((a, b) => a.at - b.at || a.sequence - b.sequence);
+  }
+
+  // Record an event for a todo; the assignee, priority and tags are kept as they were then
+  static async record(type, todo, at = Date.now()) {
+    const event = {
+      key: `${at}-${String(sequence).padStart(6, '0')}`,
+      sequence: sequence++,
+      type, // 'created', 'completed', 'reopened'
+      todoId: todo.id,
+      at,
+      userId: todo.userId ?? null,
+      priority: todo.priority ?? null,
+      tags: todo.tags ?? [],
+    };
+    await activityStore.setItem(event.key, event);
+    return event;
+  }
+
+  // Record a new todo
+  static async recordCreated(todo) {
+    await completionStore.setItem(String(todo.id), Boolean(todo.completed));
+    return ActivityService.record('created', todo);
+  }
+
+  // Record a completion or reopening when the todo's state differs from the one last seen.
+  // A todo seen for the first time only sets the baseline, since its earlier state is unknown
+  static async recordCompletion(todo) {
+    const completed = Boolean(todo.completed);
+    const previous = await completionStore.getItem(String(todo.id));
+    await completionStore.setItem(String(todo.id), completed);
+    if (previous !== null && previous !== completed) {
+      return ActivityService.record(completed ? 'completed' : 'reopened', todo);
+    }
+    return null;
+  }
+
+  // Note the completion state of todos not seen before, as a baseline for later changes
+  static async observe(todos) {
+    const knownIds = new Set(await completionStore.keys());
+    await Promise.all(
+      todos
+        .filter(todo => !knownIds.has(String(todo.id)))
+        .map(todo => completionStore.setItem(String(todo.id), Boolean(todo.completed)))
+    );
+  }
+}
+
+export default ActivityService;
@@ -0,0 +1,32 @@
+import RestAdapter from './restAdapter';
+import MemoryAdapter from './memoryAdapter';
+import LocalAdapter from './localAdapter';
+
+export { RestAdapter, MemoryAdapter, LocalAdapter };
+
+const env = import.meta.env;
+
+// Build the adapter selected through Vite env (VITE_TODO_BACKEND)
+export function createAdapterFromEnv() {
+  switch (env.VITE_TODO_BACKEND) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'local':
+      return new LocalAdapter();
+    case 'rest':
+    case undefined:
+    case '':
+      return new RestAdapter({
+        baseURL: env.VITE_API_BASE_URL || undefined,
+        timeout: env.VITE_API_TIMEOUT ? Number(env.VITE_API_TIMEOUT) : undefined,
+        paths: {
+          ...(env.VITE_API_TODOS_PATH && { todos: env.VITE_API_TODOS_PATH }),
+          ...(env.VITE_API_TODO_PATH && { todo: env.VITE_API_TODO_PATH }),
+          ...(env.VITE_API_USERS_PATH && { users: env.VITE_API_USERS_PATH }),
+        },
+        persistsWrites: env.VITE_API_PERSISTS_WRITES === 'true',
+      });
+    default:
+      throw new Error(`Unknown todo backend "${env.VITE_TODO_BACKEND}"`);
+  }
+}
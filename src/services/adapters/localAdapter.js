@@ -0,0 +1,67 @@
+import localforage from 'localforage';
+import { pageTodos } from '../../utils/paging';
+import { nextTimestampId } from '../../utils/ids';
+
+// Todos kept only in this browser all belong to whoever uses it
+const LOCAL_USERS = [{ id: 1, name: 'Me', username: 'me' }];
+
+// Backend adapter that stores todos only in the browser via localforage
+export class LocalAdapter {
+  constructor({ storeName = 'backend' } = {}) {
+    this.name = 'local';
+    this.persistsWrites = true;
+    // Separate store so these records never mix with TodoService's local copies
+    this.store = localforage.createInstance({
+      name: 'todo-app',
+      storeName,
+    });
+  }
+
+  async findTodo(id) {
+    const todo = await this.store.getItem(String(id));
+    if (!todo) {
+      throw new Error(`Todo ${id} not found`);
+    }
+    return todo;
+  }
+
+  async fetchTodos() {
+    const todos = [];
+    await this.store.iterate((value) => {
+      todos.push(value);
+    });
+    return todos.sort((a, b) => a.id - b.id);
+  }
+
+  async fetchTodosPage(query) {
+    return pageTodos(await this.fetchTodos(), query);
+  }
+
+  async fetchUsers() {
+    return LOCAL_USERS.map(user => ({ ...user }));
+  }
+
+  async fetchTodo(id) {
+    return this.findTodo(id);
+  }
+
+  async createTodo(todoData) {
+    const todo = { ...todoData, id: nextTimestampId() };
+    await this.store.setItem(String(todo.id), todo);
+    return todo;
+  }
+
+  async updateTodo(id, todoData) {
+    const existing = await this.findTodo(id);
+    const todo = { ...existing, ...todoData, id: existing.id };
+    await this.store.setItem(String(todo.id), todo);
+    return todo;
+  }
+
+  async deleteTodo(id) {
+    await this.findTodo(id);
+    await this.store.removeItem(String(id));
+  }
+}
+
+export default LocalAdapter;
@@ -0,0 +1,72 @@
+import { pageTodos } from '../../utils/paging';
+import { nextTimestampId } from '../../utils/ids';
+
+// Sample data used when no seed is supplied
+const DEMO_TODOS = [
+  { id: 1, userId: 1, title: 'Try out the in-memory backend', completed: true },
+  { id: 2, userId: 1, title: 'Create a todo of your own', completed: false },
+  { id: 3, userId: 1, title: 'Edit a todo title inline', completed: false },
+  { id: 4, userId: 1, title: 'Open a todo to see its details', completed: false },
+  { id: 5, userId: 1, title: 'Delete something you no longer need', completed: false },
+];
+
+// Sample people to assign todos to
+const DEMO_USERS = [
+  { id: 1, name: 'Alex Morgan', username: 'alex', email: 'alex@example.com' },
+  { id: 2, name: 'Sam Lee', username: 'sam', email: 'sam@example.com' },
+  { id: 3, name: 'Jordan Diaz', username: 'jordan', email: 'jordan@example.com' },
+];
+
+// Backend adapter that keeps todos in memory for demos and tests
+export class MemoryAdapter {
+  constructor({ seed = DEMO_TODOS, users = DEMO_USERS } = {}) {
+    this.name = 'memory';
+    this.persistsWrites = true;
+    this.todos = new Map(seed.map(todo => [todo.id, { ...todo }]));
+    this.users = users;
+  }
+
+  // Look up a todo or fail the same way a REST backend would with a 404
+  findTodo(id) {
+    const todo = this.todos.get(Number(id));
+    if (!todo) {
+      throw new Error(`Todo ${id} not found`);
+    }
+    return todo;
+  }
+
+  async fetchTodos() {
+    return [...this.todos.values()].map(todo => ({ ...todo }));
+  }
+
+  async fetchTodosPage(query) {
+    return pageTodos(await this.fetchTodos(), query);
+  }
+
+  async fetchUsers() {
+    return this.users.map(user => ({ ...user }));
+  }
+
+  async fetchTodo(id) {
+    return { ...this.findTodo(id) };
+  }
+
+  async createTodo(todoData) {
+    const todo = { ...todoData, id: nextTimestampId() };
+    this.todos.set(todo.id, todo);
+    return { ...todo };
+  }
+
+  async updateTodo(id, todoData) {
+    const todo = { ...this.findTodo(id), ...todoData, id: Number(id) };
+    this.todos.set(todo.id, todo);
+    return { ...todo };
+  }
+
+  async deleteTodo(id) {
+    this.findTodo(id);
+    this.todos.delete(Number(id));
+  }
+}
+
+export default MemoryAdapter;
@@ -0,0 +1,69 @@
+import axios from 'axios';
+
+// Default path mapping, matching the JSONPlaceholder layout
+const DEFAULT_PATHS = {
+  todos: '/todos',
+  todo: '/todos/:id',
+  users: '/users',
+};
+
+// Backend adapter for any REST API exposing a todos collection (and a users one)
+export class RestAdapter {
+  constructor({
+    baseURL = 'https://jsonplaceholder.typicode.com',
+    timeout = 10000,
+    paths = {},
+    persistsWrites = false,
+  } = {}) {
+    this.name = 'rest';
+    this.paths = { ...DEFAULT_PATHS, ...paths };
+    // JSONPlaceholder only simulates writes, so TodoService mirrors them locally
+    this.persistsWrites = persistsWrites;
+    this.client = axios.create({ baseURL, timeout });
+  }
+
+  // Resolve the item path for a given todo ID
+  todoPath(id) {
+    return this.paths.todo.replace(':id', encodeURIComponent(id));
+  }
+
+  async fetchTodos() {
+    const response = await this.client.get(this.paths.todos);
+    return response.data;
+  }
+
+  // One page of todos; JSONPlaceholder (json-server) reports the unpaged total in X-Total-Count
+  async fetchTodosPage({ page, limit, sort, order, completed, userId }) {
+    const response = await this.client.get(this.paths.todos, {
+      params: { _page: page, _limit: limit, _sort: sort, _order: order, completed, userId },
+    });
+    const total = Number(response.headers['x-total-count']);
+    return { todos: response.data, total: Number.isFinite(total) ? total : null };
+  }
+
+  async fetchUsers() {
+    const response = await this.client.get(this.paths.users);
+    return response.data;
+  }
+
+  async fetchTodo(id) {
+    const response = await this.client.get(this.todoPath(id));
+    return response.data;
+  }
+
+  async createTodo(todoData) {
+    const response = await this.client.post(this.paths.todos, todoData);
+    return response.data;
+  }
+
+  async updateTodo(id, todoData) {
+    const response = await this.client.put(this.todoPath(id), todoData);
+    return response.data;
+  }
+
+  async deleteTodo(id) {
+    await this.client.delete(this.todoPath(id));
+  }
+}
+
+export default RestAdapter;
@@ -1,11 +1,17 @@
-import axios from 'axios';
 import localforage from 'localforage';
-
-// Configure axios instance for JSONPlaceholder API
-const api = axios.create({
-  baseURL: 'https://jsonplaceholder.typicode.com',
-  timeout: 10000,
-});
+import { createAdapterFromEnv } from './adapters';
+import SyncService from './sync';
+import OverlayService from './overlay';
+import TrashService from './trash';
+import OrderService from './ordering';
+import ActivityService from './activity';
+import ListIndexService from './listIndex';
+import { applySubtaskRule, getCompletionBlocker } from '../utils/subtasks';
+import { parseQuery, scoreDocument, toSearchDocument } from '../utils/query';
+import { getNextOccurrence } from '../utils/recurrence';
+import { comparePageTodos, matchesPageFilters, pageTodos } from '../utils/paging';
+import { INBOX_ID, getListId } from '../utils/lists';
+import { nextTimestampId } from '../utils/ids';
 
 // Configure localforage for local storage
 localforage.config({
@@ -13,90 +19,587 @@ localforage.config({
   storeName: 'todos',
 });
 
+// Last todos fetched from the backend, used as a fallback while offline
+const cacheStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'cache',
+});
+
+// Optional fields a new todo may be created with
+const OPTIONAL_TODO_FIELDS = ['listId', 'dueDate', 'priority', 'tags', 'subtasks', 'subtaskRule', 'description', 'recurrence'];
+
+// Fields that only exist in the app's view of a todo and never go to the backend
+const VIEW_ONLY_FIELDS = ['id', 'isLocal', 'pendingSync', 'rank'];
+
+const toBackendFields = (todo) => {
+  const fields = { ...todo };
+  VIEW_ONLY_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+// Queue instead of calling the backend when offline or when earlier mutations
+// are still waiting, so the outbox replays everything in the original order
+const shouldQueue = () =>
+  !navigator.onLine || SyncService.getStatus().pendingCount > 0;
+
+// Run an operation for each item in order, collecting failures instead of stopping
+const runBatch = async (items, getId, operation) => {
+  const succeeded = [];
+  const failed = [];
+  for (const item of items) {
+    try {
+      succeeded.push(await operation(item));
+    } catch (error) {
+      failed.push({ id: getId(item), message: error.message });
+    }
+  }
+  return { succeeded, failed };
+};
+
+// Activity for the stats page is best effort: failing to record it never fails the change
+const logActivity = async (record) => {
+  try {
+    await record();
+  } catch (error) {
+    console.error('Error recording activity:', error);
+  }
+};
+
+// Occurrences created by completing a recurring todo in this session, by the completed todo's
+// ID, so undoing the completion can take the occurrence back out
+const handedOnOccurrences = new Map();
+
+// Backend adapter in use; chosen from Vite env and swappable at runtime
+let backend = createAdapterFromEnv();
+
+// Write an update to wherever the todo lives: its local copy, the backend or the outbox
+const writeUpdate = async (id, todoData) => {
+  // Local copies are the source of truth for todos the backend never stored
+  const localTodo = await localforage.getItem(`todo-${id}`);
+  if (localTodo) {
+    const updatedTodo = { ...localTodo, ...toBackendFields(todoData) };
+    await localforage.setItem(`todo-${id}`, updatedTodo);
+    return updatedTodo;
+  }
+
+  const changes = toBackendFields(todoData);
+  let updatedTodo = null;
+  if (!shouldQueue()) {
+    try {
+      updatedTodo = await backend.updateTodo(id, changes);
+    } catch (error) {
+      if (!SyncService.isRetryableError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  if (!updatedTodo) {
+    await SyncService.enqueue({ type: 'update', todoId: id, payload: changes });
+    SyncService.replay();
+    updatedTodo = { ...todoData, ...changes, id, pendingSync: true };
+  }
+
+  // The backend won't remember the edit, so keep it in the local overlay
+  if (!backend.persistsWrites) {
+    await OverlayService.recordEdit(id, changes);
+  }
+  return updatedTodo;
+};
+
+// Layer local edits and queued mutations onto todos from the backend, hiding trashed ones
+// The overlay only matters when the backend forgets writes (e.g. JSONPlaceholder)
+const withLocalChanges = async (todos) => {
+  const overlaidTodos = backend.persistsWrites
+    ? todos
+    : await OverlayService.apply(todos);
+  const pendingTodos = await SyncService.applyPending(overlaidTodos);
+  const visibleTodos = await TrashService.hideTrashed(pendingTodos);
+  // Later completions are counted against the state todos were first seen in
+  await logActivity(() => ActivityService.observe(visibleTodos));
+  return visibleTodos;
+};
+
+// Todos stored before the per-list index existed are indexed the first time a list is read
+const ensureListIndex = async () => {
+  if (!(await ListIndexService.isBuilt())) {
+    await ListIndexService.rebuild(await TodoService.getCombinedTodos());
+  }
+};
+
+// Read the given todos, going to the backend only when some aren't stored locally
+const loadTodos = async (ids) => {
+  const storedTodos = await Promise.all(ids.map(id => localforage.getItem(`todo-${id}`)));
+  const localTodos = storedTodos.filter(Boolean);
+  const localIds = new Set(localTodos.map(todo => todo.id));
+  const backendIds = new Set(ids.filter(id => !localIds.has(id)));
+  const backendTodos = backendIds.size > 0
+    ? (await TodoService.getAllTodos()).filter(todo => backendIds.has(todo.id))
+    : [];
+  return [...backendTodos, ...await withLocalChanges(localTodos)];
+};
+
+// IDs of backend todos shown differently from the backend's copy: edited or deleted
+// in the overlay, waiting in the outbox or trashed. Local todos are left out
+const getLocallyChangedIds = async () => {
+  const [overlayIds, outboxEntries, trashEntries, keys] = await Promise.all([
+    OverlayService.getIds(),
+    SyncService.getEntries(),
+    TrashService.getEntries(),
+    localforage.keys(),
+  ]);
+  const localIds = new Set(
+    keys.filter(key => key.startsWith('todo-')).map(key => key.slice('todo-'.length))
+  );
+  const ids = new Set([
+    ...overlayIds,
+    ...outboxEntries.map(entry => entry.todoId),
+    ...trashEntries.map(entry => entry.todo.id),
+  ]);
+  return [...ids].filter(id => !localIds.has(String(id)));
+};
+
+// The backend's own copies of some todos, from the cached collection where possible
+const getBackendCopies = async (ids) => {
+  const cachedTodos = new Map(
+    ((await cacheStore.getItem('todos')) || []).map(todo => [String(todo.id), todo])
+  );
+  const copies = await Promise.all(ids.map(async (id) => {
+    if (cachedTodos.has(String(id))) {
+      return cachedTodos.get(String(id));
+    }
+    try {
+      return await backend.fetchTodo(id);
+    } catch (error) {
+      if (SyncService.isRetryableError(error)) {
+        throw error;
+      }
+      // Gone from the backend, so none of its pages include it either
+      return null;
+    }
+  }));
+  return copies.filter(Boolean);
+};
+
+// Fetch a page from the backend and merge in the todos it can't place itself: local
+// todos and backend todos changed locally, which are sorted and filtered by their
+// local version with the comparator pageTodos uses. Offline, the page is cut from
+// the last cached copy of the whole collection instead
+const fetchPage = async (query) => {
+  const { page, limit } = query;
+  const start = (page - 1) * limit;
+  const compare = comparePageTodos(query);
+
+  let changedIds;
+  let excludedTodos;
+  let localSideTodos;
+  let windowStart;
+  let serverPages;
+  try {
+    const [localTodos, locallyChangedIds] = await Promise.all([
+      TodoService.getLocalTodos(),
+      getLocallyChangedIds(),
+    ]);
+    changedIds = new Set(locallyChangedIds.map(String));
+    const backendCopies = await getBackendCopies(locallyChangedIds);
+
+    // The backend still counts changed todos where its copy matches the query
+    excludedTodos = backendCopies.filter(todo => matchesPageFilters(todo, query));
+    localSideTodos = [...localTodos, ...(await withLocalChanges(backendCopies))]
+      .filter(todo => matchesPageFilters(todo, query))
+      .sort(compare);
+
+    // Merging can move a backend result up by the number of todos taken out before it,
+    // or down by the number of local ones before it, so fetch the backend's results
+    // from that far on either side of the page
+    const firstPage = Math.floor(Math.max(0, start - localSideTodos.length) / limit) + 1;
+    const lastPage = Math.floor((start + limit + excludedTodos.length - 1) / limit) + 1;
+    windowStart = (firstPage - 1) * limit;
+    serverPages = await Promise.all(
+      Array.from({ length: lastPage - firstPage + 1 }, (_, index) =>
+        backend.fetchTodosPage({ ...query, page: firstPage + index, limit })
+      )
+    );
+  } catch (error) {
+    if (!SyncService.isRetryableError(error)) {
+      throw error;
+    }
+    const cachedPage = pageTodos(await TodoService.getCombinedTodos(), query);
+    return { ...cachedPage, page, limit, hasMore: start + limit < cachedPage.total };
+  }
+
+  const windowTodos = serverPages.flatMap(serverPage => serverPage.todos);
+  const firstTodo = windowTodos[0];
+  const lastTodo = windowTodos[windowTodos.length - 1];
+  // Without a total from the backend, the end of its results is the first short page
+  const isExhausted = serverPages[serverPages.length - 1].todos.length < limit;
+  const serverTotal = serverPages[0].total
+    ?? (isExhausted ? windowStart + windowTodos.length : null);
+
+  const countBefore = (todos, todo) => todos.filter(other => compare(other, todo) < 0).length;
+
+  // Position in the merged list of each backend result left on the server's side
+  const serverPositions = new Map();
+  windowTodos.forEach((todo, offset) => {
+    if (!changedIds.has(String(todo.id))) {
+      serverPositions.set(
+        todo.id,
+        windowStart + offset - countBefore(excludedTodos, todo) + countBefore(localSideTodos, todo)
+      );
+    }
+  });
+  const serverTodos = await withLocalChanges(
+    windowTodos.filter(todo => serverPositions.has(todo.id))
+  );
+  const positioned = serverTodos.map(todo => ({ todo, position: serverPositions.get(todo.id) }));
+
+  // Todos on the local side can only be placed among the fetched results; the ones
+  // outside them are too far from the page to land on it
+  localSideTodos.forEach((todo, index) => {
+    const isAfterFirst = windowStart === 0 || (firstTodo && compare(todo, firstTodo) > 0);
+    const isBeforeLast = isExhausted || (lastTodo && compare(todo, lastTodo) < 0);
+    if (isAfterFirst && isBeforeLast) {
+      positioned.push({
+        todo,
+        position: index + windowStart + countBefore(windowTodos, todo) - countBefore(excludedTodos, todo),
+      });
+    }
+  });
+
+  const total = serverTotal === null
+    ? null
+    : serverTotal - excludedTodos.length + localSideTodos.length;
+  return {
+    todos: positioned
+      .filter(({ position }) => position >= start && position < start + limit)
+      .sort((a, b) => a.position - b.position)
+      .map(({ todo }) => todo),
+    total,
+    page,
+    limit,
+    hasMore: total === null || start + limit < total,
+  };
+};
+
 // API service class for todo operations
+// Methods reference TodoService explicitly because they are passed around unbound
 export class TodoService {
-  // Get all todos from JSONPlaceholder API
+  // Get the active backend adapter
+  static getBackend() {
+    return backend;
+  }
+
+  // Replace the backend adapter (e.g. an in-memory adapter for demos and tests)
+  static setBackend(adapter) {
+    backend = adapter;
+  }
+
+  // Get all todos from the backend, falling back to the last copy while offline
   static async getAllTodos() {
     try {
-      const response = await api.get('/todos');
-      return response.data;
+      let todos;
+      try {
+        todos = await backend.fetchTodos();
+        await cacheStore.setItem('todos', todos);
+      } catch (error) {
+        const cachedTodos = await cacheStore.getItem('todos');
+        if (!SyncService.isRetryableError(error) || !cachedTodos) {
+          throw error;
+        }
+        todos = cachedTodos;
+      }
+      return await withLocalChanges(todos);
     } catch (error) {
       console.error('Error fetching todos:', error);
       throw new Error('Failed to fetch todos');
     }
   }
 
-  // Get a specific todo by ID
+  // Get a specific todo by ID, checking local copies first
   static async getTodoById(id) {
     try {
-      const response = await api.get(`/todos/${id}`);
-      return response.data;
+      let todo = await localforage.getItem(`todo-${id}`);
+      if (!todo) {
+        try {
+          todo = await backend.fetchTodo(id);
+        } catch (error) {
+          const cachedTodos = await cacheStore.getItem('todos');
+          todo = cachedTodos?.find(cachedTodo => cachedTodo.id === id);
+          if (!SyncService.isRetryableError(error) || !todo) {
+            throw error;
+          }
+        }
+      }
+
+      const [visibleTodo] = await withLocalChanges([todo]);
+      if (!visibleTodo) {
+        throw new Error(`Todo ${id} has been deleted`);
+      }
+      return visibleTodo;
     } catch (error) {
       console.error(`Error fetching todo ${id}:`, error);
       throw new Error(`Failed to fetch todo with ID ${id}`);
     }
   }
 
-  // Create a new todo (simulated)
+  // Create a new todo
   static async createTodo(todoData) {
+    const newTodo = {
+      title: todoData.title,
+      completed: Boolean(todoData.completed),
+      userId: todoData.userId || 1, // Default assignee when none was picked
+    };
+    OPTIONAL_TODO_FIELDS.forEach(field => {
+      if (todoData[field] != null) {
+        newTodo[field] = todoData[field];
+      }
+    });
+
     try {
-      // For JSONPlaceholder, this will return a simulated response
-      const response = await api.post('/todos', {
-        title: todoData.title,
-        completed: false,
-        userId: 1, // Default user ID
-      });
-      
-      // Also store locally for persistence
-      const localTodo = {
-        ...response.data,
-        id: Date.now(), // Use timestamp as ID for local storage
-        isLocal: true,
-      };
-      
+      if (!shouldQueue()) {
+        try {
+          const createdTodo = await backend.createTodo(newTodo);
+
+          if (backend.persistsWrites) {
+            await ListIndexService.place(createdTodo.id, createdTodo.listId);
+            await logActivity(() => ActivityService.recordCreated(createdTodo));
+            return createdTodo;
+          }
+
+          // The backend only simulates writes, so store locally for persistence
+          const localTodo = {
+            ...createdTodo,
+            id: nextTimestampId(), // Use timestamp as ID for local storage
+            isLocal: true,
+          };
+
+          await localforage.setItem(`todo-${localTodo.id}`, localTodo);
+          await ListIndexService.place(localTodo.id, localTodo.listId);
+          await logActivity(() => ActivityService.recordCreated(localTodo));
+          return localTodo;
+        } catch (error) {
+          if (!SyncService.isRetryableError(error)) {
+            throw error;
+          }
+        }
+      }
+
+      // Keep the todo locally and send it to the backend once we're back online
+      const localTodo = { ...newTodo, id: nextTimestampId(), isLocal: true };
       await localforage.setItem(`todo-${localTodo.id}`, localTodo);
-      return localTodo;
+      await ListIndexService.place(localTodo.id, localTodo.listId);
+      await SyncService.enqueue({ type: 'create', todoId: localTodo.id });
+      SyncService.replay();
+      await logActivity(() => ActivityService.recordCreated(localTodo));
+      return { ...localTodo, pendingSync: true };
     } catch (error) {
       console.error('Error creating todo:', error);
       throw new Error('Failed to create todo');
     }
   }
 
-  // Update a todo (simulated)
-  static async updateTodo(id, todoData) {
+  // Update a todo
+  static async updateTodo(id, requestedTodo) {
+    // Enforce the todo's subtask rule before anything is written
+    const blocker = getCompletionBlocker(requestedTodo);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+    let todoData = applySubtaskRule(requestedTodo);
+
+    // Completing a recurring todo hands the series on to its next occurrence
+    const nextOccurrence = todoData.completed ? getNextOccurrence(todoData) : null;
+    if (nextOccurrence) {
+      todoData = { ...todoData, recurrence: null };
+    }
+
     try {
-      const response = await api.put(`/todos/${id}`, todoData);
-      
-      // Update local storage if it's a local todo
-      const localTodo = await localforage.getItem(`todo-${id}`);
-      if (localTodo) {
-        const updatedTodo = { ...localTodo, ...todoData };
-        await localforage.setItem(`todo-${id}`, updatedTodo);
-        return updatedTodo;
+      const updatedTodo = await writeUpdate(id, todoData);
+      if ('listId' in todoData) {
+        await ListIndexService.place(id, todoData.listId);
       }
-      
-      return response.data;
+      await logActivity(() => ActivityService.recordCompletion({ ...todoData, id }));
+      if (nextOccurrence) {
+        const occurrence = await TodoService.createTodo(nextOccurrence);
+        handedOnOccurrences.set(id, occurrence.id);
+      } else if (!todoData.completed && todoData.recurrence && handedOnOccurrences.has(id)) {
+        // Reopened with its series back (an undo), so the series can't also go on in the occurrence
+        await TodoService.permanentlyDeleteTodo(handedOnOccurrences.get(id));
+        handedOnOccurrences.delete(id);
+      }
+      return updatedTodo;
     } catch (error) {
       console.error(`Error updating todo ${id}:`, error);
       throw new Error(`Failed to update todo with ID ${id}`);
     }
   }
 
-  // Delete a todo (simulated)
+  // Move a todo to the trash; it stays hidden until restored or purged
   static async deleteTodo(id) {
     try {
-      await api.delete(`/todos/${id}`);
-      
-      // Remove from local storage if it exists
-      await localforage.removeItem(`todo-${id}`);
-      
-      return { success: true };
+      const todo = { ...await TodoService.getTodoById(id) };
+      delete todo.pendingSync;
+      await TrashService.add(todo);
+      return { success: true, trashed: true };
+    } catch (error) {
+      console.error(`Error trashing todo ${id}:`, error);
+      throw new Error(`Failed to delete todo with ID ${id}`);
+    }
+  }
+
+  // Take a todo back out of the trash
+  static async restoreTodo(id) {
+    try {
+      const entry = await TrashService.getEntry(id);
+      if (!entry) {
+        throw new Error(`Todo ${id} is not in the trash`);
+      }
+      await TrashService.remove(id);
+      return entry.todo;
+    } catch (error) {
+      console.error(`Error restoring todo ${id}:`, error);
+      throw new Error(`Failed to restore todo with ID ${id}`);
+    }
+  }
+
+  // Update several todos as one batch; `updates` is a list of { id, todoData }
+  static async updateTodos(updates) {
+    return runBatch(
+      updates,
+      update => update.id,
+      ({ id, todoData }) => TodoService.updateTodo(id, todoData)
+    );
+  }
+
+  // Create several todos as one batch, e.g. from an import
+  static async importTodos(todos) {
+    return runBatch(todos, todo => todo.title, TodoService.createTodo);
+  }
+
+  // Move several todos to the trash as one batch
+  static async deleteTodos(ids) {
+    return runBatch(ids, id => id, async (id) => {
+      await TodoService.deleteTodo(id);
+      return id;
+    });
+  }
+
+  // Restore several todos from the trash as one batch
+  static async restoreTodos(ids) {
+    return runBatch(ids, id => id, TodoService.restoreTodo);
+  }
+
+  // Get trashed todos with their deletion and expiry times
+  static async getTrashedTodos() {
+    try {
+      return await TrashService.getEntries();
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      throw new Error('Failed to fetch trash');
+    }
+  }
+
+  // Permanently delete every todo in the trash
+  static async emptyTrash() {
+    try {
+      const entries = await TrashService.getEntries();
+      for (const entry of entries) {
+        await TodoService.permanentlyDeleteTodo(entry.todo.id);
+      }
+      return { success: true, deleted: entries.length };
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      throw new Error('Failed to empty trash');
+    }
+  }
+
+  // Permanently delete trashed todos older than the retention period
+  static async purgeExpiredTrash() {
+    try {
+      const entries = await TrashService.getExpiredEntries();
+      for (const entry of entries) {
+        await TodoService.permanentlyDeleteTodo(entry.todo.id);
+      }
+      return { success: true, deleted: entries.length };
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      return { success: false, deleted: 0 };
+    }
+  }
+
+  // Permanently delete a todo from local storage or the backend
+  static async permanentlyDeleteTodo(id) {
+    try {
+      const localTodo = await localforage.getItem(`todo-${id}`);
+      if (localTodo) {
+        // A queued create for this todo finds nothing to send and is dropped
+        await localforage.removeItem(`todo-${id}`);
+        await TrashService.remove(id);
+        await OrderService.remove(id);
+        await ListIndexService.remove(id);
+        return { success: true };
+      }
+
+      let deleted = false;
+      if (!shouldQueue()) {
+        try {
+          await backend.deleteTodo(id);
+          deleted = true;
+        } catch (error) {
+          if (!SyncService.isRetryableError(error)) {
+            throw error;
+          }
+        }
+      }
+
+      if (!deleted) {
+        await SyncService.enqueue({ type: 'delete', todoId: id });
+        SyncService.replay();
+      }
+
+      // Leave a tombstone so the todo doesn't come back on the next refetch
+      if (!backend.persistsWrites) {
+        await OverlayService.recordDeletion(id);
+      }
+      await TrashService.remove(id);
+      await OrderService.remove(id);
+      await ListIndexService.remove(id);
+      return deleted ? { success: true } : { success: true, pendingSync: true };
     } catch (error) {
       console.error(`Error deleting todo ${id}:`, error);
       throw new Error(`Failed to delete todo with ID ${id}`);
     }
   }
 
+  // Send a queued outbox entry to the backend
+  static async replayMutation(entry) {
+    switch (entry.type) {
+      case 'create': {
+        const localTodo = await localforage.getItem(`todo-${entry.todoId}`);
+        if (!localTodo) {
+          return;
+        }
+        const createdTodo = await backend.createTodo(toBackendFields(localTodo));
+        // A real backend now owns the todo, so the temporary local copy can go
+        // and the backend's copy takes its place in its list
+        if (backend.persistsWrites) {
+          await localforage.removeItem(`todo-${entry.todoId}`);
+          await ListIndexService.remove(entry.todoId);
+          await ListIndexService.place(createdTodo.id, localTodo.listId);
+        }
+        return;
+      }
+      case 'update':
+        await backend.updateTodo(entry.todoId, entry.payload);
+        return;
+      case 'delete':
+        await backend.deleteTodo(entry.todoId);
+        return;
+      default:
+        throw new Error(`Unknown outbox entry type "${entry.type}"`);
+    }
+  }
+
   // Get locally stored todos
   static async getLocalTodos() {
     try {
@@ -106,24 +609,66 @@ export class TodoService {
           localTodos.push(value);
         }
       });
-      return localTodos;
+      return await withLocalChanges(localTodos);
     } catch (error) {
       console.error('Error fetching local todos:', error);
       return [];
     }
   }
 
-  // Search todos by title
+  // Get backend and locally created todos in their manual (drag-and-drop) order
+  static async getCombinedTodos() {
+    const [allTodos, localTodos] = await Promise.all([
+      TodoService.getAllTodos(),
+      TodoService.getLocalTodos()
+    ]);
+    // Local todos come after the backend's unless they've been moved
+    return OrderService.applyOrder([...allTodos, ...localTodos]);
+  }
+
+  // Get the todos in one list, in their manual order. Named lists are read through the
+  // per-list index; the Inbox holds every todo without a list, so it needs the whole collection
+  static async getListTodos(listId) {
+    if (listId === INBOX_ID) {
+      const todos = await TodoService.getCombinedTodos();
+      return todos.filter(todo => getListId(todo) === INBOX_ID);
+    }
+    await ensureListIndex();
+    const todos = await loadTodos(await ListIndexService.getTodoIds(listId));
+    // A todo moved in another tab can still be filed under its old list
+    return OrderService.applyOrder(todos.filter(todo => getListId(todo) === listId));
+  }
+
+  // Get one page of todos, paged, sorted and filtered by the backend
+  // Query: { page, limit, sort, order, completed, userId }; returns { todos, total, page, limit, hasMore }
+  static async getTodosPage(query) {
+    const { page = 1, limit = 10 } = query;
+    try {
+      const result = await fetchPage({ ...query, page, limit });
+      // A stale link may ask for a page past the end; answer with the last one instead
+      const lastPage = Math.max(1, Math.ceil(result.total / limit));
+      if (result.total !== null && page > lastPage) {
+        return await fetchPage({ ...query, page: lastPage, limit });
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error fetching page ${page} of todos:`, error);
+      throw new Error('Failed to fetch todos');
+    }
+  }
+
+  // Search todos with the query language in utils/query, best matches first;
+  // malformed parts of the query are ignored
   static async searchTodos(query) {
     try {
-      const allTodos = await this.getAllTodos();
-      const localTodos = await this.getLocalTodos();
+      const combinedTodos = await TodoService.getCombinedTodos();
+      const parsedQuery = parseQuery(query);
       
-      const combinedTodos = [...allTodos, ...localTodos];
-      
-      return combinedTodos.filter(todo =>
-        todo.title.toLowerCase().includes(query.toLowerCase())
-      );
+      return combinedTodos
+        .map(todo => ({ todo, match: scoreDocument(toSearchDocument(todo), parsedQuery) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(({ todo }) => todo);
     } catch (error) {
       console.error('Error searching todos:', error);
       throw new Error('Failed to search todos');
@@ -131,5 +676,6 @@ export class TodoService {
   }
 }
 
-export default TodoService;
+SyncService.setReplayHandler(TodoService.replayMutation);
 
+export default TodoService;
@@ -0,0 +1,71 @@
+import localforage from 'localforage';
+import { INBOX_ID, getListId } from '../utils/lists';
+
+// The todo IDs in each named list, keyed by list ID, so a list is read without the whole collection.
+// The Inbox has no entry: it holds every todo without a list, including everything from the backend
+const listIndexStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'listTodos',
+});
+
+// Set once todos stored before the index existed have been indexed
+const INDEXED_KEY = 'indexed';
+
+// Service class for the per-list index of todos
+export class ListIndexService {
+  // Whether the index has been built
+  static async isBuilt() {
+    return Boolean(await listIndexStore.getItem(INDEXED_KEY));
+  }
+
+  // Index every todo by its list, replacing whatever was there
+  static async rebuild(todos) {
+    const idsByList = new Map();
+    todos.forEach(todo => {
+      const listId = getListId(todo);
+      if (listId !== INBOX_ID) {
+        idsByList.set(listId, [...(idsByList.get(listId) || []), todo.id]);
+      }
+    });
+    await listIndexStore.clear();
+    await Promise.all(
+      [...idsByList].map(([listId, ids]) => listIndexStore.setItem(listId, ids))
+    );
+    await listIndexStore.setItem(INDEXED_KEY, true);
+  }
+
+  // Get the IDs of the todos in a named list
+  static async getTodoIds(listId) {
+    return (await listIndexStore.getItem(listId)) || [];
+  }
+
+  // File a todo under its list (null or the Inbox takes it out of every named list)
+  static async place(todoId, listId) {
+    const targetId = getListId({ listId });
+    const entries = [];
+    await listIndexStore.iterate((ids, key) => {
+      if (key !== INDEXED_KEY && key !== targetId && ids.includes(todoId)) {
+        entries.push([key, ids.filter(id => id !== todoId)]);
+      }
+    });
+    if (targetId !== INBOX_ID) {
+      const ids = await ListIndexService.getTodoIds(targetId);
+      if (!ids.includes(todoId)) {
+        entries.push([targetId, [...ids, todoId]]);
+      }
+    }
+    await Promise.all(entries.map(([key, ids]) => listIndexStore.setItem(key, ids)));
+  }
+
+  // Forget a todo that no longer exists
+  static async remove(todoId) {
+    await ListIndexService.place(todoId, null);
+  }
+
+  // Forget a deleted list
+  static async removeList(listId) {
+    await listIndexStore.removeItem(listId);
+  }
+}
+
+export default ListIndexService;
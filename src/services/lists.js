@@ -0,0 +1,99 @@
+import localforage from 'localforage';
+import TodoService from './api';
+import ListIndexService from './listIndex';
+import { INBOX_LIST } from '../utils/lists';
+
+// Named lists (projects); todos point at theirs through `listId`
+const listStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'lists',
+});
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ');
+
+// Check a new name is usable and not taken by another list
+const validateName = async (name, exceptId = null) => {
+  const listName = normalizeName(name);
+  if (!listName) {
+    throw new Error('List name cannot be empty');
+  }
+  const lists = await ListService.getLists();
+  const taken = lists.some(list =>
+    list.id !== exceptId && list.name.toLowerCase() === listName.toLowerCase()
+  );
+  if (taken) {
+    throw new Error(`There is already a list called "${listName}"`);
+  }
+  return listName;
+};
+
+const getStoredList = async (id) => {
+  const list = await listStore.getItem(id);
+  if (!list) {
+    throw new Error(`List ${id} not found`);
+  }
+  return list;
+};
+
+// Service class for managing todo lists
+export class ListService {
+  // Get the Inbox followed by every list in the order they were created
+  static async getLists() {
+    const lists = [];
+    await listStore.iterate((list) => {
+      lists.push(list);
+    });
+    return [INBOX_LIST, ...lists.sort((a, b) => a.createdAt - b.createdAt)];
+  }
+
+  // Create a list with a unique name
+  static async createList(name) {
+    const list = {
+      id: `list-${Date.now().toString(36)}`,
+      name: await validateName(name),
+      archived: false,
+      createdAt: Date.now(),
+    };
+    await listStore.setItem(list.id, list);
+    return list;
+  }
+
+  // Rename a list
+  static async renameList(id, name) {
+    const list = { ...await getStoredList(id), name: await validateName(name, id) };
+    await listStore.setItem(id, list);
+    return list;
+  }
+
+  // Archive a list, hiding it and its todos from the sidebar and "All lists", or bring it back
+  static async setArchived(id, archived) {
+    const list = { ...await getStoredList(id), archived };
+    await listStore.setItem(id, list);
+    return list;
+  }
+
+  // Delete a list, moving its todos to the trash first. They're moved to the Inbox on the
+  // way, so restoring one later doesn't leave it in a list that no longer exists
+  static async deleteList(id) {
+    try {
+      await getStoredList(id);
+      const todos = await TodoService.getListTodos(id);
+      const moved = await TodoService.updateTodos(
+        todos.map(todo => ({ id: todo.id, todoData: { ...todo, listId: null } }))
+      );
+      const trashed = await TodoService.deleteTodos(moved.succeeded.map(todo => todo.id));
+      const result = { succeeded: trashed.succeeded, failed: [...moved.failed, ...trashed.failed] };
+      // Keep the list while some of its todos couldn't be trashed
+      if (result.failed.length === 0) {
+        await listStore.removeItem(id);
+        await ListIndexService.removeList(id);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error deleting list ${id}:`, error);
+      throw new Error('Failed to delete the list');
+    }
+  }
+}
+
+export default ListService;
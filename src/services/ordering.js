@@ -0,0 +1,48 @@
+import localforage from 'localforage';
+import { implicitRank, sortByRank } from '../utils/ranks';
+
+// Manual order: one rank per moved todo, so a move usually writes a single record
+const orderStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'order',
+});
+
+// Service class for the drag-and-drop order of todos
+export class OrderService {
+  // Get the stored ranks, keyed by todo ID
+  static async getRanks() {
+    const ranks = {};
+    await orderStore.iterate((rank, id) => {
+      ranks[id] = rank;
+    });
+    return ranks;
+  }
+
+  // Whether any todo has been moved by hand
+  static async hasManualOrder() {
+    return (await orderStore.length()) > 0;
+  }
+
+  // Sort todos into their manual order; todos never moved keep their default position
+  static async applyOrder(todos) {
+    const ranks = await OrderService.getRanks();
+    return sortByRank(
+      todos.map(todo => ({ ...todo, rank: ranks[todo.id] ?? implicitRank(todo.id) }))
+    );
+  }
+
+  // Store new ranks by todo ID, as planned by planMove
+  static async saveRanks(ranks) {
+    await Promise.all(
+      Object.entries(ranks).map(([id, rank]) => orderStore.setItem(id, rank))
+    );
+    return ranks;
+  }
+
+  // Forget the rank of a todo that no longer exists
+  static async remove(id) {
+    await orderStore.removeItem(String(id));
+  }
+}
+
+export default OrderService;
@@ -0,0 +1,71 @@
+import localforage from 'localforage';
+
+// Local edits and tombstones for todos owned by a backend that doesn't persist writes
+const overlayStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'overlay',
+});
+
+// Service class that layers local changes on top of server data
+export class OverlayService {
+  // Get the overlay record for a todo, if any
+  static async getRecord(id) {
+    return overlayStore.getItem(String(id));
+  }
+
+  // Get the IDs of every todo with recorded edits or a tombstone
+  static async getIds() {
+    const ids = [];
+    await overlayStore.iterate((record) => {
+      ids.push(record.id);
+    });
+    return ids;
+  }
+
+  // Remember field changes made to a todo
+  static async recordEdit(id, changes) {
+    const record = await OverlayService.getRecord(id);
+    await overlayStore.setItem(String(id), {
+      id,
+      changes: { ...record?.changes, ...changes },
+      deleted: false,
+      updatedAt: Date.now(),
+    });
+  }
+
+  // Remember that a todo was deleted so it stays hidden after a refetch
+  static async recordDeletion(id) {
+    const record = await OverlayService.getRecord(id);
+    await overlayStore.setItem(String(id), {
+      id,
+      changes: record?.changes || {},
+      deleted: true,
+      updatedAt: Date.now(),
+    });
+  }
+
+  // Forget everything recorded for a todo
+  static async clear(id) {
+    await overlayStore.removeItem(String(id));
+  }
+
+  // Merge recorded edits onto todos and drop the tombstoned ones
+  static async apply(todos) {
+    const records = new Map();
+    await overlayStore.iterate((record) => {
+      records.set(record.id, record);
+    });
+    if (records.size === 0) {
+      return todos;
+    }
+
+    return todos
+      .filter(todo => !records.get(todo.id)?.deleted)
+      .map(todo => records.has(todo.id)
+        ? { ...todo, ...records.get(todo.id).changes }
+        : todo
+      );
+  }
+}
+
+export default OverlayService;
@@ -0,0 +1,32 @@
+import localforage from 'localforage';
+
+// User preferences such as the list sort order, kept between sessions
+const preferenceStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'preferences',
+});
+
+// Service class for reading and writing preferences
+export class PreferenceService {
+  // Get a stored preference, or the fallback when it has never been set
+  static async get(key, fallback) {
+    try {
+      const value = await preferenceStore.getItem(key);
+      return value === null ? fallback : value;
+    } catch (error) {
+      console.error(`Error reading preference ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  // Store a preference
+  static async set(key, value) {
+    try {
+      await preferenceStore.setItem(key, value);
+    } catch (error) {
+      console.error(`Error saving preference ${key}:`, error);
+    }
+  }
+}
+
+export default PreferenceService;
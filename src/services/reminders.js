@@ -0,0 +1,200 @@
+import localforage from 'localforage';
+
+// Per-todo reminder state: when it was shown and whether it is snoozed
+const reminderStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'reminders',
+});
+
+// setTimeout can't wait longer than ~24.8 days; later reminders are armed on a later visit
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+export const SNOOZE_OPTIONS = [
+  { label: '10 minutes', minutes: 10 },
+  { label: '1 hour', minutes: 60 },
+  { label: 'Tomorrow', minutes: 24 * 60 },
+];
+
+const timers = new Map();
+const scheduledTodos = new Map();
+const listeners = new Set();
+let registration = null;
+// Bumped by every schedule() call so an older, still-running one stops arming todos
+let scheduleGeneration = 0;
+
+const isSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Browsers with Notification Triggers can show reminders even when the app is closed
+const supportsTriggers = () =>
+  isSupported() && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+
+const clearTimer = (id) => {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+};
+
+// Service class for due-date reminders through the Notification API
+export class ReminderService {
+  // Current notification permission: 'granted', 'denied', 'default' or 'unsupported'
+  static getPermission() {
+    return isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  // Ask the user for permission to show notifications
+  static async requestPermission() {
+    if (!isSupported()) {
+      return 'unsupported';
+    }
+    return Notification.requestPermission();
+  }
+
+  // Register the service worker used for notification actions and triggers
+  static async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      return null;
+    }
+    try {
+      registration = await navigator.serviceWorker.register('/reminder-sw.js');
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'reminder-snooze') {
+          ReminderService.snooze(event.data.todoId, event.data.minutes);
+        }
+      });
+    } catch (error) {
+      console.error('Error registering reminder service worker:', error);
+      registration = null;
+    }
+    return registration;
+  }
+
+  // Arm reminders for every pending todo with a due date, replacing earlier ones
+  static async schedule(todos) {
+    const generation = ++scheduleGeneration;
+    timers.forEach((timer, id) => clearTimer(id));
+    scheduledTodos.clear();
+
+    if (ReminderService.getPermission() !== 'granted') {
+      return;
+    }
+
+    for (const todo of todos) {
+      if (generation !== scheduleGeneration) {
+        return;
+      }
+      if (todo.dueDate && !todo.completed) {
+        scheduledTodos.set(todo.id, todo);
+        await ReminderService.arm(todo, generation);
+      }
+    }
+  }
+
+  // Work out when a todo should remind next and set a timer for it
+  static async arm(todo, generation = scheduleGeneration) {
+    clearTimer(todo.id);
+
+    const record = await reminderStore.getItem(String(todo.id));
+    // A newer schedule() took over while the record was loading
+    if (generation !== scheduleGeneration) {
+      return;
+    }
+    // A changed due date starts the reminder over
+    const current = record?.dueDate === todo.dueDate ? record : null;
+    if (current?.notifiedAt && !current.snoozedUntil) {
+      return;
+    }
+
+    const remindAt = current?.snoozedUntil || new Date(todo.dueDate).getTime();
+    const delay = remindAt - Date.now();
+
+    if (delay > 0 && supportsTriggers() && registration) {
+      // Let the service worker show it, even if the app has been closed by then
+      await ReminderService.show(todo, { showTrigger: new window.TimestampTrigger(remindAt) });
+      await reminderStore.setItem(String(todo.id), {
+        dueDate: todo.dueDate,
+        notifiedAt: remindAt,
+        snoozedUntil: null,
+      });
+      return;
+    }
+
+    if (delay <= MAX_TIMER_DELAY) {
+      // Reminders missed while the app was closed fire right away
+      clearTimer(todo.id);
+      timers.set(todo.id, setTimeout(() => ReminderService.notify(todo), Math.max(0, delay)));
+    }
+  }
+
+  // Show a reminder now and remember that it was shown
+  static async notify(todo) {
+    timers.delete(todo.id);
+    await reminderStore.setItem(String(todo.id), {
+      dueDate: todo.dueDate,
+      notifiedAt: Date.now(),
+      snoozedUntil: null,
+    });
+    await ReminderService.show(todo);
+    listeners.forEach(listener => listener(todo));
+  }
+
+  // Display the notification, preferring the service worker so snooze actions work
+  static async show(todo, options = {}) {
+    const title = 'Todo due';
+    const notificationOptions = {
+      body: todo.title,
+      tag: `todo-${todo.id}`,
+      data: { todoId: todo.id, url: `/todo/${todo.id}` },
+      ...options,
+    };
+
+    try {
+      if (registration) {
+        if (options.showTrigger) {
+          // Replace a reminder scheduled earlier for an older due date
+          const scheduled = await registration.getNotifications({
+            tag: notificationOptions.tag,
+            includeTriggered: true,
+          });
+          scheduled.forEach(notification => notification.close());
+        }
+        await registration.showNotification(title, {
+          ...notificationOptions,
+          actions: SNOOZE_OPTIONS.slice(0, 2).map(option => ({
+            action: `snooze-${option.minutes}`,
+            title: `Snooze ${option.label}`,
+          })),
+        });
+        return;
+      }
+
+      const notification = new Notification(title, notificationOptions);
+      notification.onclick = () => {
+        window.focus();
+        window.location.assign(notificationOptions.data.url);
+      };
+    } catch (error) {
+      console.error(`Error showing reminder for todo ${todo.id}:`, error);
+    }
+  }
+
+  // Remind again after the given number of minutes
+  static async snooze(todoId, minutes) {
+    const todo = scheduledTodos.get(todoId);
+    const record = await reminderStore.getItem(String(todoId));
+    await reminderStore.setItem(String(todoId), {
+      dueDate: todo?.dueDate ?? record?.dueDate,
+      notifiedAt: record?.notifiedAt ?? null,
+      snoozedUntil: Date.now() + minutes * 60 * 1000,
+    });
+    if (todo) {
+      await ReminderService.arm(todo);
+    }
+  }
+
+  // Subscribe to reminders as they fire in this tab
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+}
+
+export default ReminderService;
@@ -0,0 +1,218 @@
+import localforage from 'localforage';
+
+// Durable outbox for mutations that could not reach the backend
+const outboxStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'outbox',
+});
+
+// Retry backoff bounds in milliseconds
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+let sequence = 0;
+let replayHandler = null;
+let retryTimer = null;
+let replaying = false;
+const listeners = new Set();
+
+let status = {
+  state: 'idle', // 'idle', 'syncing', 'offline', 'error'
+  pendingCount: 0,
+  pendingIds: [],
+  lastError: null,
+};
+
+const isBrowserOnline = () =>
+  typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Update the sync status and notify subscribers
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener(status));
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+// Service class that queues offline mutations and replays them in order
+export class SyncService {
+  // Whether a failed request should be queued instead of surfaced to the user
+  static isRetryableError(error) {
+    if (!isBrowserOnline()) {
+      return true;
+    }
+    // Axios sets `response` only when the server answered
+    if (error?.isAxiosError) {
+      return !error.response || error.response.status >= 500;
+    }
+    return false;
+  }
+
+  // Register the function that applies a queued entry to the backend
+  static setReplayHandler(handler) {
+    replayHandler = handler;
+  }
+
+  // Get all queued entries in the order they were made
+  static async getEntries() {
+    const entries = [];
+    await outboxStore.iterate((value) => {
+      entries.push(value);
+    });
+    return entries.sort((a, b) => a.createdAt - b.createdAt || a.sequence - b.sequence);
+  }
+
+  // Add a mutation to the outbox
+  static async enqueue({ type, todoId, payload = null }) {
+    const createdAt = Date.now();
+    const entry = {
+      key: `${createdAt}-${String(sequence).padStart(6, '0')}`,
+      sequence: sequence++,
+      type, // 'create', 'update', 'delete'
+      todoId,
+      payload,
+      attempts: 0,
+      nextAttemptAt: createdAt,
+      lastError: null,
+      createdAt,
+    };
+    await outboxStore.setItem(entry.key, entry);
+    await SyncService.refreshStatus();
+    return entry;
+  }
+
+  // Overlay queued mutations onto a list of todos so the view reflects them
+  static async applyPending(todos) {
+    const entries = await SyncService.getEntries();
+    if (entries.length === 0) {
+      return todos;
+    }
+
+    const pendingIds = new Set(entries.map(entry => entry.todoId));
+    const deletedIds = new Set();
+    const updates = new Map();
+
+    entries.forEach(entry => {
+      if (entry.type === 'delete') {
+        deletedIds.add(entry.todoId);
+      } else if (entry.type === 'update') {
+        updates.set(entry.todoId, { ...updates.get(entry.todoId), ...entry.payload });
+      }
+    });
+
+    return todos
+      .filter(todo => !deletedIds.has(todo.id))
+      .map(todo => pendingIds.has(todo.id)
+        ? { ...todo, ...updates.get(todo.id), pendingSync: true }
+        : todo
+      );
+  }
+
+  // Recount the outbox and publish the result
+  static async refreshStatus() {
+    const entries = await SyncService.getEntries();
+    const failing = entries.find(entry => entry.lastError);
+    let state = 'idle';
+    if (replaying) {
+      state = 'syncing';
+    } else if (entries.length > 0 && !isBrowserOnline()) {
+      state = 'offline';
+    } else if (failing) {
+      state = 'error';
+    }
+    setStatus({
+      state,
+      pendingCount: entries.length,
+      pendingIds: [...new Set(entries.map(entry => entry.todoId))],
+      lastError: failing ? failing.lastError : null,
+    });
+  }
+
+  // Replay queued entries in order, stopping at the first retryable failure
+  static async replay({ ignoreBackoff = false } = {}) {
+    if (replaying || !replayHandler || !isBrowserOnline()) {
+      return;
+    }
+
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    replaying = true;
+    await SyncService.refreshStatus();
+
+    let synced = 0;
+    try {
+      const entries = await SyncService.getEntries();
+      for (const entry of entries) {
+        if (!ignoreBackoff && entry.nextAttemptAt > Date.now()) {
+          SyncService.scheduleRetry(entry.nextAttemptAt - Date.now());
+          break;
+        }
+
+        try {
+          await replayHandler(entry);
+          await outboxStore.removeItem(entry.key);
+          synced++;
+        } catch (error) {
+          if (!SyncService.isRetryableError(error)) {
+            // The backend rejected this mutation outright; retrying won't help
+            console.error(`Dropping queued ${entry.type} for todo ${entry.todoId}:`, error);
+            await outboxStore.removeItem(entry.key);
+            continue;
+          }
+
+          const attempts = entry.attempts + 1;
+          const delay = getRetryDelay(attempts);
+          await outboxStore.setItem(entry.key, {
+            ...entry,
+            attempts,
+            nextAttemptAt: Date.now() + delay,
+            lastError: error.message,
+          });
+          SyncService.scheduleRetry(delay);
+          break;
+        }
+      }
+    } finally {
+      replaying = false;
+      await SyncService.refreshStatus();
+    }
+
+    if (synced > 0) {
+      listeners.forEach(listener => listener(status, { synced }));
+    }
+  }
+
+  // Try the outbox again after a delay
+  static scheduleRetry(delay) {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => SyncService.replay(), delay);
+  }
+
+  // Start listening for connectivity changes and flush anything left over
+  static start() {
+    // Coming back online is a good reason to skip whatever backoff is pending
+    const handleOnline = () => SyncService.replay({ ignoreBackoff: true });
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', SyncService.refreshStatus);
+    SyncService.refreshStatus().then(() => SyncService.replay());
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', SyncService.refreshStatus);
+      clearTimeout(retryTimer);
+    };
+  }
+
+  // Get the current sync status
+  static getStatus() {
+    return status;
+  }
+
+  // Subscribe to status changes; the second argument is set after a successful replay
+  static subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+}
+
+export default SyncService;
@@ -0,0 +1,115 @@
+import localforage from 'localforage';
+import TodoService from './api';
+import { normalizeTag, defaultTagColor } from '../utils/tags';
+
+// Tag colours; the tags themselves live on each todo's `tags` array
+const tagStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'tags',
+});
+
+// Replace tags on every todo that has one of `fromNames`, via a single batch update
+const retagTodos = async (fromNames, replaceTags) => {
+  const todos = await TodoService.getCombinedTodos();
+  const updates = todos
+    .filter(todo => todo.tags?.some(tag => fromNames.includes(tag)))
+    .map(todo => ({
+      id: todo.id,
+      todoData: { ...todo, tags: replaceTags(todo.tags) },
+    }));
+  return TodoService.updateTodos(updates);
+};
+
+const unique = (tags) => [...new Set(tags)];
+
+// Service class for managing tags across all todos
+export class TagService {
+  // Get every tag in use with its colour and the number of todos carrying it
+  static async getTags() {
+    try {
+      const todos = await TodoService.getCombinedTodos();
+      const counts = new Map();
+      todos.forEach(todo => {
+        (todo.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+      });
+
+      const colors = await TagService.getTagColors();
+      return [...counts.entries()]
+        .map(([name, count]) => ({
+          name,
+          count,
+          color: colors[name] || defaultTagColor(name),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw new Error('Failed to fetch tags');
+    }
+  }
+
+  // Get the colours chosen for tags, keyed by tag name
+  static async getTagColors() {
+    const colors = {};
+    await tagStore.iterate((color, name) => {
+      colors[name] = color;
+    });
+    return colors;
+  }
+
+  // Change the colour of a tag
+  static async setTagColor(name, color) {
+    await tagStore.setItem(name, color);
+    return { name, color };
+  }
+
+  // Rename a tag on every todo; renaming onto an existing tag merges them
+  static async renameTag(oldName, newName) {
+    const target = normalizeTag(newName);
+    if (!target) {
+      throw new Error('Tag name cannot be empty');
+    }
+    return TagService.mergeTags([oldName], target);
+  }
+
+  // Fold several tags into one target tag on every todo
+  static async mergeTags(sourceNames, targetName) {
+    try {
+      const target = normalizeTag(targetName);
+      const sources = sourceNames.filter(name => name !== target);
+      const colors = await TagService.getTagColors();
+
+      const result = await retagTodos(sources, tags =>
+        unique(tags.map(tag => (sources.includes(tag) ? target : tag)))
+      );
+
+      // Keep the first source's colour if the target doesn't have one yet
+      const inheritedColor = sources.map(name => colors[name]).find(Boolean);
+      if (!colors[target] && inheritedColor) {
+        await tagStore.setItem(target, inheritedColor);
+      }
+      if (result.failed.length === 0) {
+        await Promise.all(sources.map(name => tagStore.removeItem(name)));
+      }
+      return result;
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      throw new Error('Failed to merge tags');
+    }
+  }
+
+  // Remove a tag from every todo
+  static async deleteTag(name) {
+    try {
+      const result = await retagTodos([name], tags => tags.filter(tag => tag !== name));
+      if (result.failed.length === 0) {
+        await tagStore.removeItem(name);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error deleting tag ${name}:`, error);
+      throw new Error(`Failed to delete tag "${name}"`);
+    }
+  }
+}
+
+export default TagService;
@@ -0,0 +1,65 @@
+import localforage from 'localforage';
+
+// Soft-deleted todos waiting to be restored or purged
+const trashStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'trash',
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long trashed todos are kept, configurable through VITE_TRASH_RETENTION_DAYS
+export const TRASH_RETENTION_DAYS =
+  Number(import.meta.env.VITE_TRASH_RETENTION_DAYS) || 30;
+
+// Service class for the trash store
+export class TrashService {
+  // Get all trashed entries, most recently deleted first
+  static async getEntries() {
+    const entries = [];
+    await trashStore.iterate((entry) => {
+      entries.push(entry);
+    });
+    return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  // Get a single trashed entry
+  static async getEntry(id) {
+    return trashStore.getItem(String(id));
+  }
+
+  // Move a todo into the trash
+  static async add(todo) {
+    const entry = {
+      todo,
+      deletedAt: Date.now(),
+      expiresAt: Date.now() + TRASH_RETENTION_DAYS * DAY,
+    };
+    await trashStore.setItem(String(todo.id), entry);
+    return entry;
+  }
+
+  // Take a todo out of the trash
+  static async remove(id) {
+    await trashStore.removeItem(String(id));
+  }
+
+  // Get entries whose retention period has passed
+  static async getExpiredEntries(now = Date.now()) {
+    const entries = await TrashService.getEntries();
+    return entries.filter(entry => entry.expiresAt <= now);
+  }
+
+  // Hide trashed todos from a list
+  static async hideTrashed(todos) {
+    const trashedIds = new Set();
+    await trashStore.iterate((entry) => {
+      trashedIds.add(entry.todo.id);
+    });
+    return trashedIds.size === 0
+      ? todos
+      : todos.filter(todo => !trashedIds.has(todo.id));
+  }
+}
+
+export default TrashService;
@@ -0,0 +1,34 @@
+import localforage from 'localforage';
+import TodoService from './api';
+import SyncService from './sync';
+
+// Last users fetched from the backend, used as a fallback while offline
+const userStore = localforage.createInstance({
+  name: 'todo-app',
+  storeName: 'users',
+});
+
+// Service class for the people todos are assigned to (a todo's `userId`)
+export class UserService {
+  // Get every user from the backend, falling back to the last copy while offline
+  static async getUsers() {
+    try {
+      try {
+        const users = await TodoService.getBackend().fetchUsers();
+        await userStore.setItem('users', users);
+        return users;
+      } catch (error) {
+        const cachedUsers = await userStore.getItem('users');
+        if (!SyncService.isRetryableError(error) || !cachedUsers) {
+          throw error;
+        }
+        return cachedUsers;
+      }
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw new Error('Failed to fetch users');
+    }
+  }
+}
+
+export default UserService;
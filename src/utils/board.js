@@ -0,0 +1,83 @@
+import { PRIORITIES, getPriority } from './priorities';
+import { findUser, getUserName } from './users';
+
+// Ways the board can split todos into columns
+export const BOARD_GROUPINGS = [
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'assignee', label: 'Assignee' },
+  { value: 'tag', label: 'Tag' },
+];
+
+// Column for todos without tags when grouping by tag
+const UNTAGGED = '';
+
+// Keys of the columns a todo sits in; grouped by tag, it sits in one column per tag
+export const getColumnKeys = (todo, groupBy) => {
+  switch (groupBy) {
+    case 'priority':
+      return [getPriority(todo.priority).value];
+    case 'assignee':
+      return [String(todo.userId)];
+    case 'tag':
+      return todo.tags?.length ? todo.tags : [UNTAGGED];
+    default:
+      return [todo.completed ? 'completed' : 'pending'];
+  }
+};
+
+// Columns for a grouping in display order, as { key, label }.
+// Assignee and tag columns come from the users and tags known, plus any only found on todos
+export const getColumns = (groupBy, { todos, users = [], tags = [] }) => {
+  switch (groupBy) {
+    case 'priority':
+      return [...PRIORITIES].reverse().map(priority => ({ key: priority.value, label: priority.label }));
+    case 'assignee': {
+      const userIds = [...new Set([...users.map(user => user.id), ...todos.map(todo => todo.userId)])]
+        .filter(userId => userId != null)
+        .sort((a, b) => a - b);
+      return userIds.map(userId => ({ key: String(userId), label: getUserName(findUser(users, userId), userId) }));
+    }
+    case 'tag': {
+      const names = [...new Set([...tags, ...todos.flatMap(todo => todo.tags || [])])].sort();
+      return [
+        ...names.map(name => ({ key: name, label: `#${name}` })),
+        { key: UNTAGGED, label: 'Untagged' },
+      ];
+    }
+    default:
+      return [
+        { key: 'pending', label: 'Pending' },
+        { key: 'completed', label: 'Completed' },
+      ];
+  }
+};
+
+// Todos in each column by key, keeping their order
+export const groupTodos = (todos, columns, groupBy) => {
+  const groups = new Map(columns.map(column => [column.key, []]));
+  todos.forEach(todo => {
+    getColumnKeys(todo, groupBy).forEach(key => groups.get(key)?.push(todo));
+  });
+  return groups;
+};
+
+// The fields to change to move a todo from one column to another.
+// Between tag columns the tag is swapped; dropping on "Untagged" clears every tag
+export const getColumnChanges = (todo, groupBy, fromKey, toKey) => {
+  switch (groupBy) {
+    case 'priority':
+      return { priority: toKey };
+    case 'assignee':
+      return { userId: Number(toKey) };
+    case 'tag': {
+      if (toKey === UNTAGGED) {
+        return { tags: [] };
+      }
+      const tags = (todo.tags || []).map(tag => (tag === fromKey ? toKey : tag));
+      return { tags: [...new Set(tags.includes(toKey) ? tags : [...tags, toKey])] };
+    }
+    default:
+      return { completed: toKey === 'completed' };
+  }
+};
@@ -0,0 +1,106 @@
+// Date helpers for the calendar view; days are identified by local 'YYYY-MM-DD' keys
+
+export const CALENDAR_VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' },
+];
+
+// The agenda lists this many days from the date being viewed
+export const AGENDA_DAYS = 30;
+
+// Time given to todos created on, or dragged onto, a day when they had no time yet
+const DEFAULT_HOUR = 9;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDayKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Local midnight of a day key, or null when the key isn't a valid date
+export const fromDayKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDayKey(date) === key ? date : null;
+};
+
+export const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+export const addMonths = (date, months) =>
+  new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+// Weeks start on Monday
+export const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+export const getWeekDays = (date) => {
+  const start = startOfWeek(date);
+  return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+};
+
+// Every day of the whole weeks that cover the month containing `date`
+export const getMonthDays = (date) => {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  const start = startOfWeek(first);
+  const end = addDays(startOfWeek(last), 6);
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+export const getAgendaDays = (date) =>
+  Array.from({ length: AGENDA_DAYS }, (_, index) => addDays(date, index));
+
+// Move the date being viewed one month, week or agenda period back or forward
+export const shiftPeriod = (date, view, step) => {
+  if (view === 'month') {
+    return addMonths(date, step);
+  }
+  return addDays(date, step * (view === 'week' ? 7 : AGENDA_DAYS));
+};
+
+// Heading for the period on screen, e.g. "October 2026" or "Oct 19 – Oct 25, 2026"
+export const formatPeriod = (date, view) => {
+  if (view === 'month') {
+    return date.toLocaleDateString([], { month: 'long', year: 'numeric' });
+  }
+  const days = view === 'week' ? getWeekDays(date) : getAgendaDays(date);
+  const first = days[0];
+  const last = days[days.length - 1];
+  const short = { month: 'short', day: 'numeric' };
+  return `${first.toLocaleDateString([], short)} – ${last.toLocaleDateString([], { ...short, year: 'numeric' })}`;
+};
+
+// Dated todos by day key, earliest first within each day
+export const groupByDay = (todos) => {
+  const days = new Map();
+  todos
+    .filter(todo => todo.dueDate)
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    .forEach(todo => {
+      const key = toDayKey(new Date(todo.dueDate));
+      days.set(key, [...(days.get(key) || []), todo]);
+    });
+  return days;
+};
+
+// A due date on another day at the same time of day (or the default time when undated)
+export const moveDueDate = (dueDate, dayKey) => {
+  const day = fromDayKey(dayKey);
+  if (dueDate) {
+    const due = new Date(dueDate);
+    day.setHours(due.getHours(), due.getMinutes(), due.getSeconds(), due.getMilliseconds());
+  } else {
+    day.setHours(DEFAULT_HOUR);
+  }
+  return day.toISOString();
+};
+
+// The datetime-local value CreateTodo starts with for a todo created on a day
+export const getDefaultDueValue = (dayKey) => `${dayKey}T${pad(DEFAULT_HOUR)}:00`;
@@ -0,0 +1,57 @@
+// Helpers for the optional `dueDate` field (stored as an ISO string)
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of the local day containing `date`
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Classify a todo by due date: 'overdue', 'today', 'upcoming' or null when undated/done
+export const getDueStatus = (todo, now = new Date()) => {
+  if (!todo.dueDate || todo.completed) {
+    return null;
+  }
+  const due = new Date(todo.dueDate);
+  if (due < now) {
+    return 'overdue';
+  }
+  if (startOfDay(due).getTime() === startOfDay(now).getTime()) {
+    return 'today';
+  }
+  return 'upcoming';
+};
+
+// Format a due date relative to today, e.g. "Today 14:30" or "Tomorrow 09:00"
+export const formatDueDate = (dueDate, now = new Date()) => {
+  const due = new Date(dueDate);
+  const days = Math.round((startOfDay(due) - startOfDay(now)) / DAY);
+  const time = due.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  if (days === 0) return `Today ${time}`;
+  if (days === 1) return `Tomorrow ${time}`;
+  if (days === -1) return `Yesterday ${time}`;
+  return due.toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    year: due.getFullYear() === now.getFullYear() ? undefined : 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Convert an ISO due date to the value a datetime-local input expects
+export const toDateTimeInputValue = (dueDate) => {
+  if (!dueDate) {
+    return '';
+  }
+  const due = new Date(dueDate);
+  const offset = due.getTimezoneOffset() * 60 * 1000;
+  return new Date(due.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Convert a datetime-local input value back to an ISO due date (or null when cleared)
+export const fromDateTimeInputValue = (value) =>
+  value ? new Date(value).toISOString() : null;
@@ -0,0 +1,103 @@
+// Typo-tolerant matching of a search term against a piece of text
+// Scores run from 0 to 1; ranges are [start, end) character offsets to highlight
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Edit distance counting insertions, deletions, substitutions and swapped neighbours
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Short terms must match exactly; longer ones may contain one or two typos
+const allowedTypos = (term) => {
+  if (term.length < 3) return 0;
+  if (term.length < 6) return 1;
+  return 2;
+};
+
+// Whether a word starts or ends at `index`, i.e. no letter or digit on that side
+const isWordStart = (text, index) => index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+const isWordEnd = (text, index) => index === text.length || !/[\p{L}\p{N}]/u.test(text[index]);
+
+// The term as a word (or the start of one) with a few typos
+const matchWord = (term, text) => {
+  const maxTypos = allowedTypos(term);
+  if (maxTypos === 0) return null;
+
+  let best = null;
+  for (const { 0: word, index } of text.matchAll(WORD)) {
+    if (term.length - word.length > maxTypos) continue;
+    // Compare with the whole word and with its start, so half-typed words still match
+    const candidates = [word, word.slice(0, term.length), word.slice(0, term.length + 1)];
+    for (const candidate of new Set(candidates)) {
+      const distance = editDistance(term, candidate);
+      if (distance <= maxTypos && (!best || distance < best.distance)) {
+        best = { distance, range: [index, index + candidate.length] };
+      }
+    }
+    if (best?.distance === 1) break;
+  }
+  return best && { score: 0.6 - 0.2 * (best.distance - 1), ranges: [best.range] };
+};
+
+// The term's characters in order, close together (e.g. "grcy" in "grocery")
+const matchSubsequence = (term, text) => {
+  if (term.length < 3) return null;
+
+  let best = null;
+  for (let start = text.indexOf(term[0]); start !== -1; start = text.indexOf(term[0], start + 1)) {
+    const ranges = [];
+    let position = start;
+    let matched = true;
+    for (const char of term) {
+      const index = text.indexOf(char, position);
+      if (index === -1) {
+        matched = false;
+        break;
+      }
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === index) {
+        last[1] = index + 1;
+      } else {
+        ranges.push([index, index + 1]);
+      }
+      position = index + 1;
+    }
+    if (!matched) break;
+    const span = position - start;
+    if (span <= term.length * 2 && (!best || span < best.span)) {
+      best = { span, ranges };
+    }
+  }
+  return best && { score: 0.3 * (term.length / best.span), ranges: best.ranges };
+};
+
+/**
+ * Match a lowercase term against lowercase text.
+ * Returns { score, ranges } for the best kind of match, or null.
+ * Exact substrings beat typo matches, which beat scattered characters.
+ */
+export const fuzzyMatch = (term, text) => {
+  if (!term || !text) return null;
+
+  const index = text.indexOf(term);
+  if (index !== -1) {
+    // Whole words beat word starts, which beat matches inside a word
+    const end = index + term.length;
+    const score = !isWordStart(text, index) ? 0.7 : isWordEnd(text, end) ? 1 : 0.9;
+    return { score, ranges: [[index, end]] };
+  }
+  return matchWord(term, text) || matchSubsequence(term, text);
+};
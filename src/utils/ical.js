@@ -0,0 +1,286 @@
+// Reading and writing RFC 5545 iCalendar files for todos with due dates
+// Todos become VTODO (tasks) or VEVENT (events) components
+
+const PRODUCT_ID = '-//Todo App//Todos//EN';
+
+// Events get a short default length so they show up as a block in calendar views
+const EVENT_MINUTES = 30;
+
+// Calendar apps show events, not tasks, so completion is marked in the title
+const DONE_PREFIX = '✓ ';
+
+// RFC 5545 priorities: 1-4 high, 5 medium, 6-9 low, 0 undefined
+const PRIORITY_TO_ICAL = { urgent: 1, high: 3, medium: 5, low: 7 };
+
+const priorityFromIcal = (value) => {
+  const number = Number(value);
+  if (number >= 1 && number <= 2) return 'urgent';
+  if (number >= 3 && number <= 4) return 'high';
+  if (number === 5) return 'medium';
+  if (number >= 6 && number <= 9) return 'low';
+  return undefined;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// UTC date-time such as 20250131T170000Z
+const formatDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// Escape TEXT values (section 3.3.11)
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+const encoder = new TextEncoder();
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const toComponent = (todo, component, stamp) => {
+  const due = new Date(todo.dueDate);
+  const isEvent = component === 'VEVENT';
+  const recurs = todo.recurrence && !todo.recurrence.paused && !todo.completed;
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:todo-${todo.id}@todo-app`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(isEvent && todo.completed ? DONE_PREFIX + todo.title : todo.title)}`,
+  ];
+
+  if (todo.description) {
+    lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+  }
+
+  if (isEvent) {
+    lines.push(
+      `DTSTART:${formatDateTime(due)}`,
+      `DTEND:${formatDateTime(new Date(due.getTime() + EVENT_MINUTES * 60 * 1000))}`,
+      'TRANSP:TRANSPARENT'
+    );
+  } else {
+    // Recurring tasks need a start for the rule to count from
+    if (recurs) {
+      lines.push(`DTSTART:${formatDateTime(due)}`);
+    }
+    lines.push(
+      `DUE:${formatDateTime(due)}`,
+      `STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`
+    );
+    if (todo.completed) {
+      lines.push('PERCENT-COMPLETE:100');
+    }
+  }
+
+  if (PRIORITY_TO_ICAL[todo.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_TO_ICAL[todo.priority]}`);
+  }
+  if (todo.tags?.length) {
+    lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+  }
+  if (recurs) {
+    lines.push(`RRULE:${todo.recurrence.rrule.replace(/^RRULE:/i, '')}`);
+  }
+
+  // Reminders fire at the due date, like the in-app ones
+  if (!todo.completed) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(todo.title)}`,
+      // For tasks, RELATED=END means relative to DUE
+      isEvent ? 'TRIGGER:PT0M' : 'TRIGGER;RELATED=END:PT0M',
+      'END:VALARM'
+    );
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+/**
+ * Build an iCalendar file from todos. Todos without a due date are left out.
+ * `component` is 'VTODO' for tasks or 'VEVENT' for events.
+ */
+export const serializeICalendar = (todos, { component = 'VTODO', now = new Date() } = {}) => {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Todos',
+    ...todos
+      .filter(todo => todo.dueDate)
+      .flatMap(todo => toComponent(todo, component, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Split "NAME;PARAM=x:value" into its parts, ignoring colons inside quoted parameters
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      const [name, ...params] = line.slice(0, i).split(';');
+      return {
+        name: name.toUpperCase(),
+        params: params.map(param => param.toUpperCase()),
+        value: line.slice(i + 1),
+      };
+    }
+  }
+  return null;
+};
+
+// DATE (20250131) or DATE-TIME (20250131T170000 with optional Z) into an ISO string.
+// Date-times with a TZID are read as local time.
+const parseDateValue = (value, params) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined || params.includes('VALUE=DATE')) {
+    // All-day dates are due at the end of that day
+    return new Date(year, month - 1, day, 23, 59).toISOString();
+  }
+  return utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)).toISOString()
+    : new Date(year, month - 1, day, hours, minutes, seconds).toISOString();
+};
+
+/**
+ * Read the VTODO and VEVENT components of an iCalendar file as loose todo fields,
+ * ready for validation. Each item is { kind, line, raw }.
+ * Throws when the text isn't an iCalendar file or has no tasks or events.
+ */
+export const parseICalendar = (text) => {
+  // Unfold continuation lines, remembering where each property started
+  const lines = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (/^[ \t]/.test(line) && lines.length > 0) {
+      lines[lines.length - 1].text += line.slice(1);
+    } else {
+      lines.push({ text: line, number: index + 1 });
+    }
+  });
+  if (!lines.some(({ text: line }) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('The file isn\'t an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+
+  const items = [];
+  let current = null;
+  let nested = 0;
+
+  lines.forEach(({ text: line, number }) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const { name, params, value } = property;
+    const upperValue = value.trim().toUpperCase();
+
+    if (!current) {
+      if (name === 'BEGIN' && (upperValue === 'VTODO' || upperValue === 'VEVENT')) {
+        current = { kind: upperValue, line: number, raw: { tags: [] } };
+      }
+      return;
+    }
+
+    // Alarms and other sub-components don't map onto todo fields
+    if (name === 'BEGIN') {
+      nested += 1;
+      return;
+    }
+    if (name === 'END') {
+      if (nested > 0) {
+        nested -= 1;
+      } else {
+        items.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (nested > 0) return;
+
+    const { raw } = current;
+    switch (name) {
+      case 'SUMMARY': {
+        const title = unescapeText(value);
+        if (current.kind === 'VEVENT' && title.startsWith(DONE_PREFIX)) {
+          raw.title = title.slice(DONE_PREFIX.length);
+          raw.completed = true;
+        } else {
+          raw.title = title;
+        }
+        break;
+      }
+      case 'DESCRIPTION':
+        raw.description = unescapeText(value);
+        break;
+      case 'DUE':
+        raw.dueDate = parseDateValue(value, params);
+        break;
+      case 'DTSTART':
+        raw.start = parseDateValue(value, params);
+        break;
+      case 'STATUS':
+        if (upperValue === 'COMPLETED') raw.completed = true;
+        break;
+      case 'COMPLETED':
+        raw.completed = true;
+        break;
+      case 'PERCENT-COMPLETE':
+        if (Number(value) === 100) raw.completed = true;
+        break;
+      case 'PRIORITY':
+        raw.priority = priorityFromIcal(value);
+        break;
+      case 'CATEGORIES':
+        raw.tags.push(...value.split(/(?<!\\),/).map(unescapeText));
+        break;
+      case 'RRULE':
+        raw.recurrence = value;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (items.length === 0) {
+    throw new Error('No tasks (VTODO) or events (VEVENT) found');
+  }
+
+  // Events and undated tasks fall back to their start date
+  return items.map(({ kind, line, raw: { start, ...raw } }) => ({
+    kind,
+    line,
+    raw: { ...raw, dueDate: raw.dueDate || start },
+  }));
+};
@@ -0,0 +1,8 @@
+// Timestamp IDs for new todos, bumped when several are created within a millisecond
+// (batch imports and bulk creates), so every ID handed out in this tab is unique
+let lastId = 0;
+
+export const nextTimestampId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+};
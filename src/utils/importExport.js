@@ -0,0 +1,395 @@
+// Serialising todos to JSON, CSV, Markdown checklists and iCalendar, and parsing them back
+import { PRIORITIES } from './priorities';
+import { normalizeTag } from './tags';
+import { parseRRule } from './recurrence';
+import { serializeICalendar, parseICalendar } from './ical';
+import { INBOX_ID } from './lists';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+  // iCalendar files only hold todos that have a due date
+  ics: { label: 'iCalendar tasks', extension: 'ics', mimeType: 'text/calendar', datedOnly: true },
+  icsEvents: { label: 'iCalendar events', extension: 'ics', mimeType: 'text/calendar', datedOnly: true },
+};
+
+// Both iCalendar exports read back through the same importer
+export const IMPORT_FORMATS = {
+  json: 'JSON',
+  csv: 'CSV',
+  markdown: 'Markdown checklist',
+  ics: 'iCalendar',
+};
+
+// Bumped if the JSON layout ever changes incompatibly
+const JSON_VERSION = 1;
+
+// Fields that only exist in this browser and aren't worth exporting
+const LOCAL_ONLY_FIELDS = ['isLocal', 'pendingSync', 'rank'];
+
+const CSV_COLUMNS = ['id', 'title', 'completed', 'userId', 'listId', 'priority', 'dueDate', 'tags', 'description', 'recurrence'];
+
+const PRIORITY_VALUES = PRIORITIES.map(priority => priority.value);
+
+const TASK_LINE = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+
+// Tags are written as trailing #hashtags in Markdown checklists
+const TRAILING_TAGS = /((?:\s+#[\w-]+)+)\s*$/;
+
+const stripLocalFields = (todo) => {
+  const fields = { ...todo };
+  LOCAL_ONLY_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+// Quote a CSV cell when it contains a delimiter, quote or line break (RFC 4180)
+const toCsvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toMarkdownLine = (todo) => {
+  const tags = (todo.tags || []).map(tag => ` #${tag}`).join('');
+  const lines = [`- [${todo.completed ? 'x' : ' '}] ${todo.title}${tags}`];
+  (todo.subtasks || []).forEach(subtask => {
+    lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.title}`);
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Serialise todos in one of the EXPORT_FORMATS
+ */
+export const serializeTodos = (todos, format) => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        version: JSON_VERSION,
+        exportedAt: new Date().toISOString(),
+        todos: todos.map(stripLocalFields),
+      }, null, 2);
+    case 'csv':
+      return [
+        CSV_COLUMNS.join(','),
+        ...todos.map(todo => [
+          todo.id,
+          todo.title,
+          todo.completed ? 'true' : 'false',
+          todo.userId,
+          todo.listId,
+          todo.priority,
+          todo.dueDate,
+          (todo.tags || []).join(';'),
+          todo.description,
+          todo.recurrence?.rrule,
+        ].map(toCsvCell).join(',')),
+      ].join('\r\n');
+    case 'markdown':
+      return todos.map(toMarkdownLine).join('\n') + '\n';
+    case 'ics':
+      return serializeICalendar(todos, { component: 'VTODO' });
+    case 'icsEvents':
+      return serializeICalendar(todos, { component: 'VEVENT' });
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+};
+
+/**
+ * Offer text as a file download
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously, so the URL has to outlive the click
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Guess the import format from the file name, falling back to the content
+ */
+export const detectFormat = (filename = '', text = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (extension === 'ics' || extension === 'ical') return 'ics';
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  if (/^BEGIN:VCALENDAR/i.test(trimmed)) return 'ics';
+  if (TASK_LINE.test(trimmed.split('\n')[0])) return 'markdown';
+  return 'csv';
+};
+
+// Split CSV text into rows of cells, honouring quoted cells with commas and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Turn loosely typed input into todo fields, collecting what's wrong with it
+const validateTodo = (raw) => {
+  const errors = [];
+  const warnings = [];
+  const todo = {};
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) {
+    errors.push('Missing title');
+  } else {
+    todo.title = title;
+  }
+
+  if (raw.completed !== undefined && raw.completed !== '') {
+    const value = String(raw.completed).toLowerCase();
+    if (['true', '1', 'yes', 'x'].includes(value)) {
+      todo.completed = true;
+    } else if (['false', '0', 'no', ''].includes(value)) {
+      todo.completed = false;
+    } else {
+      errors.push(`"completed" should be true or false, not "${raw.completed}"`);
+    }
+  }
+
+  if (raw.userId !== undefined && raw.userId !== '' && raw.userId !== null) {
+    const userId = Number(raw.userId);
+    if (Number.isInteger(userId) && userId > 0) {
+      todo.userId = userId;
+    } else {
+      warnings.push(`Ignored invalid user "${raw.userId}"`);
+    }
+  }
+
+  // Checked against the known lists by parseImport
+  if (raw.listId !== undefined && raw.listId !== '' && raw.listId !== null) {
+    todo.listId = String(raw.listId);
+  }
+
+  if (raw.priority) {
+    if (PRIORITY_VALUES.includes(raw.priority)) {
+      todo.priority = raw.priority === 'none' ? null : raw.priority;
+    } else {
+      warnings.push(`Ignored unknown priority "${raw.priority}"`);
+    }
+  }
+
+  if (raw.dueDate) {
+    const due = new Date(raw.dueDate);
+    if (Number.isNaN(due.getTime())) {
+      errors.push(`Invalid due date "${raw.dueDate}"`);
+    } else {
+      todo.dueDate = due.toISOString();
+    }
+  }
+
+  if (raw.tags) {
+    const tags = Array.isArray(raw.tags) ? raw.tags : String(raw.tags).split(/[;,]/);
+    const normalized = [...new Set(tags.map(tag => normalizeTag(String(tag))).filter(Boolean))];
+    if (normalized.length) {
+      todo.tags = normalized;
+    }
+  }
+
+  if (typeof raw.description === 'string' && raw.description.trim()) {
+    todo.description = raw.description;
+  }
+
+  if (Array.isArray(raw.subtasks) && raw.subtasks.length) {
+    const subtasks = raw.subtasks.filter(subtask => typeof subtask?.title === 'string' && subtask.title.trim());
+    if (subtasks.length < raw.subtasks.length) {
+      warnings.push('Skipped subtasks without a title');
+    }
+    if (subtasks.length) {
+      todo.subtasks = subtasks.map((subtask, index) => ({
+        id: subtask.id ?? Date.now() + index,
+        title: subtask.title.trim(),
+        completed: Boolean(subtask.completed),
+      }));
+    }
+  }
+
+  if (raw.subtaskRule === 'auto' || raw.subtaskRule === 'block') {
+    todo.subtaskRule = raw.subtaskRule;
+  }
+
+  const rrule = typeof raw.recurrence === 'string' ? raw.recurrence : raw.recurrence?.rrule;
+  if (rrule) {
+    try {
+      parseRRule(rrule);
+      todo.recurrence = {
+        rrule,
+        paused: Boolean(raw.recurrence?.paused),
+        occurrence: raw.recurrence?.occurrence || 1,
+      };
+    } catch (error) {
+      warnings.push(`Ignored repeat rule: ${error.message}`);
+    }
+  }
+
+  return { todo, errors, warnings };
+};
+
+const parseJsonRows = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file isn't valid JSON: ${error.message}`);
+  }
+  const items = Array.isArray(data) ? data : data?.todos;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a list of todos or an object with a "todos" list');
+  }
+  return items.map((item, index) => ({
+    source: `Item ${index + 1}`,
+    ...(item && typeof item === 'object'
+      ? validateTodo(item)
+      : { todo: {}, errors: ['Not a todo object'], warnings: [] }),
+  }));
+};
+
+const parseCsvRows = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('The file is empty');
+  }
+  const columns = header.map(name => name.trim());
+  if (!columns.includes('title')) {
+    throw new Error('The CSV needs a "title" column');
+  }
+  return rows.map((cells, index) => {
+    const raw = Object.fromEntries(columns.map((column, columnIndex) => [column, cells[columnIndex] ?? '']));
+    const row = validateTodo(raw);
+    if (cells.length !== columns.length) {
+      row.warnings.push(`Expected ${columns.length} columns but found ${cells.length}`);
+    }
+    return { source: `Row ${index + 2}`, ...row };
+  });
+};
+
+const parseMarkdownRows = (text) => {
+  const items = [];
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const match = TASK_LINE.exec(line);
+    if (!match) {
+      if (line.trim()) skipped += 1;
+      return;
+    }
+    const [, indent, mark, content] = match;
+    const completed = mark !== ' ';
+    const parent = items[items.length - 1];
+
+    // Indented items belong to the todo above them as subtasks
+    if (indent.length > 0 && parent) {
+      parent.raw.subtasks.push({ title: content.trim(), completed });
+      return;
+    }
+
+    const tagMatch = TRAILING_TAGS.exec(content);
+    items.push({
+      line: index + 1,
+      raw: {
+        title: tagMatch ? content.slice(0, tagMatch.index) : content,
+        completed,
+        tags: tagMatch ? tagMatch[1].trim().split(/\s+/) : [],
+        subtasks: [],
+      },
+    });
+  });
+
+  if (items.length === 0) {
+    throw new Error('No "- [ ]" or "- [x]" checklist items found');
+  }
+  return items.map(({ line, raw }, index) => {
+    const row = validateTodo(raw);
+    if (index === 0 && skipped > 0) {
+      row.warnings.push(`${skipped} lines that aren't checklist items were ignored`);
+    }
+    return { source: `Line ${line}`, ...row };
+  });
+};
+
+const parseIcsRows = (text) =>
+  parseICalendar(text).map(({ kind, line, raw }) => ({
+    source: `${kind === 'VTODO' ? 'Task' : 'Event'} (line ${line})`,
+    ...validateTodo(raw),
+  }));
+
+const normalizeTitle = (title = '') => title.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parse an import file into rows of { source, todo, errors, warnings, duplicateOf }.
+ * A row is a duplicate when its title matches an existing todo or an earlier row,
+ * and keeps its `listId` only when that is one of `lists`.
+ * Throws when the file as a whole can't be read.
+ */
+export const parseImport = (text, format, existingTodos = [], lists = []) => {
+  const parsers = { json: parseJsonRows, csv: parseCsvRows, markdown: parseMarkdownRows, ics: parseIcsRows };
+  const rows = parsers[format](text);
+
+  // Todos keep a list that exists here; Inbox todos don't carry one
+  const listIds = new Set(lists.map(list => list.id));
+  rows.forEach(row => {
+    const { listId } = row.todo;
+    if (listId === undefined) return;
+    if (listId === INBOX_ID) {
+      row.todo.listId = null;
+    } else if (!listIds.has(listId)) {
+      delete row.todo.listId;
+      row.warnings.push(`Ignored unknown list "${listId}"`);
+    }
+  });
+
+  const seen = new Map(existingTodos.map(todo => [normalizeTitle(todo.title), todo.title]));
+  return rows.map(row => {
+    const key = normalizeTitle(row.todo.title);
+    const duplicateOf = row.errors.length === 0 && seen.has(key) ? seen.get(key) : null;
+    if (row.todo.title && !seen.has(key)) {
+      seen.set(key, row.todo.title);
+    }
+    return { ...row, duplicateOf };
+  });
+};
@@ -0,0 +1,9 @@
+// Todos without a `listId` are in the Inbox, which always exists and can't be renamed or removed
+export const INBOX_ID = 'inbox';
+
+export const INBOX_LIST = { id: INBOX_ID, name: 'Inbox', archived: false, isBuiltIn: true };
+
+export const getListId = (todo) => todo.listId || INBOX_ID;
+
+// The `listId` to store on a todo moved into a list; Inbox todos don't carry one
+export const toListField = (listId) => (listId === INBOX_ID ? null : listId);
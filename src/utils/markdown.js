@@ -0,0 +1,30 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { toPlainText } from './plainText';
+
+// Helpers for the optional Markdown `description` field
+
+// Links in descriptions open in a new tab without access to this window
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Render Markdown (GitHub flavour, so task lists and fenced code work) to sanitized HTML
+export const renderMarkdown = (markdown = '') => {
+  const html = marked.parse(markdown, { gfm: true, breaks: true, async: false });
+  return DOMPurify.sanitize(html, { ADD_ATTR: ['target'] });
+};
+
+// Shorten plain text to a word boundary for the list view
+export const getExcerpt = (markdown, maxLength = 120) => {
+  const text = toPlainText(markdown);
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+};
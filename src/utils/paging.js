@@ -0,0 +1,93 @@
+// Server-style paging over todos: the subset of query parameters JSONPlaceholder
+// understands (_page, _limit, _sort, _order, completed=, userId=), and how views map onto them
+import { parseQuery } from './query';
+
+// Sort fields the backend can sort by, keyed by SORT_FIELDS name
+export const SERVER_SORT_FIELDS = {
+  title: 'title',
+  created: 'id',
+  completed: 'completed',
+};
+
+const compareValues = (a, b) =>
+  typeof a === 'string' ? a.localeCompare(b) : Number(a) - Number(b);
+
+// Whether a todo passes the backend filters of a page query
+export const matchesPageFilters = (todo, { completed, userId }) =>
+  (completed === undefined || Boolean(todo.completed) === completed)
+  && (userId === undefined || Number(todo.userId) === userId);
+
+// Order todos the way the backend sorts a page query: by the sort field, with ties
+// and unsorted queries in ID order
+export const comparePageTodos = ({ sort, order = 'asc' }) => {
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) =>
+    (sort ? direction * compareValues(a[sort], b[sort]) : 0) || Number(a.id) - Number(b.id);
+};
+
+/**
+ * Filter, sort and slice todos the way the backend would answer a page query.
+ * For backends without a server, offline fallbacks and locally created todos.
+ * Returns { todos, total }
+ */
+export const pageTodos = (todos, { page = 1, limit = Infinity, sort, order = 'asc', completed, userId }) => {
+  const matching = todos
+    .filter(todo => matchesPageFilters(todo, { completed, userId }))
+    .sort(comparePageTodos({ sort, order }));
+  // Checked so an unlimited first page doesn't start at 0 * Infinity (NaN)
+  const start = page > 1 ? (page - 1) * limit : 0;
+  return { todos: matching.slice(start, start + limit), total: matching.length };
+};
+
+/**
+ * Work out whether the backend can produce a list view by itself.
+ * Returns the page query filters and sort ({ completed, userId, sort, order }) or null
+ * when the view needs the whole collection: text search, due and tag filters,
+ * sorting by fields the backend doesn't have, or a manual order.
+ */
+export const getServerView = ({
+  searchQuery,
+  filterStatus,
+  dueFilter,
+  tagFilter,
+  assigneeFilter,
+  sortKeys,
+  hasManualOrder,
+}) => {
+  if (dueFilter !== 'all' || tagFilter.length > 0) return null;
+
+  const view = {};
+  if (filterStatus !== 'all') {
+    view.completed = filterStatus === 'completed';
+  }
+  if (assigneeFilter) {
+    view.userId = assigneeFilter;
+  }
+
+  // Plain status: and user: terms translate to completed= and userId=
+  const { groups, errors } = parseQuery(searchQuery);
+  if (errors.length > 0 || groups.length > 1) return null;
+  for (const clause of groups[0] || []) {
+    if (clause.negate) return null;
+    if (clause.field === 'status') {
+      if (view.completed !== undefined && view.completed !== clause.completed) return null;
+      view.completed = clause.completed;
+    } else if (clause.field === 'user') {
+      if (view.userId !== undefined && view.userId !== clause.userId) return null;
+      view.userId = clause.userId;
+    } else {
+      return null;
+    }
+  }
+
+  if (sortKeys.length > 1) return null;
+  if (sortKeys.length === 1) {
+    const [{ field, direction }] = sortKeys;
+    if (!SERVER_SORT_FIELDS[field]) return null;
+    view.sort = SERVER_SORT_FIELDS[field];
+    view.order = direction;
+  } else if (hasManualOrder) {
+    return null;
+  }
+  return view;
+};
@@ -0,0 +1,18 @@
+// Plain-text view of Markdown descriptions, kept free of DOM dependencies so the
+// search worker can use it too
+
+// Strip Markdown syntax for excerpts and search, keeping the readable text
+export const toPlainText = (markdown = '') =>
+  markdown
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>+)\s?/gm, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+(\[[ xX]\]\s+)?/gm, '')
+    .replace(/(\*\*|\*|~~)(\S(?:.*?\S)?)\1/g, '$2')
+    // Underscores only mark emphasis at word edges, so snake_case survives
+    .replace(/(^|\W)(__|_)(\S(?:.*?\S)?)\2(?!\w)/g, '$1$3')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
@@ -0,0 +1,15 @@
+// Priority levels for the optional `priority` field, lowest first
+
+export const PRIORITIES = [
+  { value: 'none', label: 'No priority', rank: 0, style: 'bg-gray-100 text-gray-600' },
+  { value: 'low', label: 'Low', rank: 1, style: 'bg-sky-100 text-sky-800' },
+  { value: 'medium', label: 'Medium', rank: 2, style: 'bg-yellow-100 text-yellow-800' },
+  { value: 'high', label: 'High', rank: 3, style: 'bg-orange-100 text-orange-800' },
+  { value: 'urgent', label: 'Urgent', rank: 4, style: 'bg-red-100 text-red-800' },
+];
+
+const PRIORITY_BY_VALUE = new Map(PRIORITIES.map(priority => [priority.value, priority]));
+
+// Look up a priority level; todos without one count as 'none'
+export const getPriority = (value) =>
+  PRIORITY_BY_VALUE.get(value) || PRIORITY_BY_VALUE.get('none');
@@ -0,0 +1,345 @@
+// Search query language shared by TodoList and TodoService.searchTodos
+//
+//   grocries "due soon"    words match title, tags and description, forgiving typos;
+//                          quoted phrases must match exactly
+//   status:done            field filters (see QUERY_FIELDS)
+//   -tag:work  -draft      a leading minus negates a term
+//   tag:home OR tag:work   OR between terms; neighbouring terms are ANDed first
+import { PRIORITIES, getPriority } from './priorities';
+import { getDueStatus, startOfDay } from './dueDates';
+import { normalizeTag } from './tags';
+import { toPlainText } from './plainText';
+import { fuzzyMatch } from './fuzzy';
+
+const STATUS_VALUES = {
+  done: true,
+  completed: true,
+  open: false,
+  pending: false,
+};
+
+const DUE_KEYWORDS = ['overdue', 'today', 'upcoming', 'none', 'any'];
+
+const COMPARATORS = ['<=', '>=', '<', '>', '='];
+
+// Field names with the values the search box suggests for them
+export const QUERY_FIELDS = {
+  status: { hint: 'done or open', values: Object.keys(STATUS_VALUES) },
+  user: { hint: 'user number, e.g. user:3', values: [] },
+  tag: { hint: 'tag name', values: [] },
+  due: { hint: 'overdue, today, upcoming, none, any or <YYYY-MM-DD', values: DUE_KEYWORDS },
+  priority: { hint: 'none, low, medium, high or urgent; >=high also works', values: PRIORITIES.map(p => p.value) },
+};
+
+// Split a query into raw tokens with their positions; quotes may open mid-token (tag:"two words")
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    let unterminated = false;
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) {
+          unterminated = true;
+          i = text.length;
+          break;
+        }
+        i = close + 1;
+      } else {
+        i += 1;
+      }
+    }
+    tokens.push({ raw: text.slice(start, i), start, end: i, unterminated });
+  }
+  return tokens;
+};
+
+const unquote = (value) => value.replace(/"/g, '');
+
+// A YYYY-MM-DD date as the start of that local day
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+const splitComparator = (value) => {
+  const op = COMPARATORS.find(candidate => value.startsWith(candidate));
+  return op ? { op, operand: value.slice(op.length) } : { op: '=', operand: value };
+};
+
+// Turn `field:value` into a clause, or explain what's wrong with it
+const parseFieldValue = (field, rawValue) => {
+  const value = unquote(rawValue).trim();
+  if (!value) {
+    return { error: `${field}: needs a value (${QUERY_FIELDS[field].hint})` };
+  }
+  const lower = value.toLowerCase();
+
+  switch (field) {
+    case 'status':
+      if (!(lower in STATUS_VALUES)) {
+        return { error: `status: expects done or open, not "${value}"` };
+      }
+      return { clause: { field, completed: STATUS_VALUES[lower] } };
+    case 'user': {
+      const userId = Number(value);
+      if (!Number.isInteger(userId) || userId < 1) {
+        return { error: `user: expects a user number, not "${value}"` };
+      }
+      return { clause: { field, userId } };
+    }
+    case 'tag': {
+      const tag = normalizeTag(value);
+      return tag ? { clause: { field, tag } } : { error: 'tag: needs a tag name' };
+    }
+    case 'due': {
+      if (DUE_KEYWORDS.includes(lower)) {
+        return { clause: { field, keyword: lower } };
+      }
+      const { op, operand } = splitComparator(value);
+      const day = parseDay(operand);
+      if (!day) {
+        return { error: `due: expects ${QUERY_FIELDS.due.hint}, not "${value}"` };
+      }
+      return { clause: { field, op, day } };
+    }
+    case 'priority': {
+      const { op, operand } = splitComparator(lower);
+      if (!PRIORITIES.some(priority => priority.value === operand)) {
+        return { error: `priority: expects ${QUERY_FIELDS.priority.hint}, not "${value}"` };
+      }
+      return { clause: { field, op, rank: getPriority(operand).rank } };
+    }
+    default:
+      return { error: `Unknown field "${field}"` };
+  }
+};
+
+/**
+ * Parse a search query into { groups, errors }.
+ * `groups` is a list of OR-ed groups, each a list of AND-ed clauses;
+ * `errors` are { message, start, end } hints for the parts that were ignored.
+ */
+export const parseQuery = (text = '') => {
+  const groups = [[]];
+  const errors = [];
+  let pendingOr = null;
+
+  tokenize(text).forEach(token => {
+    const { raw, start, end } = token;
+
+    if (raw === 'OR') {
+      if (groups[groups.length - 1].length === 0 || pendingOr) {
+        errors.push({ message: 'OR needs a search term on both sides', start, end });
+      } else {
+        groups.push([]);
+        pendingOr = token;
+      }
+      return;
+    }
+
+    if (token.unterminated) {
+      errors.push({ message: 'Missing closing quote', start, end });
+    }
+
+    const negate = raw.length > 1 && raw.startsWith('-');
+    const body = negate ? raw.slice(1) : raw;
+    const fieldMatch = /^([a-z]+):(.*)$/i.exec(body);
+    let clause;
+
+    if (fieldMatch && QUERY_FIELDS[fieldMatch[1].toLowerCase()]) {
+      const result = parseFieldValue(fieldMatch[1].toLowerCase(), fieldMatch[2]);
+      if (result.error) {
+        errors.push({ message: result.error, start, end });
+        return;
+      }
+      clause = result.clause;
+    } else {
+      if (fieldMatch && !body.startsWith('"')) {
+        errors.push({
+          message: `Unknown field "${fieldMatch[1]}", searching for the text instead`,
+          start,
+          end,
+        });
+      }
+      const phrase = unquote(body).trim().toLowerCase();
+      if (!phrase || phrase === '-') return;
+      clause = { field: 'text', phrase, exact: body.startsWith('"') };
+    }
+
+    groups[groups.length - 1].push({ ...clause, negate });
+    pendingOr = null;
+  });
+
+  if (pendingOr) {
+    errors.push({ message: 'OR needs a search term on both sides', start: pendingOr.start, end: pendingOr.end });
+    groups.pop();
+  }
+
+  return { groups: groups.filter(group => group.length > 0), errors };
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const compare = (value, op, target) => {
+  switch (op) {
+    case '<': return value < target;
+    case '<=': return value <= target;
+    case '>': return value > target;
+    case '>=': return value >= target;
+    default: return value === target;
+  }
+};
+
+const matchesDue = (todo, { keyword, op, day }, now) => {
+  if (keyword === 'none') return !todo.dueDate;
+  if (keyword === 'any') return Boolean(todo.dueDate);
+  if (keyword) return getDueStatus(todo, now) === keyword;
+  if (!todo.dueDate) return false;
+  // Compare whole days so due:2026-11-01 matches any time on that day
+  const dueDay = startOfDay(new Date(todo.dueDate)).getTime();
+  return compare(Math.round((dueDay - day.getTime()) / DAY), op, 0);
+};
+
+const matchesClause = (todo, clause, now) => {
+  switch (clause.field) {
+    case 'status':
+      return Boolean(todo.completed) === clause.completed;
+    case 'user':
+      return Number(todo.userId) === clause.userId;
+    case 'tag':
+      return (todo.tags || []).includes(clause.tag);
+    case 'due':
+      return matchesDue(todo, clause, now);
+    case 'priority':
+      return compare(getPriority(todo.priority).rank, clause.op, clause.rank);
+    default:
+      return false;
+  }
+};
+
+// Title matches count most, then tags, then the description
+const TEXT_FIELDS = { title: 3, tags: 2, description: 1 };
+
+/**
+ * The lowercase text a todo is searched by; build it once per todo and reuse it
+ */
+export const toSearchDocument = (todo) => ({
+  todo,
+  title: todo.title.toLowerCase(),
+  tags: (todo.tags || []).join(' '),
+  description: toPlainText(todo.description || '').toLowerCase(),
+});
+
+// Score one text term against every field; quoted phrases and negated terms match exactly
+const scoreText = (doc, { phrase, exact }) => {
+  let score = 0;
+  const ranges = {};
+  Object.entries(TEXT_FIELDS).forEach(([field, weight]) => {
+    let match = null;
+    if (exact) {
+      const index = doc[field].indexOf(phrase);
+      match = index === -1 ? null : { score: 1, ranges: [[index, index + phrase.length]] };
+    } else {
+      match = fuzzyMatch(phrase, doc[field]);
+    }
+    if (match) {
+      score = Math.max(score, match.score * weight);
+      ranges[field] = match.ranges;
+    }
+  });
+  return score > 0 ? { score, ranges } : null;
+};
+
+/**
+ * Score a search document against a parsed query.
+ * Returns null when it doesn't match, otherwise { score, highlights } where
+ * highlights holds [start, end) ranges for the title and the plain-text description.
+ */
+export const scoreDocument = (doc, { groups }, now = new Date()) => {
+  if (groups.length === 0) {
+    return { score: 0, highlights: {} };
+  }
+
+  let best = null;
+  groups.forEach(group => {
+    let score = 0;
+    const highlights = { title: [], description: [] };
+    const matches = group.every(clause => {
+      if (clause.field !== 'text') {
+        return matchesClause(doc.todo, clause, now) !== clause.negate;
+      }
+      const match = scoreText(doc, { ...clause, exact: clause.exact || clause.negate });
+      if (match && !clause.negate) {
+        score += match.score;
+        highlights.title.push(...(match.ranges.title || []));
+        highlights.description.push(...(match.ranges.description || []));
+      }
+      return Boolean(match) !== clause.negate;
+    });
+    if (matches && (!best || score > best.score)) {
+      best = { score, highlights };
+    }
+  });
+  return best;
+};
+
+/**
+ * Whether a todo matches a query parsed with parseQuery (an empty query matches everything)
+ */
+export const matchesQuery = (todo, parsedQuery, now = new Date()) =>
+  scoreDocument(toSearchDocument(todo), parsedQuery, now) !== null;
+
+// Whether a parsed query searches for text, so results can be ordered by relevance
+export const hasTextTerms = ({ groups }) =>
+  groups.some(group => group.some(clause => clause.field === 'text' && !clause.negate));
+
+/**
+ * Autocomplete for the word at `cursor`: field names, or values once a field is typed.
+ * `values` supplies the known values for fields like tag and user.
+ * Returns { start, end, items: [{ label, insert, hint }] }
+ */
+export const getQuerySuggestions = (text, cursor, values = {}) => {
+  const start = text.slice(0, cursor).search(/\S*$/);
+  const wordEnd = text.slice(cursor).search(/\s|$/);
+  const end = cursor + wordEnd;
+  const word = text.slice(start, cursor);
+  const prefix = word.startsWith('-') ? '-' : '';
+  const body = word.slice(prefix.length).toLowerCase();
+
+  if (!body && !prefix) {
+    return { start, end, items: [] };
+  }
+
+  const colon = body.indexOf(':');
+  if (colon === -1) {
+    const items = Object.entries(QUERY_FIELDS)
+      .filter(([field]) => field.startsWith(body) && field !== body)
+      .map(([field, { hint }]) => ({ label: `${field}:`, insert: `${prefix}${field}:`, hint }));
+    return { start, end, items };
+  }
+
+  const field = body.slice(0, colon);
+  if (!QUERY_FIELDS[field]) {
+    return { start, end, items: [] };
+  }
+  const partial = unquote(body.slice(colon + 1));
+  const candidates = [...QUERY_FIELDS[field].values, ...(values[field] || []).map(String)];
+  const items = [...new Set(candidates)]
+    .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+    .slice(0, 8)
+    .map(value => {
+      const quoted = /\s/.test(value) ? `"${value}"` : value;
+      return { label: `${field}:${value}`, insert: `${prefix}${field}:${quoted} `, hint: '' };
+    });
+  return { start, end, items };
+};
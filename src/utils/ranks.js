@@ -0,0 +1,105 @@
+// Fractional ranks for manual ordering: base-36 strings compared as plain strings,
+// so a todo can always be given a rank between two others without touching them
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Ranks for todos that were never moved follow their ID, which is the default order
+// (backend todos, then local ones as they were created). Unlike a position, an ID
+// doesn't shift when other todos are trashed or filtered out.
+const IMPLICIT_WIDTH = 9;
+
+export const implicitRank = (id) =>
+  `1${Number(id).toString(BASE).padStart(IMPLICIT_WIDTH, '0')}`;
+
+// Midpoint of two digit strings where a < b; b === null means "no upper bound"
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Copy the shared prefix, treating missing digits in `a` as zeros
+    let n = 0;
+    while ((a[n] || '0') === b[n]) {
+      n += 1;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Adjacent digits: b's first digit alone sorts between them when b is longer
+  if (b !== null && b.length > 1) {
+    return b[0];
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * A rank that sorts strictly between `before` and `after` (either may be null)
+ * Returns null when `before` doesn't sort below `after`
+ */
+export const rankBetween = (before, after) => {
+  const lower = before || '';
+  if (after !== null && after !== undefined && lower >= after) {
+    return null;
+  }
+  return midpoint(lower, after ?? null);
+};
+
+/**
+ * Evenly spaced ranks for `count` items, used when the whole list has to be renumbered.
+ * They start with '0', below every implicit rank, so todos created afterwards still come last.
+ */
+export const spreadRanks = (count) => {
+  // Enough digits to leave at least a digit's worth of room between neighbours
+  let width = 1;
+  while (BASE ** width < (count + 1) * BASE) {
+    width += 1;
+  }
+  const step = Math.floor(BASE ** width / (count + 1));
+  // Trailing zeros are dropped so there is always room below a rank; order is unchanged
+  return Array.from({ length: count }, (_, index) =>
+    `0${((index + 1) * step).toString(BASE).padStart(width, '0')}`.replace(/0+$/, '')
+  );
+};
+
+// Order todos by rank, keeping their current order where ranks tie
+export const sortByRank = (todos) =>
+  todos
+    .map((todo, index) => ({ todo, index }))
+    .sort((a, b) => (a.todo.rank < b.todo.rank ? -1 : a.todo.rank > b.todo.rank ? 1 : a.index - b.index))
+    .map(({ todo }) => todo);
+
+/**
+ * Work out the ranks that move a todo to `toIndex` within `visibleTodos`, the
+ * possibly filtered list the move was made in. The todo goes right after its new
+ * visible neighbour in `allTodos`, the whole list in rank order, so hidden todos
+ * keep their places. Usually only the moved todo changes; if its new neighbours
+ * share a rank, the whole list is renumbered once to make room.
+ */
+export const planMove = (allTodos, visibleTodos, id, toIndex) => {
+  const moved = allTodos.find(todo => todo.id === id) || visibleTodos.find(todo => todo.id === id);
+  const rest = allTodos.filter(todo => todo.id !== id);
+  const visibleRest = visibleTodos.filter(todo => todo.id !== id);
+
+  const before = visibleRest[toIndex - 1];
+  const after = visibleRest[toIndex];
+  let index = before
+    ? rest.findIndex(todo => todo.id === before.id) + 1
+    : rest.findIndex(todo => todo.id === after?.id);
+  if (index < 0 || (before && index === 0)) {
+    index = before ? rest.length : 0;
+  }
+
+  const rank = rankBetween(rest[index - 1]?.rank ?? null, rest[index]?.rank ?? null);
+  if (rank) {
+    return { [id]: rank };
+  }
+
+  rest.splice(index, 0, moved);
+  const ranks = spreadRanks(rest.length);
+  return Object.fromEntries(rest.map((todo, position) => [todo.id, ranks[position]]));
+};
@@ -0,0 +1,358 @@
+// Helpers for the optional `recurrence` field: { rrule, paused, occurrence }
+// `rrule` is a subset of RFC 5545 RRULE: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+// INTERVAL, BYDAY (plain weekdays), BYMONTHDAY, COUNT and UNTIL
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// RRULE weekday codes in JavaScript's getDay() order
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WORKWEEK = [1, 2, 3, 4, 5];
+
+// Give up rather than loop forever on rules that never produce a date
+const MAX_ITERATIONS = 5000;
+
+// Presets offered in the editor; 'custom' takes a raw RRULE
+export const RECURRENCE_PRESETS = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'weekdays', label: 'Every weekday (Mon–Fri)' },
+  { value: 'days', label: 'Every N days' },
+  { value: 'weeks', label: 'Every N weeks' },
+  { value: 'monthly', label: 'Monthly on a day' },
+  { value: 'custom', label: 'Custom RRULE' },
+];
+
+const parsePositiveInt = (value, part) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${part} must be a positive whole number`);
+  }
+  return number;
+};
+
+// UNTIL is either a date (YYYYMMDD) or a UTC date-time (YYYYMMDDTHHMMSSZ)
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must look like 20250131 or 20250131T170000Z');
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    // A date-only UNTIL includes the whole day
+    return new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59);
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+};
+
+const formatUntil = (date) =>
+  date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse an RRULE string into { freq, interval, byDay, byMonthDay, count, until }.
+ * Throws with a readable message for anything outside the supported subset.
+ */
+export const parseRRule = (rrule) => {
+  const text = (rrule || '').trim().replace(/^RRULE:/i, '');
+  if (!text) {
+    throw new Error('Enter a rule such as FREQ=WEEKLY;BYDAY=MO,TH');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+  text.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const upperValue = value.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(upperValue)) {
+          throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = upperValue;
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositiveInt(upperValue, 'INTERVAL');
+        break;
+      case 'BYDAY':
+        rule.byDay = upperValue.split(',').map(day => {
+          const index = WEEKDAYS.indexOf(day);
+          if (index === -1) {
+            throw new Error(`Unsupported BYDAY value "${day}" (use MO, TU, WE, TH, FR, SA or SU)`);
+          }
+          return index;
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = upperValue.split(',').map(day => {
+          const number = Number(day);
+          if (!Number.isInteger(number) || number === 0 || Math.abs(number) > 31) {
+            throw new Error(`BYMONTHDAY values must be between 1 and 31 or -31 and -1, not "${day}"`);
+          }
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parsePositiveInt(upperValue, 'COUNT');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(upperValue);
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('The rule needs a FREQ, for example FREQ=DAILY');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Use either COUNT or UNTIL, not both');
+  }
+  return rule;
+};
+
+/**
+ * Build an RRULE string from the parsed form
+ */
+export const formatRRule = ({ freq, interval = 1, byDay = [], byMonthDay = [], count, until }) => {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length) parts.push(`BYDAY=${byDay.map(day => WEEKDAYS[day]).join(',')}`);
+  if (byMonthDay.length) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${formatUntil(until)}`);
+  return parts.join(';');
+};
+
+// Whether a string is an RRULE we can work with
+export const isValidRRule = (rrule) => {
+  try {
+    parseRRule(rrule);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Turn a preset from the editor into an RRULE string
+ */
+export const presetToRRule = (preset, { interval = 1, monthDay = 1, rrule = '' } = {}) => {
+  switch (preset) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'weekdays':
+      return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+    case 'days':
+      return formatRRule({ freq: 'DAILY', interval });
+    case 'weeks':
+      return formatRRule({ freq: 'WEEKLY', interval });
+    case 'monthly':
+      return formatRRule({ freq: 'MONTHLY', byMonthDay: [monthDay] });
+    default:
+      return rrule.trim().replace(/^RRULE:/i, '');
+  }
+};
+
+/**
+ * Work out which editor preset an RRULE corresponds to, with its settings
+ */
+export const rruleToPreset = (rrule) => {
+  let rule;
+  try {
+    rule = parseRRule(rrule);
+  } catch {
+    return { preset: 'custom', interval: 1, monthDay: 1, rrule: rrule || '' };
+  }
+
+  const settings = { interval: rule.interval, monthDay: rule.byMonthDay[0] || 1, rrule };
+  const isPlain = !rule.count && !rule.until;
+  const isWorkweek = rule.byDay.length === WORKWEEK.length && WORKWEEK.every(day => rule.byDay.includes(day));
+
+  if (isPlain && rule.freq === 'DAILY' && rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+    return { ...settings, preset: rule.interval === 1 ? 'daily' : 'days' };
+  }
+  if (isPlain && rule.freq === 'WEEKLY' && rule.interval === 1 && isWorkweek && rule.byMonthDay.length === 0) {
+    return { ...settings, preset: 'weekdays' };
+  }
+  if (isPlain && rule.freq === 'WEEKLY' && rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+    return { ...settings, preset: 'weeks' };
+  }
+  if (isPlain && rule.freq === 'MONTHLY' && rule.interval === 1 && rule.byDay.length === 0
+    && rule.byMonthDay.length === 1 && rule.byMonthDay[0] > 0) {
+    return { ...settings, preset: 'monthly' };
+  }
+  return { ...settings, preset: 'custom' };
+};
+
+const plural = (count, unit) => (count === 1 ? unit : `${count} ${unit}s`);
+
+/**
+ * Describe an RRULE in words, e.g. "Every 2 weeks on Mon, Thu"
+ */
+export const describeRecurrence = (rrule) => {
+  let rule;
+  try {
+    rule = parseRRule(rrule);
+  } catch {
+    return 'Custom repeat';
+  }
+
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  const isWorkweek = rule.byDay.length === WORKWEEK.length && WORKWEEK.every(day => rule.byDay.includes(day));
+  let text = rule.interval === 1 && isWorkweek
+    ? 'Every weekday'
+    : `Every ${plural(rule.interval, unit)}`;
+
+  if (rule.byDay.length && !(rule.interval === 1 && isWorkweek)) {
+    text += ` on ${[...rule.byDay].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (rule.byMonthDay.length) {
+    const days = rule.byMonthDay.map(day => (day === -1 ? 'the last day' : day < 0 ? `${-day} days before month end` : `day ${day}`));
+    text += ` on ${days.join(', ')}`;
+  }
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  if (rule.until) {
+    text += `, until ${rule.until.toLocaleDateString()}`;
+  }
+  return text;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Copy the time of day from `time` onto a calendar date
+const atTimeOf = (time, year, month, day) =>
+  new Date(year, month, day, time.getHours(), time.getMinutes(), time.getSeconds());
+
+/**
+ * Yield the rule's occurrences after `previous`, in order, keeping its time of day
+ */
+function* occurrencesAfter(rule, previous) {
+  const year = previous.getFullYear();
+  const month = previous.getMonth();
+  const date = previous.getDate();
+
+  for (let step = 0; step < MAX_ITERATIONS; step += 1) {
+    let candidates = [];
+
+    if (rule.freq === 'DAILY') {
+      candidates = [atTimeOf(previous, year, month, date + (step + 1) * rule.interval)];
+      if (rule.byDay.length) {
+        candidates = candidates.filter(candidate => rule.byDay.includes(candidate.getDay()));
+      }
+    } else if (rule.freq === 'WEEKLY') {
+      if (rule.byDay.length) {
+        // Weeks start on Monday, counted from the week of the previous occurrence
+        const monday = date - ((previous.getDay() + 6) % 7) + step * 7 * rule.interval;
+        candidates = [...rule.byDay]
+          .map(day => (day + 6) % 7)
+          .sort((a, b) => a - b)
+          .map(offset => atTimeOf(previous, year, month, monday + offset));
+      } else {
+        candidates = [atTimeOf(previous, year, month, date + (step + 1) * 7 * rule.interval)];
+      }
+    } else if (rule.freq === 'MONTHLY') {
+      const target = new Date(year, month + step * rule.interval, 1);
+      const length = daysInMonth(target.getFullYear(), target.getMonth());
+      const days = rule.byMonthDay.length ? rule.byMonthDay : [date];
+      candidates = days
+        .map(day => (day < 0 ? length + day + 1 : day))
+        // Months without the day are skipped, as in RFC 5545
+        .filter(day => day >= 1 && day <= length)
+        .sort((a, b) => a - b)
+        .map(day => atTimeOf(previous, target.getFullYear(), target.getMonth(), day));
+    } else {
+      const targetYear = year + (step + 1) * rule.interval;
+      if (date <= daysInMonth(targetYear, month)) {
+        candidates = [atTimeOf(previous, targetYear, month, date)];
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (candidate > previous) {
+        if (rule.until && candidate > rule.until) {
+          return;
+        }
+        yield candidate;
+      }
+    }
+  }
+}
+
+// The date the series counts from: the current due date, or now for undated todos
+const getAnchor = (todo, now) => (todo.dueDate ? new Date(todo.dueDate) : now);
+
+// How many more occurrences a COUNT allows after the current one
+const getRemaining = (rule, recurrence) =>
+  rule.count ? Math.max(0, rule.count - (recurrence.occurrence || 1)) : Infinity;
+
+/**
+ * List the next `limit` occurrences after the todo's current due date
+ */
+export const getUpcomingOccurrences = (todo, limit = 5, now = new Date()) => {
+  if (!todo.recurrence) {
+    return [];
+  }
+  let rule;
+  try {
+    rule = parseRRule(todo.recurrence.rrule);
+  } catch {
+    return [];
+  }
+
+  const upcoming = [];
+  const max = Math.min(limit, getRemaining(rule, todo.recurrence));
+  for (const occurrence of occurrencesAfter(rule, getAnchor(todo, now))) {
+    if (upcoming.length >= max) break;
+    upcoming.push(occurrence);
+  }
+  return upcoming;
+};
+
+/**
+ * Build the todo for the next occurrence once `todo` has been completed.
+ * Occurrences that were missed are skipped; returns null when the series is
+ * paused, finished or has no rule.
+ */
+export const getNextOccurrence = (todo, now = new Date()) => {
+  const { recurrence } = todo;
+  if (!recurrence || recurrence.paused) {
+    return null;
+  }
+  let rule;
+  try {
+    rule = parseRRule(recurrence.rrule);
+  } catch {
+    return null;
+  }
+  if (getRemaining(rule, recurrence) === 0) {
+    return null;
+  }
+
+  let nextDue = null;
+  for (const occurrence of occurrencesAfter(rule, getAnchor(todo, now))) {
+    if (occurrence > now) {
+      nextDue = occurrence;
+      break;
+    }
+  }
+  if (!nextDue) {
+    return null;
+  }
+
+  return {
+    title: todo.title,
+    userId: todo.userId,
+    listId: todo.listId,
+    description: todo.description,
+    priority: todo.priority,
+    tags: todo.tags,
+    subtasks: todo.subtasks?.map(subtask => ({ ...subtask, completed: false })),
+    subtaskRule: todo.subtaskRule,
+    dueDate: nextDue.toISOString(),
+    recurrence: { ...recurrence, occurrence: (recurrence.occurrence || 1) + 1 },
+  };
+};
@@ -0,0 +1,30 @@
+import { parseQuery, scoreDocument, toSearchDocument } from './query';
+
+/**
+ * Create a search index over todos that is updated incrementally:
+ * only changed todos are re-indexed and removed ones are dropped.
+ * Used by the search worker, and directly where workers aren't available.
+ */
+export const createSearchIndex = () => {
+  const documents = new Map();
+
+  return {
+    update(upserts = [], removeIds = []) {
+      upserts.forEach(todo => documents.set(todo.id, toSearchDocument(todo)));
+      removeIds.forEach(id => documents.delete(id));
+    },
+
+    // Matching todos as [id, { score, highlights }] pairs, best match first
+    search(query, now = new Date()) {
+      const parsedQuery = parseQuery(query);
+      const results = [];
+      documents.forEach((doc, id) => {
+        const match = scoreDocument(doc, parsedQuery, now);
+        if (match) {
+          results.push([id, match]);
+        }
+      });
+      return results.sort((a, b) => b[1].score - a[1].score);
+    },
+  };
+};
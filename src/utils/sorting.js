@@ -0,0 +1,60 @@
+import { getPriority } from './priorities';
+
+// Fields the list can be sorted by; `getValue` returns null for todos without a value
+export const SORT_FIELDS = {
+  priority: {
+    label: 'Priority',
+    defaultDirection: 'desc',
+    getValue: todo => getPriority(todo.priority).rank,
+  },
+  title: {
+    label: 'Title',
+    defaultDirection: 'asc',
+    getValue: todo => todo.title.toLowerCase(),
+  },
+  created: {
+    label: 'Created',
+    defaultDirection: 'desc',
+    // Local ids are Date.now() timestamps and API ids are sequential, so ids order by creation
+    getValue: todo => Number(todo.id),
+  },
+  completed: {
+    label: 'Completion',
+    defaultDirection: 'asc',
+    getValue: todo => (todo.completed ? 1 : 0),
+  },
+  dueDate: {
+    label: 'Due date',
+    defaultDirection: 'asc',
+    getValue: todo => (todo.dueDate ? new Date(todo.dueDate).getTime() : null),
+  },
+};
+
+const compareValues = (a, b) =>
+  typeof a === 'string' ? a.localeCompare(b) : a - b;
+
+// Sort todos by a list of { field, direction } keys, earlier keys taking precedence
+// Missing values always sort last; ties keep their original order
+export const sortTodos = (todos, sortKeys) => {
+  if (!sortKeys || sortKeys.length === 0) {
+    return todos;
+  }
+
+  return [...todos].sort((a, b) => {
+    for (const { field, direction } of sortKeys) {
+      const { getValue } = SORT_FIELDS[field];
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+
+      if (valueA === valueB) continue;
+      if (valueA == null) return 1;
+      if (valueB == null) return -1;
+
+      const result = compareValues(valueA, valueB);
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  });
+};
@@ -0,0 +1,167 @@
+import { getDueStatus } from './dueDates';
+import { PRIORITIES, getPriority } from './priorities';
+import { findUser, getUserName } from './users';
+import { toDayKey, fromDayKey, addDays, startOfWeek } from './calendar';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Ranges offered next to the date inputs, counted back from today
+export const RANGE_PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+];
+
+export const DEFAULT_RANGE_DAYS = 30;
+
+// Longer ranges are charted by week instead of by day
+const MAX_DAILY_BUCKETS = 62;
+
+// The last `days` days up to and including today, as day keys
+export const getPresetRange = (days, now = new Date()) => ({
+  from: toDayKey(addDays(now, -(days - 1))),
+  to: toDayKey(now),
+});
+
+// Whether an event falls between two day keys, both days included
+const isInRange = (at, { from, to }) =>
+  at >= fromDayKey(from).getTime() && at < addDays(fromDayKey(to), 1).getTime();
+
+// The completion that counts for each todo: its last one, unless it was reopened since
+export const getCompletions = (events) => {
+  const latest = new Map();
+  events
+    .filter(event => event.type === 'completed' || event.type === 'reopened')
+    .forEach(event => latest.set(event.todoId, event));
+  return [...latest.values()].filter(event => event.type === 'completed');
+};
+
+// Created and completed counts per day (or week) of the range: { unit, buckets: [{ key, start, created, completed }] }
+export const getActivitySeries = (events, range) => {
+  const from = fromDayKey(range.from);
+  const to = fromDayKey(range.to);
+  const unit = Math.round((to - from) / DAY) + 1 > MAX_DAILY_BUCKETS ? 'week' : 'day';
+  const bucketStart = (date) => (unit === 'week' ? startOfWeek(date) : date);
+
+  const buckets = [];
+  for (let start = bucketStart(from); start <= to; start = addDays(start, unit === 'week' ? 7 : 1)) {
+    buckets.push({ key: toDayKey(start), start, created: 0, completed: 0 });
+  }
+  const bucketsByKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+  const count = (event, field) => {
+    if (isInRange(event.at, range)) {
+      const bucket = bucketsByKey.get(toDayKey(bucketStart(new Date(event.at))));
+      if (bucket) {
+        bucket[field] += 1;
+      }
+    }
+  };
+
+  events.filter(event => event.type === 'created').forEach(event => count(event, 'created'));
+  getCompletions(events).forEach(event => count(event, 'completed'));
+  return { unit, buckets };
+};
+
+// Headline numbers: created, completed and average time to complete within the range,
+// and the overall completion rate and overdue count as of now
+export const getSummary = (todos, events, range, now = new Date()) => {
+  const createdAt = new Map(
+    events.filter(event => event.type === 'created').map(event => [event.todoId, event.at])
+  );
+  const completions = getCompletions(events).filter(event => isInRange(event.at, range));
+  const durations = completions
+    .filter(event => createdAt.has(event.todoId))
+    .map(event => event.at - createdAt.get(event.todoId));
+  const completedCount = todos.filter(todo => todo.completed).length;
+
+  return {
+    created: events.filter(event => event.type === 'created' && isInRange(event.at, range)).length,
+    completed: completions.length,
+    averageCompletionTime: durations.length
+      ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+      : null,
+    timedCompletions: durations.length,
+    total: todos.length,
+    rate: todos.length ? Math.round((completedCount / todos.length) * 100) : 0,
+    overdue: todos.filter(todo => getDueStatus(todo, now) === 'overdue').length,
+  };
+};
+
+// e.g. "45 minutes", "5.5 hours", "3.2 days"
+export const formatDuration = (ms) => {
+  if (ms < HOUR) {
+    const minutes = Math.max(1, Math.round(ms / MINUTE));
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  if (ms < DAY) {
+    return `${Number((ms / HOUR).toFixed(1))} hours`;
+  }
+  return `${Number((ms / DAY).toFixed(1))} days`;
+};
+
+export const BREAKDOWNS = [
+  { value: 'user', label: 'Assignee' },
+  { value: 'tag', label: 'Tag' },
+  { value: 'priority', label: 'Priority' },
+];
+
+// Keys a todo (or an event's snapshot of one) counts under; tagged todos count under each tag
+const getGroupKeys = (item, by) => {
+  if (by === 'tag') {
+    return item.tags?.length ? item.tags : [''];
+  }
+  if (by === 'priority') {
+    return [getPriority(item.priority).value];
+  }
+  return [String(item.userId)];
+};
+
+const getGroupLabel = (key, by, users) => {
+  if (by === 'tag') {
+    return key ? `#${key}` : 'Untagged';
+  }
+  if (by === 'priority') {
+    return getPriority(key).label;
+  }
+  return getUserName(findUser(users, key), key);
+};
+
+// Per assignee, tag or priority: current totals, plus completions within the range
+// (counted under the assignee, tags and priority the todo had when it was completed)
+export const getBreakdown = (todos, events, range, by, { users = [], now = new Date() } = {}) => {
+  const rows = new Map();
+  const getRow = (key) => {
+    if (!rows.has(key)) {
+      rows.set(key, { key, label: getGroupLabel(key, by, users), total: 0, completed: 0, overdue: 0, completedInRange: 0 });
+    }
+    return rows.get(key);
+  };
+
+  todos.forEach(todo => {
+    getGroupKeys(todo, by).forEach(key => {
+      const row = getRow(key);
+      row.total += 1;
+      row.completed += todo.completed ? 1 : 0;
+      row.overdue += getDueStatus(todo, now) === 'overdue' ? 1 : 0;
+    });
+  });
+  getCompletions(events)
+    .filter(event => isInRange(event.at, range))
+    .forEach(event => getGroupKeys(event, by).forEach(key => {
+      getRow(key).completedInRange += 1;
+    }));
+
+  const result = [...rows.values()].map(row => ({
+    ...row,
+    open: row.total - row.completed,
+    rate: row.total ? Math.round((row.completed / row.total) * 100) : 0,
+  }));
+  if (by === 'priority') {
+    const ranks = new Map(PRIORITIES.map(priority => [priority.value, priority.rank]));
+    return result.sort((a, b) => ranks.get(b.key) - ranks.get(a.key));
+  }
+  return result.sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+};
@@ -0,0 +1,48 @@
+// Helpers for the optional `subtasks` checklist ([{ id, title, completed }])
+// and the `subtaskRule` that ties the parent's completion to it
+
+export const SUBTASK_RULES = [
+  { value: 'none', label: 'Complete the todo myself' },
+  { value: 'auto', label: 'Complete the todo when all subtasks are done' },
+  { value: 'block', label: "Don't allow completing the todo until all subtasks are done" },
+];
+
+// Done and total counts, or null for todos without a checklist
+export const getSubtaskProgress = (todo) => {
+  const subtasks = todo.subtasks || [];
+  if (subtasks.length === 0) {
+    return null;
+  }
+  const done = subtasks.filter(subtask => subtask.completed).length;
+  return { done, total: subtasks.length, percent: Math.round((done / subtasks.length) * 100) };
+};
+
+// Why a todo can't be marked complete under the 'block' rule, or null if it can
+export const getCompletionBlocker = (todo) => {
+  const progress = getSubtaskProgress(todo);
+  if (todo.subtaskRule !== 'block' || !todo.completed || !progress || progress.done === progress.total) {
+    return null;
+  }
+  const remaining = progress.total - progress.done;
+  return `Finish the ${remaining} remaining ${remaining === 1 ? 'subtask' : 'subtasks'} of "${todo.title}" before completing it.`;
+};
+
+// Mark the todo complete under the 'auto' rule once every subtask is done
+export const applySubtaskRule = (todo) => {
+  const progress = getSubtaskProgress(todo);
+  if (todo.subtaskRule === 'auto' && progress && progress.done === progress.total && !todo.completed) {
+    return { ...todo, completed: true };
+  }
+  return todo;
+};
+
+// Move the subtask at `from` to `to`, returning a new array
+export const moveSubtask = (subtasks, from, to) => {
+  if (to < 0 || to >= subtasks.length || from === to) {
+    return subtasks;
+  }
+  const next = [...subtasks];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
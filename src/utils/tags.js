@@ -0,0 +1,41 @@
+// Helpers for the optional `tags` field (an array of tag names)
+
+// Colour palette for tag chips; class names are spelled out so Tailwind keeps them
+export const TAG_COLORS = {
+  gray: 'bg-gray-100 text-gray-800 border-gray-200',
+  red: 'bg-red-100 text-red-800 border-red-200',
+  orange: 'bg-orange-100 text-orange-800 border-orange-200',
+  amber: 'bg-amber-100 text-amber-800 border-amber-200',
+  green: 'bg-green-100 text-green-800 border-green-200',
+  teal: 'bg-teal-100 text-teal-800 border-teal-200',
+  blue: 'bg-blue-100 text-blue-800 border-blue-200',
+  indigo: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+  purple: 'bg-purple-100 text-purple-800 border-purple-200',
+  pink: 'bg-pink-100 text-pink-800 border-pink-200',
+};
+
+const COLOR_NAMES = Object.keys(TAG_COLORS);
+
+// Tags are lowercase with dashes instead of spaces, without a leading '#'
+export const normalizeTag = (name) =>
+  name.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+
+// Pick a stable colour for tags that haven't been given one
+export const defaultTagColor = (name) => {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return COLOR_NAMES[Math.abs(hash) % COLOR_NAMES.length];
+};
+
+// Whether a todo matches the tag filter: 'any' is OR semantics, 'all' is AND
+export const matchesTags = (todo, tags, mode = 'any') => {
+  if (tags.length === 0) {
+    return true;
+  }
+  const todoTags = todo.tags || [];
+  return mode === 'all'
+    ? tags.every(tag => todoTags.includes(tag))
+    : tags.some(tag => todoTags.includes(tag));
+};
@@ -0,0 +1,45 @@
+import { getDueStatus } from './dueDates';
+
+// Avatar backgrounds, picked by user ID so everyone keeps the same colour
+const AVATAR_COLORS = [
+  'bg-blue-500',
+  'bg-emerald-500',
+  'bg-amber-500',
+  'bg-rose-500',
+  'bg-violet-500',
+  'bg-cyan-600',
+  'bg-lime-600',
+  'bg-fuchsia-500',
+  'bg-orange-500',
+  'bg-teal-600',
+];
+
+export const avatarColor = (userId) =>
+  AVATAR_COLORS[Math.abs(Number(userId) || 0) % AVATAR_COLORS.length];
+
+// Up to two initials, e.g. "Leanne Graham" -> "LG"
+export const getInitials = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+
+export const findUser = (users, userId) =>
+  users?.find(user => user.id === Number(userId));
+
+// Todos whose assignee isn't known (or users couldn't load) fall back to the ID
+export const getUserName = (user, userId) => user?.name || `User ${userId}`;
+
+// Completion stats for a set of todos; `rate` is the completed share from 0 to 100
+export const getCompletionStats = (todos, now = new Date()) => {
+  const completed = todos.filter(todo => todo.completed).length;
+  return {
+    total: todos.length,
+    completed,
+    open: todos.length - completed,
+    overdue: todos.filter(todo => getDueStatus(todo, now) === 'overdue').length,
+    rate: todos.length ? Math.round((completed / todos.length) * 100) : 0,
+  };
+};
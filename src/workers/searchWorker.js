@@ -0,0 +1,17 @@
+// Web Worker holding the todo search index so scoring never blocks typing
+// Messages: { type: 'update', upserts, removeIds } and { type: 'search', requestId, query, now }
+import { createSearchIndex } from '../utils/searchIndex';
+
+const index = createSearchIndex();
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'update') {
+    index.update(data.upserts, data.removeIds);
+  } else if (data.type === 'search') {
+    self.postMessage({
+      requestId: data.requestId,
+      query: data.query,
+      results: index.search(data.query, new Date(data.now)),
+    });
+  }
+};